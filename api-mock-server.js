@@ -0,0 +1,110 @@
+/**
+ * API Mock Server Module
+ *
+ * Servidor local que imita as APIs de pesquisa suportadas por
+ * engines/api-engines.js, para testar a configuração das APIs, a paginação e
+ * o controle de cotas sem chaves reais nem consumo de cota:
+ * - GET /customsearch/v1  (Google Programmable Search)
+ * - GET /v7.0/search      (Bing Web Search)
+ * - GET /search           (estilo SerpAPI)
+ *
+ * Os resultados são gerados de forma determinística a partir do site: do dork.
+ * A chave "invalid" recebe HTTP 401 e, com a opção quota, as requisições
+ * seguintes ao limite recebem a resposta de cota esgotada de cada API.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+/**
+ * Gera os resultados simulados de uma consulta
+ * @param {string} query - Dork pesquisado
+ * @param {number} total - Quantidade de resultados
+ * @returns {Array<Object>} - { title, link, snippet }
+ */
+function buildMockResults(query, total) {
+  const siteMatch = query.match(/site:(\S+)/);
+  const domain = siteMatch ? siteMatch[1].replace(/^\*\./, '').replace(/^["']|["']$/g, '') : 'exemplo.com';
+  const hash = crypto.createHash('md5').update(query).digest('hex').slice(0, 8);
+
+  return Array.from({ length: total }, (_, idx) => ({
+    title: `Resultado simulado ${idx + 1} - ${domain}`,
+    link: `https://${domain}/mock/${hash}/${idx + 1}`,
+    snippet: `Resultado ${idx + 1} para: ${query}`
+  }));
+}
+
+/**
+ * Monta a resposta de uma das APIs
+ * @param {string} api - 'google-cse', 'bing' ou 'serpapi'
+ * @param {Array<Object>} items - Resultados da página
+ * @param {number} total - Total estimado
+ * @returns {Object} - Corpo JSON no formato da API
+ */
+function formatResponse(api, items, total) {
+  if (api === 'google-cse') {
+    return {
+      searchInformation: { totalResults: String(total) },
+      items: items.map(item => ({ title: item.title, link: item.link, displayLink: new URL(item.link).host, snippet: item.snippet }))
+    };
+  }
+  if (api === 'bing') {
+    return {
+      webPages: {
+        totalEstimatedMatches: total,
+        value: items.map(item => ({ name: item.title, url: item.link, snippet: item.snippet }))
+      }
+    };
+  }
+  return {
+    search_information: { total_results: total },
+    organic_results: items.map((item, idx) => ({ position: idx + 1, title: item.title, link: item.link, snippet: item.snippet }))
+  };
+}
+
+// Respostas de cota esgotada de cada API: [status, corpo]
+const QUOTA_RESPONSES = {
+  'google-cse': [429, { error: { code: 429, message: 'Quota exceeded for quota metric', errors: [{ reason: 'rateLimitExceeded' }] } }],
+  bing: [403, { error: { code: 'OutOfCallVolume', message: 'Out of call volume quota.' } }],
+  serpapi: [429, { error: 'Your account has run out of searches.' }]
+};
+
+/**
+ * Cria o servidor de APIs simuladas
+ * @param {Object} settings - Configuração
+ * @param {number} [settings.results=25] - Resultados por consulta
+ * @param {number|null} [settings.quota=null] - Requisições aceitas antes de responder cota esgotada
+ * @returns {Object} - Servidor HTTP (ainda não iniciado)
+ */
+export function createMockSearchServer({ results = 25, quota = null } = {}) {
+  let requests = 0;
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const routes = { '/customsearch/v1': 'google-cse', '/v7.0/search': 'bing', '/search': 'serpapi' };
+    const api = routes[url.pathname];
+
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+      console.log(chalk.gray(`${req.method} ${url.pathname}?q=${url.searchParams.get('q') || ''} -> ${status}`));
+    };
+
+    if (!api) return send(404, { error: { message: `Rota desconhecida: ${url.pathname}` } });
+
+    const key = api === 'bing' ? req.headers['ocp-apim-subscription-key'] : url.searchParams.get(api === 'serpapi' ? 'api_key' : 'key');
+    if (!key || key === 'invalid') return send(401, { error: { code: 401, message: 'API key not valid.' } });
+
+    requests++;
+    if (quota !== null && requests > quota) return send(...QUOTA_RESPONSES[api]);
+
+    const query = url.searchParams.get('q') || '';
+    const count = Number(url.searchParams.get(api === 'bing' ? 'count' : 'num')) || 10;
+    let offset = Number(url.searchParams.get(api === 'bing' ? 'offset' : 'start')) || 0;
+    if (api === 'google-cse') offset = Math.max(0, offset - 1);
+
+    const all = buildMockResults(query, results);
+    return send(200, formatResponse(api, all.slice(offset, offset + count), all.length));
+  });
+}
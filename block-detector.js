@@ -0,0 +1,215 @@
+/**
+ * Block Detector Module
+ *
+ * Este módulo classifica uma página de resultados em um veredito tipado, com
+ * confiança (0 a 1) e motivo, usando os sinais declarados em cada adaptador
+ * de engines/ (URLs de interstício, marcadores no DOM e status HTTP):
+ * - ok: página de resultados normal (ou sem sinal de bloqueio)
+ * - captcha: desafio de verificação humana
+ * - rate-limit: limite de requisições (HTTP 429 ou página equivalente)
+ * - consent: parede de consentimento de cookies que esconde os resultados
+ * - empty: página do motor sem nenhum resultado para a consulta
+ *
+ * Trabalha apenas com HTML, URL e status, de modo que pode ser usado tanto com
+ * uma página Puppeteer quanto com páginas salvas (veja fixtures/block-pages/).
+ * Uma página que traz resultados é considerada ok mesmo que o texto mencione
+ * palavras como "captcha" ou "blocked" (comum em pesquisas sobre segurança).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import * as cheerio from 'cheerio';
+
+export const VERDICTS = ['ok', 'captcha', 'rate-limit', 'consent', 'empty'];
+
+// Vereditos em que a página não pode ser lida
+export const BLOCKING_VERDICTS = ['captcha', 'rate-limit', 'consent'];
+
+// Marcadores de captcha comuns a qualquer site
+const CAPTCHA_SELECTORS = [
+  'iframe[src*="recaptcha"]',
+  'iframe[src*="hcaptcha"]',
+  'iframe[src*="arkoselabs"]',
+  'iframe[src*="funcaptcha"]',
+  'iframe[src*="challenges.cloudflare.com"]',
+  'div.g-recaptcha',
+  'div.h-captcha',
+  'div.cf-turnstile',
+  '#challenge-form',
+  '#captcha-form',
+  'form[action*="captcha"]',
+  'input[name*="captcha"]'
+];
+
+// Frases (em minúsculas) usadas apenas quando a página não traz nenhum resultado;
+// expressões completas, para não confundir com páginas que falam sobre bloqueios
+const CAPTCHA_PHRASES = [
+  'our systems have detected unusual traffic',
+  'unusual traffic from your computer network',
+  'verify you are human',
+  'are you a robot',
+  'please complete the security check',
+  'confirme que você não é um robô',
+  'bots use duckduckgo too'
+];
+
+const RATE_LIMIT_PHRASES = [
+  'too many requests',
+  'rate limit exceeded',
+  'você fez muitas solicitações'
+];
+
+/**
+ * Cria um veredito
+ * @param {string} verdict - Um de VERDICTS
+ * @param {number} confidence - Confiança (0 a 1)
+ * @param {string} reason - Motivo legível
+ * @returns {Object} - { verdict, blocked, confidence, reason }
+ */
+function makeVerdict(verdict, confidence, reason) {
+  return { verdict, blocked: BLOCKING_VERDICTS.includes(verdict), confidence, reason };
+}
+
+/**
+ * Converte o retorno de detectBlock em veredito
+ * (adaptadores personalizados antigos retornam apenas true/false)
+ * @param {Object|boolean} value - Veredito ou booleano
+ * @returns {Object} - { verdict, blocked, confidence, reason }
+ */
+export function normalizeVerdict(value) {
+  if (value && typeof value === 'object' && VERDICTS.includes(value.verdict)) {
+    return { ...value, blocked: BLOCKING_VERDICTS.includes(value.verdict) };
+  }
+  return value
+    ? makeVerdict('captcha', 0.5, 'Adaptador indicou bloqueio')
+    : makeVerdict('ok', 0.5, 'Adaptador não indicou bloqueio');
+}
+
+/**
+ * Procura o primeiro seletor presente no documento
+ * @param {Function} $ - Documento cheerio
+ * @param {Array<string>} selectors - Seletores CSS
+ * @returns {string|null} - Seletor encontrado
+ */
+function findSelector($, selectors = []) {
+  return selectors.find(selector => $(selector).length > 0) || null;
+}
+
+/**
+ * Classifica uma página de resultados
+ * @param {Object} page - { html, url, status } (status HTTP opcional)
+ * @param {Object|null} engine - Adaptador do motor de busca (null = apenas sinais genéricos)
+ * @returns {Object} - { verdict, blocked, confidence, reason }
+ */
+export function classifyPage({ html = '', url = '', status = null }, engine = null) {
+  const detection = (engine && engine.blockDetection) || {};
+
+  // 1. Status HTTP
+  if (status === 429) {
+    return makeVerdict('rate-limit', 0.95, 'HTTP 429 (muitas requisições)');
+  }
+
+  // 2. URLs de interstício conhecidas do motor
+  const urlRules = [
+    ...(detection.captchaUrlPatterns || []).map(pattern => ({ pattern, verdict: 'captcha' })),
+    ...(detection.consentUrlPatterns || []).map(pattern => ({ pattern, verdict: 'consent' }))
+  ];
+  const urlRule = urlRules.find(rule => rule.pattern.test(url));
+  if (urlRule) {
+    return makeVerdict(urlRule.verdict, 0.95, `URL de interstício: ${url}`);
+  }
+
+  // 3. Resultados presentes: a página é legível, qualquer que seja o texto
+  const $ = cheerio.load(html || '');
+  const results = engine && typeof engine.parseResults === 'function' && engine.backend !== 'api'
+    ? engine.parseResults(html, url || engine.url).results.length
+    : 0;
+  if (results > 0) {
+    return makeVerdict('ok', 0.9, `${results} resultados na página`);
+  }
+
+  // 4. Marcadores no DOM (do motor e genéricos)
+  const captchaMarker = findSelector($, [...(detection.captchaSelectors || []), ...CAPTCHA_SELECTORS]);
+  if (captchaMarker) {
+    return makeVerdict('captcha', 0.9, `Elemento de captcha: ${captchaMarker}`);
+  }
+
+  const consentMarker = findSelector($, detection.consentSelectors);
+  if (consentMarker) {
+    return makeVerdict('consent', 0.85, `Parede de consentimento: ${consentMarker}`);
+  }
+
+  // 5. Frases típicas de bloqueio (apenas sem resultados)
+  const text = $('body').text().replace(/\s+/g, ' ').toLowerCase();
+  const rateLimitPhrase = RATE_LIMIT_PHRASES.find(phrase => text.includes(phrase));
+  if (rateLimitPhrase) {
+    return makeVerdict('rate-limit', 0.7, `Texto da página contém "${rateLimitPhrase}"`);
+  }
+  const captchaPhrase = CAPTCHA_PHRASES.find(phrase => text.includes(phrase));
+  if (captchaPhrase) {
+    return makeVerdict('captcha', 0.7, `Texto da página contém "${captchaPhrase}"`);
+  }
+
+  if (status === 403 || status === 503) {
+    return makeVerdict('captcha', 0.6, `HTTP ${status} sem resultados`);
+  }
+
+  // 6. Sem resultados e sem sinais de bloqueio
+  if (!engine) {
+    return makeVerdict('ok', 0.5, 'Nenhum sinal de bloqueio');
+  }
+  const noResultsMarker = findSelector($, detection.noResultsSelectors);
+  if (noResultsMarker) {
+    return makeVerdict('empty', 0.9, `Motor informou nenhum resultado: ${noResultsMarker}`);
+  }
+  return makeVerdict('empty', 0.5, 'Nenhum resultado e nenhum sinal de bloqueio');
+}
+
+/**
+ * Classifica a página atual de uma aba Puppeteer
+ * @param {Object} page - Página Puppeteer
+ * @param {Object|null} engine - Adaptador do motor de busca
+ * @param {Object} context - { status }: status HTTP da navegação, se conhecido
+ * @returns {Promise<Object>} - Veredito (erros de leitura resultam em ok com confiança 0)
+ */
+export async function classifyBrowserPage(page, engine = null, { status = null } = {}) {
+  if (!page || page.isClosed()) {
+    throw new Error('Página não está disponível para detectar bloqueio');
+  }
+
+  try {
+    return classifyPage({ html: await page.content(), url: page.url(), status }, engine);
+  } catch (error) {
+    // Sem conseguir ler a página não há evidência de bloqueio
+    return makeVerdict('ok', 0, `Não foi possível analisar a página: ${error.message}`);
+  }
+}
+
+/**
+ * Classifica as páginas salvas do corpus e compara com o veredito esperado
+ * O diretório deve ter um manifest.json: [{ file, engine, url, status, expected }]
+ * @param {string} dir - Diretório do corpus
+ * @param {Function} getEngine - Busca o adaptador pelo id (veja engines/index.js)
+ * @returns {Promise<Array<Object>>} - { file, engine, expected, verdict, confidence, reason, pass }
+ */
+export async function runBlockFixtures(dir, getEngine) {
+  const manifest = await fs.readJson(path.join(dir, 'manifest.json'));
+
+  const outcomes = [];
+  for (const entry of manifest) {
+    const html = await fs.readFile(path.join(dir, entry.file), 'utf8');
+    const engine = entry.engine ? getEngine(entry.engine) : null;
+    const result = classifyPage({ html, url: entry.url, status: entry.status ?? null }, engine);
+
+    outcomes.push({
+      file: entry.file,
+      engine: entry.engine || null,
+      expected: entry.expected,
+      verdict: result.verdict,
+      confidence: result.confidence,
+      reason: result.reason,
+      pass: result.verdict === entry.expected
+    });
+  }
+  return outcomes;
+}
@@ -0,0 +1,161 @@
+/**
+ * Browser Manager Module
+ *
+ * Este módulo mantém navegadores de longa duração, um por perfil nomeado
+ * (normalmente um por motor de busca), cada um com seu diretório de dados
+ * persistente. Assim cookies e captchas resolvidos são reaproveitados entre
+ * pesquisas e entre varreduras, e a mesma aba é reutilizada em vez de abrir um
+ * navegador novo para cada URL.
+ *
+ * Todos os navegadores abertos são fechados por closeAllBrowsers(), chamada ao
+ * final da varredura e no CTRL+C.
+ */
+
+import puppeteer from 'puppeteer';
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+
+import { getBrowserProxyArgs, formatProxy } from './proxy.js';
+
+// Gerenciadores ativos no processo (para a limpeza no CTRL+C)
+const activeManagers = new Set();
+
+/**
+ * Converte um nome de perfil em nome de diretório seguro
+ * @param {string} name - Nome do perfil
+ * @returns {string} - Nome do diretório
+ */
+function profileDirName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9_-]/g, '_');
+}
+
+/**
+ * Cria um gerenciador de navegadores com perfis persistentes
+ * @param {Object} settings - Configuração
+ * @param {string} settings.profilesDir - Diretório onde ficam os perfis (um subdiretório por perfil)
+ * @param {string} [settings.userAgent] - User Agent usado em todas as abas
+ * @param {boolean} [settings.headless=false] - Executar sem janela
+ * @param {Object} [settings.proxy] - Proxy de saída (configuração normalizada de proxy.js)
+ * @returns {Object} - Gerenciador (getPage, closeProfile, closeAll)
+ */
+export function createBrowserManager({ profilesDir, userAgent = null, headless = false, proxy = null }) {
+  // perfil -> Promise<{ browser, page }>
+  const sessions = new Map();
+
+  // O Chromium não aceita credenciais em proxies SOCKS5
+  if (proxy && proxy.protocol === 'socks5' && proxy.username) {
+    console.log(chalk.yellow(`⚠️ O navegador não suporta autenticação SOCKS5; ${formatProxy(proxy)} será usado sem credenciais`));
+  }
+
+  /**
+   * Abre o navegador de um perfil com uma aba configurada para parecer humana
+   * @param {string} profile - Nome do perfil
+   * @returns {Promise<Object>} - { browser, page }
+   */
+  async function launch(profile) {
+    const userDataDir = path.join(profilesDir, profileDirName(profile));
+    await fs.ensureDir(userDataDir);
+
+    console.log(chalk.blue(`🌐 Abrindo navegador (perfil "${profile}")...`));
+    const browser = await puppeteer.launch({
+      headless,
+      userDataDir,
+      defaultViewport: { width: 1280, height: 800 },
+      args: [
+        '--disable-blink-features=AutomationControlled',
+        '--start-maximized',
+        ...getBrowserProxyArgs(proxy)
+      ]
+    });
+
+    // Se o usuário fechar a janela, o próximo getPage abre o navegador de novo
+    browser.on('disconnected', () => sessions.delete(profile));
+
+    return { browser, page: await preparePage(browser) };
+  }
+
+  /**
+   * Reaproveita a primeira aba do navegador (ou abre uma) e aplica as configurações
+   * @param {Object} browser - Navegador Puppeteer
+   * @returns {Promise<Object>} - Página Puppeteer
+   */
+  async function preparePage(browser) {
+    const [existing] = await browser.pages();
+    const page = existing || await browser.newPage();
+
+    if (userAgent) {
+      await page.setUserAgent(userAgent);
+    }
+
+    // Credenciais do proxy HTTP/HTTPS (respondidas ao desafio 407 do proxy)
+    if (proxy && proxy.username && proxy.protocol !== 'socks5') {
+      await page.authenticate({ username: proxy.username, password: proxy.password || '' });
+    }
+
+    // Esconder sinais de automação
+    await page.evaluateOnNewDocument(() => {
+      Object.defineProperty(navigator, 'webdriver', { get: () => false });
+    });
+
+    return page;
+  }
+
+  /**
+   * Retorna a aba do perfil, abrindo o navegador na primeira vez
+   * @param {string} profile - Nome do perfil (ex: id do motor de busca)
+   * @returns {Promise<Object>} - Página Puppeteer
+   */
+  async function getPage(profile) {
+    if (!sessions.has(profile)) {
+      const session = launch(profile);
+      sessions.set(profile, session);
+      session.catch(() => sessions.delete(profile));
+    }
+
+    const session = await sessions.get(profile);
+
+    // A aba pode ter sido fechada pelo usuário: abrir outra no mesmo navegador
+    if (session.page.isClosed()) {
+      session.page = await preparePage(session.browser);
+    }
+
+    return session.page;
+  }
+
+  /**
+   * Fecha o navegador de um perfil
+   * @param {string} profile - Nome do perfil
+   */
+  async function closeProfile(profile) {
+    const session = sessions.get(profile);
+    if (!session) return;
+    sessions.delete(profile);
+
+    try {
+      const { browser } = await session;
+      await browser.close();
+    } catch (error) {
+      // Navegador já fechado ou que nem chegou a abrir
+    }
+  }
+
+  /**
+   * Fecha todos os navegadores deste gerenciador
+   */
+  async function closeAll() {
+    await Promise.all([...sessions.keys()].map(closeProfile));
+    activeManagers.delete(manager);
+  }
+
+  const manager = { getPage, closeProfile, closeAll };
+  activeManagers.add(manager);
+  return manager;
+}
+
+/**
+ * Fecha os navegadores de todos os gerenciadores ativos (usado no CTRL+C)
+ */
+export async function closeAllBrowsers() {
+  await Promise.all([...activeManagers].map(manager => manager.closeAll()));
+}
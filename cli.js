@@ -0,0 +1,537 @@
+#!/usr/bin/env node
+/**
+ * DorkHunter - Interface de Linha de Comando
+ *
+ * Este arquivo expõe o scanner como uma CLI com subcomandos, permitindo
+ * executar varreduras a partir de scripts e jobs de CI sem editar arquivos
+ * de configuração ou pressionar ENTER.
+ *
+ * Exemplos:
+ *   dorkhunter scan --domain exemplo.com --types generic,aem --engine bing --out resultados --yes
+ *   dorkhunter scan --targets alvos.txt --auto --yes
+ *   dorkhunter dorks --domain exemplo.com --types cms
+ *   dorkhunter categories
+ *   dorkhunter engines
+ *   dorkhunter parse pagina-salva.html --engine google
+ *   dorkhunter detect pagina-salva.html --engine google --status 200
+ *   dorkhunter translate 'site:*.exemplo.com inurl:admin'
+ *   dorkhunter history --domain exemplo.com
+ *   dorkhunter diff --domain exemplo.com
+ *   dorkhunter secrets config.env
+ *   dorkhunter verify https://exemplo.com/.env --domain exemplo.com
+ *   dorkhunter triage https://exemplo.com/teste.pdf --verdict fp --note "arquivo público"
+ *   dorkhunter mock-api --port 8787
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+import { Command } from 'commander';
+
+import { getEngine, listEngines, loadCustomEngines, registerApiEngines } from './engines/index.js';
+import { translateDork } from './dork-syntax.js';
+import { parseSearchResultsFile } from './serp-parser.js';
+import { classifyPage, runBlockFixtures } from './block-detector.js';
+import { loadTargets } from './targets.js';
+import { loadProxyConfig } from './proxy.js';
+import { createMockSearchServer } from './api-mock-server.js';
+import { loadScanHistory, findScan, diffScans, printScanDiff } from './history.js';
+import {
+  loadTriageStore,
+  saveTriageStore,
+  resolveTriageVerdict,
+  setFindingVerdict,
+  clearFindingVerdict,
+  applyTriage,
+  promptTriageVerdict,
+  printTriage
+} from './triage.js';
+import { closeInterface } from './human-interaction.js';
+import { createDomainScope, verifyUrls, summarizeVerifications, printVerification } from './url-verifier.js';
+import { detectSecrets, inspectResultSecrets, printSecrets } from './secret-detector.js';
+import { loadScope, createScopeMatcher, printScopeCheck } from './scope.js';
+import {
+  DEFAULT_SCAN_OPTIONS,
+  runMultiEngineDorkScan,
+  runMultiTargetScan,
+  generateDorksList,
+  resolveAlternativeDomains,
+  resolveStatePaths,
+  resolveDorkTypes,
+  loadAvailablePacks
+} from './dork-scanner.js';
+
+/**
+ * Converte uma lista separada por vírgulas em array
+ * @param {string} value - Valor recebido da linha de comando
+ * @returns {Array<string>} - Itens sem espaços e sem entradas vazias
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve um caminho opcional da linha de comando
+ * @param {string|undefined} value - Caminho informado
+ * @returns {string|null} - Caminho absoluto ou null (usa o padrão de resolveStatePaths)
+ */
+function resolveOptionalPath(value) {
+  return value ? path.resolve(value) : null;
+}
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const program = new Command();
+
+program
+  .name('dorkhunter')
+  .description('Scanner de segurança automatizado usando dorks em múltiplos motores de busca')
+  .version('1.0.0');
+
+program
+  .command('scan')
+  .description('Executa a varredura de dorks contra um domínio ou uma lista de domínios')
+  .option('-d, --domain <domínio>', 'domínio alvo', DEFAULT_SCAN_OPTIONS.domain)
+  .option('--targets <arquivo>', 'arquivo com a lista de alvos (texto, JSON ou YAML); substitui --domain')
+  .option('-a, --alt-domains <lista>', 'domínios alternativos separados por vírgula', parseList)
+  .option('-t, --types <lista>', 'pacotes de dorks separados por vírgula ou all (veja o comando categories)', parseList)
+  .option('--packs-dir <diretório>', 'diretório com pacotes de dorks adicionais (JSON/YAML)', DEFAULT_SCAN_OPTIONS.packsDir)
+  .option('-e, --engine <lista>', `motores de busca (${listEngines().map(e => e.id).join(', ')} ou personalizados)`, parseList)
+  .option('--engines-dir <diretório>', 'diretório com adaptadores de motores personalizados', DEFAULT_SCAN_OPTIONS.customEnginesDir)
+  .option('--api-config <arquivo>', 'arquivo JSON/YAML com as APIs oficiais de pesquisa (chaves, cotas e URLs)')
+  .option('-o, --out <diretório>', 'diretório para salvar resultados', DEFAULT_SCAN_OPTIONS.resultsDir)
+  .option('--checkpoint <arquivo>', 'arquivo de checkpoint (padrão: <out>/dork_checkpoint.json)')
+  .option('--no-checkpoint', 'não salvar progresso')
+  .option('--history-dir <diretório>', 'diretório do histórico de varreduras (padrão: <out>/history)')
+  .option('--triage-file <arquivo>', 'arquivo com os vereditos de triagem; falsos positivos são suprimidos (padrão: <out>/triage.json)')
+  .option('--profiles-dir <diretório>', 'diretório dos perfis persistentes do navegador (padrão: <out>/browser-profiles)')
+  .option('--api-usage-file <arquivo>', 'arquivo com o uso diário das cotas das APIs (padrão: <out>/api-usage.json)')
+  .option('--engine-health-file <arquivo>', 'arquivo com a saúde dos motores entre varreduras (padrão: <out>/engine-health.json)')
+  .option('--proxy <url>', 'proxy de saída (http://, https:// ou socks5://, com usuario:senha@ opcional)')
+  .option('--proxy-config <arquivo>', 'arquivo JSON/YAML com a configuração do proxy')
+  .option('--proxy-bypass <lista>', 'hosts acessados sem proxy, separados por vírgula (ex: localhost,*.interno.com)', parseList)
+  .option('--no-proxy-check', 'não verificar a conectividade do proxy antes de iniciar')
+  .option('--export <formatos>', 'exportar os achados (csv, jsonl, sarif; separados por vírgula)', parseList)
+  .option('--no-manual', 'não perguntar se cada URL deve ser aberta no navegador')
+  .option('--auto', 'modo automatizado: pesquisa cada dork no navegador e coleta resultados e screenshots', false)
+  .option('--delay <ms>', 'intervalo mínimo entre pesquisas no mesmo motor (ms)', Number, DEFAULT_SCAN_OPTIONS.delayBetweenSearches)
+  .option('--cooldown <ms>', 'cooldown inicial de um motor bloqueado (dobra a cada novo bloqueio)', Number, DEFAULT_SCAN_OPTIONS.blockCooldown)
+  .option('--max-pages <n>', 'máximo de páginas de resultados por dork (padrão: definido por motor)', Number)
+  .option('--max-results <n>', 'máximo de resultados por dork (padrão: definido por motor)', Number)
+  .option('--verify', 'verificar se as URLs encontradas ainda estão expostas (HEAD e GET em cada URL)', false)
+  .option('--verify-concurrency <n>', 'URLs verificadas ao mesmo tempo', Number, DEFAULT_SCAN_OPTIONS.verifyConcurrency)
+  .option('--verify-timeout <ms>', 'tempo máximo de cada requisição da verificação', Number, DEFAULT_SCAN_OPTIONS.verifyTimeout)
+  .option('--verify-max-bytes <n>', 'bytes lidos do corpo de cada URL', Number, DEFAULT_SCAN_OPTIONS.verifyMaxBytes)
+  .option('--no-subdomains', 'não pesquisar os subdomínios descobertos nos resultados')
+  .option('--subdomain-depth <n>', 'profundidade máxima dos subdomínios pesquisados (0 = apenas inventário)', Number, DEFAULT_SCAN_OPTIONS.subdomainDepth)
+  .option('--max-subdomains <n>', 'máximo de subdomínios que recebem dorks de acompanhamento', Number, DEFAULT_SCAN_OPTIONS.maxSubdomains)
+  .option('--subdomain-dorks <lista>', 'dorks de acompanhamento com {subdomain}, separados por vírgula', parseList)
+  .option('--scope <arquivo>', 'arquivo JSON/YAML com o escopo do programa (include, exclude, excludePaths)')
+  .option('--out-of-scope <modo>', 'URLs fora do escopo: flag (listar à parte) ou drop (descartar)')
+  .option('-y, --yes', 'não pedir confirmações (modo não interativo)', false)
+  .action(async (opts) => {
+    console.log(chalk.blue('🚀 Iniciando sistema de varredura de dorks...'));
+
+    const proxy = await loadProxyConfig(opts.proxyConfig ? path.resolve(opts.proxyConfig) : null, {
+      url: opts.proxy,
+      bypass: opts.proxyBypass
+    });
+
+    const scanOptions = {
+      domain: opts.domain,
+      alternativeDomains: opts.altDomains || null,
+      types: opts.types || null,
+      packsDir: path.resolve(opts.packsDir),
+      engines: opts.engine || null,
+      customEnginesDir: path.resolve(opts.enginesDir),
+      apiConfigFile: opts.apiConfig ? path.resolve(opts.apiConfig) : DEFAULT_SCAN_OPTIONS.apiConfigFile,
+      resultsDir: path.resolve(opts.out),
+      checkpointFile: opts.checkpoint ? path.resolve(opts.checkpoint) : null,
+      saveCheckpoint: opts.checkpoint !== false,
+      historyDir: resolveOptionalPath(opts.historyDir),
+      triageFile: resolveOptionalPath(opts.triageFile),
+      browserProfilesDir: resolveOptionalPath(opts.profilesDir),
+      apiUsageFile: resolveOptionalPath(opts.apiUsageFile),
+      engineHealthFile: resolveOptionalPath(opts.engineHealthFile),
+      exportFormats: opts.export || DEFAULT_SCAN_OPTIONS.exportFormats,
+      proxy,
+      proxyCheck: opts.proxyCheck,
+      manualValidation: opts.manual,
+      onlyDisplayDorks: !opts.auto,
+      delayBetweenSearches: opts.delay,
+      blockCooldown: opts.cooldown,
+      maxPages: opts.maxPages ?? null,
+      maxResults: opts.maxResults ?? null,
+      verifyUrls: opts.verify,
+      verifyConcurrency: opts.verifyConcurrency,
+      verifyTimeout: opts.verifyTimeout,
+      verifyMaxBytes: opts.verifyMaxBytes,
+      discoverSubdomains: opts.subdomains && DEFAULT_SCAN_OPTIONS.discoverSubdomains,
+      subdomainDepth: opts.subdomainDepth,
+      maxSubdomains: opts.maxSubdomains,
+      subdomainDorks: opts.subdomainDorks || null,
+      scopeFile: opts.scope ? path.resolve(opts.scope) : DEFAULT_SCAN_OPTIONS.scopeFile,
+      outOfScopeMode: opts.outOfScope || null,
+      assumeYes: opts.yes
+    };
+
+    if (opts.targets) {
+      const targets = await loadTargets(path.resolve(opts.targets));
+      if (targets.length === 0) {
+        throw new Error(`Nenhum alvo encontrado em ${opts.targets}`);
+      }
+      await runMultiTargetScan(targets, scanOptions);
+    } else {
+      await runMultiEngineDorkScan(scanOptions);
+    }
+
+    console.log(chalk.green('\n✨ Sistema finalizado com sucesso!'));
+  });
+
+program
+  .command('dorks')
+  .description('Lista os dorks gerados para um domínio, um por linha, sem acessar nenhum site')
+  .option('-d, --domain <domínio>', 'domínio alvo', DEFAULT_SCAN_OPTIONS.domain)
+  .option('-a, --alt-domains <lista>', 'domínios alternativos separados por vírgula', parseList)
+  .option('-t, --types <lista>', 'pacotes de dorks', parseList, ['all'])
+  .option('--packs-dir <diretório>', 'diretório com pacotes de dorks adicionais (JSON/YAML)', DEFAULT_SCAN_OPTIONS.packsDir)
+  .option('--scope <arquivo>', 'arquivo de escopo (remove dorks de hosts excluídos e acrescenta exclusões)')
+  .option('--json', 'exibir os dorks com metadados em JSON', false)
+  .action(async (opts) => {
+    const packs = await loadAvailablePacks(path.resolve(opts.packsDir));
+    const types = resolveDorkTypes(opts.types, packs);
+    const alternativeDomains = resolveAlternativeDomains(opts.domain, opts.altDomains);
+    const scope = opts.scope
+      ? createScopeMatcher(await loadScope(path.resolve(opts.scope)), { domain: opts.domain, alternativeDomains })
+      : null;
+    const dorks = generateDorksList(packs, types, opts.domain, alternativeDomains, undefined, scope);
+    
+    if (opts.json) {
+      console.log(JSON.stringify(dorks, null, 2));
+    } else {
+      dorks.forEach(dork => console.log(dork.query));
+    }
+  });
+
+program
+  .command('categories')
+  .description('Lista os pacotes (categorias) de dorks instalados')
+  .option('--packs-dir <diretório>', 'diretório com pacotes de dorks adicionais (JSON/YAML)', DEFAULT_SCAN_OPTIONS.packsDir)
+  .action(async (opts) => {
+    const packs = await loadAvailablePacks(path.resolve(opts.packsDir));
+    packs.forEach(pack => {
+      console.log(`${chalk.bold(pack.id.padEnd(12))} ${pack.name} (${pack.dorks.length} dorks)`);
+    });
+  });
+
+program
+  .command('engines')
+  .description('Lista os motores de busca disponíveis (embutidos, personalizados e APIs)')
+  .option('--engines-dir <diretório>', 'diretório com adaptadores de motores personalizados', DEFAULT_SCAN_OPTIONS.customEnginesDir)
+  .option('--api-config <arquivo>', 'arquivo JSON/YAML com as APIs oficiais de pesquisa')
+  .action(async (opts) => {
+    await loadCustomEngines(path.resolve(opts.enginesDir));
+    await registerApiEngines(opts.apiConfig ? path.resolve(opts.apiConfig) : null);
+    listEngines().forEach(engine => {
+      const backend = engine.backend === 'api' ? chalk.gray(` (API ${engine.type})`) : '';
+      console.log(`${chalk.bold(engine.id.padEnd(12))} ${engine.buildSearchUrl('')}${backend}`);
+    });
+  });
+
+program
+  .command('parse <arquivo>')
+  .description('Extrai os resultados de uma página de resultados salva em HTML (saída em JSON)')
+  .requiredOption('-e, --engine <motor>', 'motor de busca que gerou a página')
+  .option('--engines-dir <diretório>', 'diretório com adaptadores de motores personalizados', DEFAULT_SCAN_OPTIONS.customEnginesDir)
+  .action(async (file, opts) => {
+    await loadCustomEngines(path.resolve(opts.enginesDir));
+    const parsed = await parseSearchResultsFile(path.resolve(file), getEngine(opts.engine));
+    inspectResultSecrets({ urls: parsed.results });
+    console.log(JSON.stringify(parsed, null, 2));
+  });
+
+program
+  .command('detect [arquivo]')
+  .description('Classifica uma página salva (ok, captcha, rate-limit, consent, empty) ou verifica o corpus de páginas')
+  .option('-e, --engine <motor>', 'motor de busca que gerou a página (sem ele, apenas sinais genéricos)')
+  .option('--url <url>', 'URL em que a página foi salva')
+  .option('--status <código>', 'status HTTP da resposta', Number)
+  .option('--fixtures [diretório]', 'verificar o corpus de páginas salvas (padrão: fixtures/block-pages)')
+  .option('--engines-dir <diretório>', 'diretório com adaptadores de motores personalizados', DEFAULT_SCAN_OPTIONS.customEnginesDir)
+  .action(async (file, opts) => {
+    await loadCustomEngines(path.resolve(opts.enginesDir));
+
+    if (opts.fixtures) {
+      const dir = opts.fixtures === true ? path.join(__dirname, 'fixtures', 'block-pages') : path.resolve(opts.fixtures);
+      const outcomes = await runBlockFixtures(dir, getEngine);
+
+      outcomes.forEach(outcome => {
+        const mark = outcome.pass ? chalk.green('✔') : chalk.red('✘');
+        const verdict = outcome.pass ? outcome.verdict : `${outcome.verdict} (esperado: ${outcome.expected})`;
+        console.log(`${mark} ${outcome.file.padEnd(32)} ${(outcome.engine || '-').padEnd(11)} ${verdict} ${chalk.gray(`${outcome.confidence} - ${outcome.reason}`)}`);
+      });
+
+      const failed = outcomes.filter(outcome => !outcome.pass).length;
+      console.log(failed === 0
+        ? chalk.green(`\n${outcomes.length} páginas classificadas corretamente`)
+        : chalk.red(`\n${failed} de ${outcomes.length} páginas com veredito diferente do esperado`));
+      if (failed > 0) process.exitCode = 1;
+      return;
+    }
+
+    if (!file) {
+      throw new Error('Informe o arquivo da página ou use --fixtures');
+    }
+
+    const html = await fs.readFile(path.resolve(file), 'utf8');
+    const engine = opts.engine ? getEngine(opts.engine) : null;
+    const verdict = classifyPage({ html, url: opts.url || (engine ? engine.url : ''), status: opts.status ?? null }, engine);
+    console.log(JSON.stringify(verdict, null, 2));
+  });
+
+program
+  .command('translate <dork>')
+  .description('Mostra como um dork é traduzido para cada motor de busca')
+  .option('--engines-dir <diretório>', 'diretório com adaptadores de motores personalizados', DEFAULT_SCAN_OPTIONS.customEnginesDir)
+  .action(async (dork, opts) => {
+    await loadCustomEngines(path.resolve(opts.enginesDir));
+    listEngines().forEach(engine => {
+      const translation = translateDork(dork, engine);
+      const status = translation.supported
+        ? (translation.lossy ? chalk.yellow('aproximado') : chalk.green('suportado'))
+        : chalk.red(`não suportado (${translation.unsupported.join(', ')})`);
+
+      console.log(`${chalk.bold(engine.id.padEnd(12))} ${status}`);
+      if (translation.supported) console.log(`  ${translation.query}`);
+      translation.warnings.forEach(warning => console.log(chalk.gray(`  ↳ ${warning}`)));
+    });
+  });
+
+program
+  .command('history')
+  .description('Lista as varreduras registradas no histórico de um domínio')
+  .option('-d, --domain <domínio>', 'domínio alvo', DEFAULT_SCAN_OPTIONS.domain)
+  .option('-o, --out <diretório>', 'diretório de resultados das varreduras', DEFAULT_SCAN_OPTIONS.resultsDir)
+  .option('--history-dir <diretório>', 'diretório do histórico de varreduras (padrão: <out>/history)')
+  .action(async (opts) => {
+    const { historyDir } = resolveStatePaths({ resultsDir: path.resolve(opts.out), historyDir: resolveOptionalPath(opts.historyDir) });
+    const history = await loadScanHistory(historyDir, opts.domain);
+    if (history.length === 0) {
+      console.log(chalk.yellow(`Nenhuma varredura registrada para ${opts.domain} (apenas as varreduras com --auto são registradas).`));
+      return;
+    }
+
+    history.forEach((scan, idx) => {
+      console.log(`${chalk.bold(String(idx).padStart(3))}  ${scan.scanId}  ${scan.stats.dorksProcessed} dorks  ${scan.findings.length} achados  (${scan.types.join(', ')})`);
+    });
+  });
+
+program
+  .command('diff')
+  .description('Compara duas varreduras de um domínio (padrão: a mais recente com a anterior)')
+  .option('-d, --domain <domínio>', 'domínio alvo', DEFAULT_SCAN_OPTIONS.domain)
+  .option('--from <varredura>', 'varredura anterior (scanId ou posição; negativos contam do fim)', '-2')
+  .option('--to <varredura>', 'varredura atual (scanId ou posição)', '-1')
+  .option('-o, --out <diretório>', 'diretório de resultados das varreduras', DEFAULT_SCAN_OPTIONS.resultsDir)
+  .option('--history-dir <diretório>', 'diretório do histórico de varreduras (padrão: <out>/history)')
+  .option('--json', 'exibir a comparação em JSON', false)
+  .action(async (opts) => {
+    const { historyDir } = resolveStatePaths({ resultsDir: path.resolve(opts.out), historyDir: resolveOptionalPath(opts.historyDir) });
+    const history = await loadScanHistory(historyDir, opts.domain);
+    const previous = findScan(history, opts.from);
+    const current = findScan(history, opts.to);
+
+    if (!previous || !current) {
+      throw new Error(`Varredura não encontrada no histórico de ${opts.domain} (${history.length} registradas, apenas com --auto; veja o comando history)`);
+    }
+
+    const diff = diffScans(previous, current);
+    if (opts.json) {
+      console.log(JSON.stringify(diff, null, 2));
+    } else {
+      printScanDiff(diff);
+    }
+  });
+
+program
+  .command('triage [urls...]')
+  .description('Registra os vereditos dos achados de um domínio (sem URLs, lista os vereditos salvos)')
+  .option('-d, --domain <domínio>', 'domínio alvo', DEFAULT_SCAN_OPTIONS.domain)
+  .option('-v, --verdict <veredito>', 'true-positive, false-positive, needs-review ou accepted-risk (ou tp, fp, review, accepted)')
+  .option('-n, --note <texto>', 'anotação do analista', '')
+  .option('--clear', 'remover o veredito das URLs informadas', false)
+  .option('--review', 'classificar um a um os achados ainda não triados da varredura mais recente', false)
+  .option('-o, --out <diretório>', 'diretório de resultados das varreduras', DEFAULT_SCAN_OPTIONS.resultsDir)
+  .option('--triage-file <arquivo>', 'arquivo com os vereditos de triagem (padrão: <out>/triage.json)')
+  .option('--history-dir <diretório>', 'diretório do histórico de varreduras (padrão: <out>/history)')
+  .action(async (urls, opts) => {
+    const { triageFile, historyDir } = resolveStatePaths({
+      resultsDir: path.resolve(opts.out),
+      triageFile: resolveOptionalPath(opts.triageFile),
+      historyDir: resolveOptionalPath(opts.historyDir)
+    });
+    const store = await loadTriageStore(triageFile);
+
+    if (opts.review) {
+      const history = await loadScanHistory(historyDir, opts.domain);
+      if (history.length === 0) {
+        throw new Error(`Nenhuma varredura registrada para ${opts.domain} (veja o comando history)`);
+      }
+
+      const pending = applyTriage(history[history.length - 1].findings, store, opts.domain).findings
+        .filter(finding => !finding.triage);
+      console.log(chalk.cyan(`🏷️ ${pending.length} achados sem veredito (ENTER pula, CTRL+C encerra; cada veredito é salvo na hora)`));
+
+      try {
+        for (const finding of pending) {
+          console.log(chalk.white(`\n[${finding.severity}] ${finding.title}\n${finding.url}`));
+          console.log(chalk.gray(`Dorks: ${finding.dorks.join(' | ')}`));
+          const triage = await promptTriageVerdict('este achado');
+          if (triage) {
+            setFindingVerdict(store, opts.domain, finding.url, triage);
+            await saveTriageStore(triageFile, store);
+          }
+        }
+      } finally {
+        closeInterface();
+      }
+      return;
+    }
+
+    if (urls.length === 0) {
+      printTriage(store, opts.domain);
+      return;
+    }
+
+    if (opts.clear) {
+      urls.forEach(url => {
+        const removed = clearFindingVerdict(store, opts.domain, url);
+        console.log(removed ? chalk.green(`🗑️ Veredito removido: ${url}`) : chalk.yellow(`⚠️ Nenhum veredito para ${url}`));
+      });
+    } else {
+      if (!opts.verdict) {
+        throw new Error('Informe o veredito com --verdict (ou use --clear para removê-lo)');
+      }
+      const verdict = resolveTriageVerdict(opts.verdict);
+      urls.forEach(url => {
+        const entry = setFindingVerdict(store, opts.domain, url, { verdict, note: opts.note });
+        console.log(chalk.green(`🏷️ ${entry.url}: ${verdict}${opts.note ? ` - ${opts.note}` : ''}`));
+      });
+    }
+
+    await saveTriageStore(triageFile, store);
+  });
+
+program
+  .command('verify [urls...]')
+  .description('Verifica se URLs (ou os achados de um relatório) ainda estão expostas')
+  .option('--findings <arquivo>', 'arquivo findings_*.json gerado por uma varredura')
+  .option('-d, --domain <lista>', 'verificar apenas URLs destes domínios e subdomínios (separados por vírgula)', parseList)
+  .option('--scope <arquivo>', 'verificar apenas URLs no escopo do programa (arquivo JSON/YAML)')
+  .option('--concurrency <n>', 'URLs verificadas ao mesmo tempo', Number, DEFAULT_SCAN_OPTIONS.verifyConcurrency)
+  .option('--timeout <ms>', 'tempo máximo de cada requisição', Number, DEFAULT_SCAN_OPTIONS.verifyTimeout)
+  .option('--max-bytes <n>', 'bytes lidos do corpo de cada URL', Number, DEFAULT_SCAN_OPTIONS.verifyMaxBytes)
+  .option('--proxy <url>', 'proxy de saída (http://, https:// ou socks5://)')
+  .option('--proxy-config <arquivo>', 'arquivo JSON/YAML com a configuração do proxy')
+  .option('--json', 'exibir as verificações em JSON', false)
+  .action(async (urls, opts) => {
+    const targets = [...urls];
+    if (opts.findings) {
+      const findings = await fs.readJson(path.resolve(opts.findings));
+      targets.push(...findings.map(finding => finding.url));
+    }
+    if (targets.length === 0) {
+      throw new Error('Informe as URLs ou um arquivo de achados com --findings');
+    }
+
+    const proxy = await loadProxyConfig(opts.proxyConfig ? path.resolve(opts.proxyConfig) : null, { url: opts.proxy });
+    let inScope = opts.domain ? createDomainScope(opts.domain) : null;
+    if (opts.scope) {
+      const [domain = DEFAULT_SCAN_OPTIONS.domain, ...alternativeDomains] = opts.domain || [];
+      inScope = createScopeMatcher(await loadScope(path.resolve(opts.scope)), { domain, alternativeDomains }).inScope;
+    }
+    const verifications = await verifyUrls([...new Set(targets)], {
+      proxy,
+      timeout: opts.timeout,
+      maxBytes: opts.maxBytes,
+      concurrency: opts.concurrency,
+      inScope,
+      onResult: opts.json ? null : printVerification
+    });
+
+    if (opts.json) {
+      console.log(JSON.stringify(verifications, null, 2));
+      return;
+    }
+
+    const summary = summarizeVerifications(verifications);
+    console.log(chalk.cyan(`\n🔎 ${summary.exposed} ainda expostas, ${summary.changed} alteradas, ${summary.gone} removidas, ${summary.error} com erro, ${summary['out-of-scope']} fora do escopo`));
+  });
+
+program
+  .command('scope <urls...>')
+  .description('Verifica se URLs estão no escopo definido em um arquivo')
+  .requiredOption('--scope <arquivo>', 'arquivo JSON/YAML com o escopo do programa')
+  .option('-d, --domain <domínio>', 'domínio alvo (escopo usado quando o arquivo não tem include)', DEFAULT_SCAN_OPTIONS.domain)
+  .option('-a, --alt-domains <lista>', 'domínios alternativos separados por vírgula', parseList)
+  .option('--json', 'exibir as verificações em JSON', false)
+  .action(async (urls, opts) => {
+    const scope = createScopeMatcher(await loadScope(path.resolve(opts.scope)), {
+      domain: opts.domain,
+      alternativeDomains: resolveAlternativeDomains(opts.domain, opts.altDomains)
+    });
+    const verdicts = urls.map(url => ({ url, ...scope.check(url) }));
+
+    if (opts.json) {
+      console.log(JSON.stringify(verdicts, null, 2));
+      return;
+    }
+
+    verdicts.forEach(verdict => printScopeCheck(verdict.url, verdict));
+    console.log(chalk.cyan(`\n🎯 ${verdicts.filter(verdict => verdict.inScope).length} de ${verdicts.length} URLs no escopo`));
+  });
+
+program
+  .command('secrets <arquivos...>')
+  .description('Procura segredos em arquivos (ex: um .env baixado); os valores são sempre mascarados')
+  .option('--json', 'exibir as ocorrências em JSON', false)
+  .action(async (files, opts) => {
+    const report = [];
+    for (const file of files) {
+      const content = await fs.readFile(path.resolve(file), 'utf8');
+      report.push({ file, secrets: detectSecrets(content, { source: 'file' }).secrets });
+    }
+
+    if (opts.json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    report.forEach(({ file, secrets }) => {
+      console.log(chalk.white(`\n${file}: ${secrets.length} possíveis segredos`));
+      printSecrets(secrets);
+    });
+  });
+
+program
+  .command('mock-api')
+  .description('Inicia um servidor local que simula as APIs de pesquisa (use como baseUrl em --api-config)')
+  .option('-p, --port <porta>', 'porta do servidor', Number, 8787)
+  .option('--results <n>', 'resultados simulados por consulta', Number, 25)
+  .option('--quota <n>', 'requisições aceitas antes de responder cota esgotada', Number)
+  .action(async (opts) => {
+    const server = createMockSearchServer({ results: opts.results, quota: opts.quota ?? null });
+    await new Promise(resolve => server.listen(opts.port, '127.0.0.1', resolve));
+
+    const base = `http://127.0.0.1:${opts.port}`;
+    console.log(chalk.green(`🧪 APIs simuladas em ${base} (CTRL+C para encerrar)`));
+    console.log(chalk.white(`  google-cse: ${base}/customsearch/v1`));
+    console.log(chalk.white(`  bing:       ${base}/v7.0/search`));
+    console.log(chalk.white(`  serpapi:    ${base}/search`));
+  });
+
+program.parseAsync(process.argv).catch(err => {
+  console.error(chalk.red(`\n💥 Erro fatal: ${err.message}`));
+  process.exit(1);
+});
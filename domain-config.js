@@ -10,14 +10,19 @@
 export const TARGET_DOMAIN = 'tesla.com';
 
 // Lista de domínios alternativos para pesquisas adicionais
+// (usados apenas quando o alvo é TARGET_DOMAIN; outros alvos usam --alt-domains)
 export const ALTERNATIVE_DOMAINS = [
   'adm.tesla.com',
   'web.tesla.com'
 ];
 
+// Arquivo de escopo do programa (JSON/YAML com include, exclude e excludePaths; veja scope.js)
+// null = apenas o domínio alvo, seus subdomínios e os domínios alternativos
+export const SCOPE_FILE = null;
+
 // Outras configurações relacionadas ao domínio
 export const DOMAIN_SETTINGS = {
-  // Incluir subdomínios nas pesquisas
+  // Pesquisar também os subdomínios descobertos nos resultados (veja subdomains.js)
   includeSubdomains: true,
   
   // Pesquisar também por variações do domínio
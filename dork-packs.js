@@ -0,0 +1,187 @@
+/**
+ * Dork Packs Module
+ * 
+ * Este módulo carrega pacotes de dorks (arquivos JSON ou YAML) com metadados
+ * e gera a lista de dorks para um domínio, substituindo os placeholders
+ * {domain} e {path}.
+ * 
+ * Formato de um pacote:
+ * {
+ *   "id": "generic",
+ *   "name": "Genéricos (Vulnerabilidades comuns)",
+ *   "description": "...",
+ *   "order": 1,
+ *   "dorks": [
+ *     {
+ *       "id": "generic-log-files",
+ *       "query": "site:{domain} filetype:log",
+ *       "category": "exposed-files",
+ *       "description": "Arquivos de log indexados",
+ *       "severity": "medium",
+ *       "tags": ["log"]
+ *     }
+ *   ]
+ * }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Diretório dos pacotes embutidos
+export const DEFAULT_PACKS_DIR = path.join(__dirname, 'dork-packs');
+
+// Níveis de severidade aceitos, do menos para o mais grave
+export const SEVERITY_LEVELS = ['info', 'low', 'medium', 'high', 'critical'];
+
+const PACK_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Valida a estrutura de um pacote de dorks e preenche valores padrão
+ * @param {Object} pack - Conteúdo do pacote
+ * @param {string} source - Arquivo de origem (para mensagens de erro)
+ * @returns {Object} - Pacote normalizado
+ * @throws {Error} - Se o pacote for inválido
+ */
+export function validateDorkPack(pack, source = 'pacote') {
+  if (!pack || typeof pack !== 'object') {
+    throw new Error(`Pacote de dorks inválido: ${source}`);
+  }
+  if (!pack.id || !/^[a-z0-9_-]+$/i.test(pack.id)) {
+    throw new Error(`Pacote de dorks sem "id" válido: ${source}`);
+  }
+  if (!Array.isArray(pack.dorks) || pack.dorks.length === 0) {
+    throw new Error(`Pacote "${pack.id}" não possui dorks: ${source}`);
+  }
+  
+  const seenIds = new Set();
+  const dorks = pack.dorks.map((dork, idx) => {
+    if (!dork || typeof dork.query !== 'string' || !dork.query.trim()) {
+      throw new Error(`Dork #${idx + 1} do pacote "${pack.id}" não possui "query": ${source}`);
+    }
+    
+    const id = dork.id || `${pack.id}-${idx + 1}`;
+    if (seenIds.has(id)) {
+      throw new Error(`Id de dork duplicado "${id}" no pacote "${pack.id}": ${source}`);
+    }
+    seenIds.add(id);
+    
+    const severity = dork.severity || 'info';
+    if (!SEVERITY_LEVELS.includes(severity)) {
+      throw new Error(`Severidade inválida "${severity}" no dork "${id}" (use ${SEVERITY_LEVELS.join(', ')}): ${source}`);
+    }
+    
+    return {
+      id,
+      query: dork.query.trim(),
+      category: dork.category || pack.id,
+      description: dork.description || '',
+      severity,
+      tags: Array.isArray(dork.tags) ? dork.tags : []
+    };
+  });
+  
+  return {
+    id: pack.id,
+    name: pack.name || pack.id,
+    description: pack.description || '',
+    order: Number.isFinite(pack.order) ? pack.order : 100,
+    source,
+    dorks
+  };
+}
+
+/**
+ * Lê um arquivo de pacote (JSON ou YAML)
+ * @param {string} filePath - Caminho do arquivo
+ * @returns {Promise<Object>} - Pacote validado
+ */
+export async function loadDorkPackFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  
+  let data;
+  try {
+    data = path.extname(filePath) === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Erro ao ler pacote de dorks ${filePath}: ${error.message}`);
+  }
+  
+  return validateDorkPack(data, filePath);
+}
+
+/**
+ * Carrega todos os pacotes de dorks dos diretórios informados
+ * Pacotes com o mesmo id em diretórios posteriores substituem os anteriores
+ * @param {Array<string>} dirs - Diretórios com pacotes (os inexistentes são ignorados)
+ * @returns {Promise<Array<Object>>} - Pacotes carregados, ordenados pelo campo "order"
+ */
+export async function loadDorkPacks(dirs = [DEFAULT_PACKS_DIR]) {
+  const packs = new Map();
+  
+  for (const dir of dirs.filter(Boolean)) {
+    if (!(await fs.pathExists(dir))) continue;
+    
+    const files = (await fs.readdir(dir))
+      .filter(file => PACK_EXTENSIONS.includes(path.extname(file)))
+      .sort();
+    
+    for (const file of files) {
+      const pack = await loadDorkPackFile(path.join(dir, file));
+      packs.set(pack.id, pack);
+    }
+  }
+  
+  // Ordenar pelo campo "order" (e pelo id em caso de empate) para um menu estável
+  return Array.from(packs.values()).sort((a, b) => a.order - b.order || a.id.localeCompare(b.id));
+}
+
+/**
+ * Substitui os placeholders {nome} de um template de dork
+ * @param {string} template - Template do dork
+ * @param {Object} vars - Valores dos placeholders
+ * @returns {string} - Dork com os valores substituídos
+ */
+export function expandDorkTemplate(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    vars[name] !== undefined ? vars[name] : match
+  ));
+}
+
+/**
+ * Gera os dorks dos pacotes selecionados para um domínio
+ * Dorks com {path} são repetidos para cada caminho informado (e ignorados se não houver caminhos)
+ * @param {Array<Object>} packs - Pacotes carregados
+ * @param {Array<string>} packIds - Ids dos pacotes selecionados
+ * @param {Object} vars - { domain, paths }
+ * @returns {Array<Object>} - Dorks com query, id, pack, category, description, severity e tags
+ */
+export function buildDorksFromPacks(packs, packIds, { domain, paths = [] }) {
+  const dorks = [];
+  
+  packIds.forEach(packId => {
+    const pack = packs.find(p => p.id === packId);
+    if (!pack) return;
+    
+    pack.dorks.forEach(dork => {
+      const base = { ...dork, pack: pack.id };
+      
+      if (!dork.query.includes('{path}')) {
+        dorks.push({ ...base, query: expandDorkTemplate(dork.query, { domain }) });
+        return;
+      }
+      
+      paths.forEach(dorkPath => {
+        dorks.push({
+          ...base,
+          id: `${dork.id}:${dorkPath}`,
+          query: expandDorkTemplate(dork.query, { domain, path: dorkPath })
+        });
+      });
+    });
+  });
+  
+  return dorks;
+}
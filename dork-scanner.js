@@ -5,8 +5,8 @@
  * automatizar a descoberta de vulnerabilidades e exposições de informação.
  * 
  * Uso:
- * 1. Configure o domínio alvo em domain-config.js
- * 2. Execute: node dork-scanner.js
+ * 1. Configure o domínio alvo em domain-config.js (ou use --domain na CLI)
+ * 2. Execute: node cli.js scan (veja node cli.js --help)
  * 
  * Características:
  * - Sistema modular com arquivos separados para dorks, interação humana e utilitários
@@ -16,24 +16,37 @@
  * - Sistema de checkpoint para retomar varreduras
  */
 
-import puppeteer from 'puppeteer';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
-import readline from 'readline';
 
 // Importar módulos personalizados
-import { 
-  SEARCH_ENGINES, 
-  USER_AGENTS, 
-  generateGenericDorks,
-  generateAEMDorks,
-  generateCMSDorks,
-  generateEcommerceDorks
-} from './dorks-config.js';
+import { USER_AGENTS } from './dorks-config.js';
+
+import { DEFAULT_PACKS_DIR, loadDorkPacks, buildDorksFromPacks } from './dork-packs.js';
+
+import { getEngine, listEngines, loadCustomEngines, registerApiEngines } from './engines/index.js';
+import { translateDork } from './dork-syntax.js';
+import { buildFindings, sortFindings } from './findings.js';
+import { generateHtmlReport } from './html-report.js';
+import { resolveExportFormats, exportFindings } from './exporters.js';
+import { createEngineScheduler } from './rate-limiter.js';
+import { loadEngineHealth, createEngineHealthTracker, printEngineHealth } from './engine-health.js';
+import { createBrowserManager, closeAllBrowsers } from './browser-manager.js';
+import { formatProxy, checkProxyConnectivity, describeProxy } from './proxy.js';
+import { normalizeVerdict } from './block-detector.js';
+import { resolvePageLimits, appendPageResults } from './serp-parser.js';
+import { createScanRecord, appendScanRecord, loadScanHistory, diffScans, printScanDiff } from './history.js';
+import { createScanConsole } from './scan-console.js';
+import { createDomainScope, verifyUrls, summarizeVerifications, printVerification } from './url-verifier.js';
+import { inspectResultSecrets, addFindingSecrets, printSecrets } from './secret-detector.js';
+import { createSubdomainTracker, printDiscoveredSubdomains, DEFAULT_FOLLOW_UP_DORKS } from './subdomains.js';
+import { loadScope, createScopeMatcher, applyScopeToResult, OUT_OF_SCOPE_MODES } from './scope.js';
+import { loadTriageStore, saveTriageStore, setDorkVerdict, setFindingVerdict, applyTriage, promptTriageVerdict } from './triage.js';
 
 import {
+  askQuestion,
   waitForUserConfirmation,
   waitForCaptchaResolution,
   detectCaptchaOrBlock,
@@ -44,9 +57,12 @@ import {
 } from './human-interaction.js';
 
 import {
-  randomDelay,
   loadCheckpoint,
   saveCheckpoint,
+  createCheckpoint,
+  addPendingDorks,
+  generatePlanFingerprint,
+  generateDorkHash,
   formatDorkForFilename,
   generateReport,
   saveExecutionStats,
@@ -57,36 +73,116 @@ import {
 } from './utils.js';
 
 // Importar configuração de domínio
-import { TARGET_DOMAIN, ALTERNATIVE_DOMAINS, DOMAIN_SETTINGS } from './domain-config.js';
+import { TARGET_DOMAIN, ALTERNATIVE_DOMAINS, DOMAIN_SETTINGS, SCOPE_FILE } from './domain-config.js';
 
 // Obter o diretório atual
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// ===== Configurações =====
-const RESULTS_DIR = path.join(__dirname, 'dorks-results');
-const DELAY_BETWEEN_SEARCHES = 5000; // Delay entre pesquisas para evitar bloqueio (em ms)
-const RANDOM_DELAY_MAX = 5000; // Máximo delay adicional aleatório (em ms)
-const CAPTCHA_MANUAL_MODE = true; // Se true, sempre vai pedir intervenção humana em captchas
-const SAVE_CHECKPOINT = true; // Salvar progresso para continuar depois
-const CHECKPOINT_FILE = path.join(__dirname, 'dork_checkpoint.json');
-const ONLY_SHOW_RESULTS = true; // Mostrar apenas dorks com resultados
-const SCREENSHOTS_DIR = path.join(RESULTS_DIR, 'screenshots');
-const REPORTS_DIR = path.join(RESULTS_DIR, 'reports');
-const ONLY_DISPLAY_DORKS = true; // APENAS MOSTRAR DORKS SEM ACESSAR SITES
-const MANUAL_VALIDATION_MODE = true; // Permite validação manual das URLs antes de abrir
-
-// Criar interface para readline com configuração personalizada
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-  terminal: true
-});
+// ===== Configurações padrão =====
+// Podem ser sobrescritas pelas opções da CLI (veja cli.js)
+export const DEFAULT_SCAN_OPTIONS = {
+  domain: TARGET_DOMAIN,
+  alternativeDomains: null, // Domínios alternativos (null = ALTERNATIVE_DOMAINS apenas se o domínio for TARGET_DOMAIN)
+  paths: null, // Caminhos para dorks com {path} e inurl (null = DOMAIN_SETTINGS)
+  scopeFile: SCOPE_FILE, // Arquivo de escopo do programa (veja scope.js; null = domínio alvo e alternativos)
+  outOfScopeMode: null, // URLs fora do escopo: flag ou drop (null = valor do arquivo de escopo)
+  types: null, // Pacotes de dorks (null = perguntar ao usuário)
+  packsDir: path.join(__dirname, 'custom-packs'), // Pacotes de dorks adicionais (JSON/YAML)
+  engines: null, // Nomes dos motores de busca (null = todos)
+  customEnginesDir: path.join(__dirname, 'custom-engines'), // Adaptadores de motores personalizados
+  apiConfigFile: null, // Configuração das APIs oficiais de pesquisa (veja engines/api-engines.js)
+  resultsDir: path.join(__dirname, 'dorks-results'),
+  // Estado persistente (null = dentro de resultsDir, veja resolveStatePaths)
+  apiUsageFile: null, // Uso diário das cotas das APIs
+  checkpointFile: null,
+  historyDir: null, // Histórico de varreduras (JSONL por domínio)
+  engineHealthFile: null, // Saúde dos motores entre varreduras
+  triageFile: null, // Vereditos do analista (todos os domínios)
+  browserProfilesDir: null, // Perfis persistentes do navegador (um por motor; contêm cookies e sessões)
+  exportFormats: [], // Formatos de exportação dos achados (csv, jsonl, sarif)
+  proxy: null, // Proxy de saída (veja proxy.js; null = conexão direta)
+  proxyCheck: true, // Verificar a conectividade do proxy antes de iniciar
+  delayBetweenSearches: 5000, // Intervalo mínimo entre pesquisas no mesmo motor (em ms)
+  randomDelayMax: 5000, // Máximo delay adicional aleatório (em ms)
+  blockCooldown: 60000, // Cooldown inicial de um motor após bloqueio (dobra a cada novo bloqueio)
+  maxBlockCooldown: 15 * 60 * 1000, // Cooldown máximo de um motor bloqueado (em ms)
+  maxPages: null, // Máximo de páginas por dork (null = valor do motor de busca)
+  maxResults: null, // Máximo de resultados por dork (null = valor do motor de busca)
+  verifyUrls: false, // Verificar se as URLs encontradas ainda estão expostas (veja url-verifier.js)
+  verifyConcurrency: 5, // URLs verificadas ao mesmo tempo
+  verifyTimeout: 10000, // Tempo máximo de cada requisição da verificação (em ms)
+  verifyMaxBytes: 1024 * 1024, // Bytes lidos do corpo de cada URL na verificação
+  discoverSubdomains: DOMAIN_SETTINGS.includeSubdomains, // Pesquisar subdomínios descobertos nos resultados (veja subdomains.js)
+  subdomainDepth: 1, // Profundidade máxima dos subdomínios pesquisados (0 = apenas inventário)
+  maxSubdomains: 25, // Máximo de subdomínios que recebem dorks de acompanhamento
+  subdomainDorks: null, // Modelos dos dorks de acompanhamento com {subdomain} (null = DEFAULT_FOLLOW_UP_DORKS)
+  saveCheckpoint: true, // Salvar progresso para continuar depois
+  onlyDisplayDorks: true, // APENAS MOSTRAR DORKS SEM ACESSAR SITES
+  manualValidation: true, // Permite validação manual das URLs antes de abrir
+  assumeYes: false, // Não pedir confirmações (modo não interativo)
+  interactiveSetup: true // Confirmar domínio e perguntar categorias antes de iniciar
+};
+
+/**
+ * Caminhos do estado persistente de uma varredura
+ * Os não informados ficam dentro do diretório de resultados, nunca soltos no diretório do
+ * projeto (os perfis do navegador guardam cookies e sessões dos buscadores)
+ * @param {Object} options - { resultsDir, apiUsageFile, checkpointFile, historyDir, engineHealthFile, triageFile, browserProfilesDir }
+ * @returns {Object} - Os mesmos caminhos, com os padrões aplicados
+ */
+export function resolveStatePaths({ resultsDir = DEFAULT_SCAN_OPTIONS.resultsDir, ...paths } = {}) {
+  return {
+    apiUsageFile: paths.apiUsageFile || path.join(resultsDir, 'api-usage.json'),
+    checkpointFile: paths.checkpointFile || path.join(resultsDir, 'dork_checkpoint.json'),
+    historyDir: paths.historyDir || path.join(resultsDir, 'history'),
+    engineHealthFile: paths.engineHealthFile || path.join(resultsDir, 'engine-health.json'),
+    triageFile: paths.triageFile || path.join(resultsDir, 'triage.json'),
+    browserProfilesDir: paths.browserProfilesDir || path.join(resultsDir, 'browser-profiles')
+  };
+}
+
+// Diretório de relatórios da varredura em andamento (usado no CTRL+C)
+let activeReportsDir = path.join(DEFAULT_SCAN_OPTIONS.resultsDir, 'reports');
 
-// Função para escolher aleatoriamente um motor de busca
-function getRandomSearchEngine() {
-  const index = Math.floor(Math.random() * SEARCH_ENGINES.length);
-  return SEARCH_ENGINES[index];
+/**
+ * Seleciona os adaptadores de motores de busca pelos nomes informados
+ * @param {Array<string>|null} names - Ids ou nomes dos motores (sem diferenciar maiúsculas)
+ * @returns {Array} - Adaptadores selecionados (todos os registrados se names for vazio)
+ */
+export function resolveSearchEngines(names) {
+  if (!names || names.length === 0) return listEngines();
+  return [...new Set(names.map(getEngine))];
+}
+
+/**
+ * Carrega os pacotes de dorks embutidos e os do diretório adicional
+ * @param {string} packsDir - Diretório com pacotes adicionais (opcional)
+ * @returns {Promise<Array<Object>>} - Pacotes de dorks
+ */
+export async function loadAvailablePacks(packsDir) {
+  const packs = await loadDorkPacks([DEFAULT_PACKS_DIR, packsDir]);
+  if (packs.length === 0) {
+    throw new Error('Nenhum pacote de dorks encontrado');
+  }
+  return packs;
+}
+
+/**
+ * Valida os identificadores de pacotes de dorks
+ * @param {Array<string>} types - Identificadores (ou 'all' para todos)
+ * @param {Array<Object>} packs - Pacotes disponíveis
+ * @returns {Array<string>} - Identificadores válidos, sem duplicatas
+ */
+export function resolveDorkTypes(types, packs) {
+  if (types.includes('all')) return packs.map(pack => pack.id);
+  
+  const unknown = types.filter(type => !packs.some(pack => pack.id === type));
+  if (unknown.length > 0) {
+    throw new Error(`Categoria de dorks desconhecida: ${unknown.join(', ')}`);
+  }
+  
+  return [...new Set(types)];
 }
 
 // Função para escolher aleatoriamente um User Agent
@@ -95,95 +191,131 @@ function getRandomUserAgent() {
   return USER_AGENTS[index];
 }
 
-// Perguntar ao usuário quais tipos de dorks incluir
-async function promptDorkTypes() {
-  return new Promise((resolve) => {
-    console.log(chalk.cyan('\n=== Tipos de Dorks Disponíveis ==='));
-    console.log(chalk.white('1. Genéricos (Vulnerabilidades comuns)'));
-    console.log(chalk.white('2. AEM (Adobe Experience Manager)'));
-    console.log(chalk.white('3. CMS (WordPress, Joomla, Drupal, etc)'));
-    console.log(chalk.white('4. E-commerce e páginas de pagamento'));
-    console.log(chalk.white('5. Todos'));
-    
-    rl.question(chalk.yellow('\nEscolha os tipos de dorks (ex: 1,3 ou 5 para todos): '), (answer) => {
-      const selected = new Set();
-      
-      if (answer.includes('5')) {
-        selected.add(1);
-        selected.add(2);
-        selected.add(3);
-        selected.add(4);
-      } else {
-        answer.split(',').forEach(num => {
-          const n = parseInt(num.trim());
-          if (n >= 1 && n <= 4) selected.add(n);
-        });
-      }
-      
-      // Se nenhuma seleção válida, usar genéricos por padrão
-      if (selected.size === 0) selected.add(1);
-      
-      resolve(Array.from(selected));
-    });
+// Perguntar ao usuário quais tipos de dorks incluir (um item por pacote instalado)
+async function promptDorkTypes(packs) {
+  const allOption = packs.length + 1;
+  
+  console.log(chalk.cyan('\n=== Tipos de Dorks Disponíveis ==='));
+  packs.forEach((pack, idx) => {
+    console.log(chalk.white(`${idx + 1}. ${pack.name} (${pack.dorks.length} dorks)`));
   });
+  console.log(chalk.white(`${allOption}. Todos`));
+  
+  const answer = await askQuestion(chalk.yellow(`\nEscolha os tipos de dorks (ex: 1,3 ou ${allOption} para todos): `));
+  const selected = new Set();
+  
+  if (answer.includes(String(allOption))) {
+    packs.forEach(pack => selected.add(pack.id));
+  } else {
+    answer.split(',').forEach(num => {
+      const n = parseInt(num.trim());
+      if (n >= 1 && n <= packs.length) selected.add(packs[n - 1].id);
+    });
+  }
+  
+  // Se nenhuma seleção válida, usar o primeiro pacote (genéricos) por padrão
+  if (selected.size === 0) selected.add(packs[0].id);
+  
+  return Array.from(selected);
 }
 
-// Função para gerar a lista de dorks com base na seleção do usuário
-function generateDorksList(types, domain) {
-  let dorks = [];
-  
-  types.forEach(type => {
-    switch(type) {
-      case 1:
-        dorks = [...dorks, ...generateGenericDorks(domain)];
-        break;
-      case 2:
-        dorks = [...dorks, ...generateAEMDorks(domain)];
-        break;
-      case 3:
-        dorks = [...dorks, ...generateCMSDorks(domain)];
-        break;
-      case 4:
-        dorks = [...dorks, ...generateEcommerceDorks(domain)];
-        break;
-    }
-  });
+/**
+ * Cria uma entrada de dork gerada pelo próprio scanner (fora dos pacotes)
+ * @param {string} id - Identificador do dork
+ * @param {string} query - Dork
+ * @param {string} category - Categoria
+ * @param {string} description - Descrição
+ * @returns {Object} - Entrada no mesmo formato dos dorks de pacotes
+ */
+function createBuiltinDork(id, query, category, description) {
+  return { id, query, pack: 'builtin', category, description, severity: 'info', tags: [category] };
+}
+
+/**
+ * Domínios alternativos de um alvo
+ * Os domínios alternativos de domain-config.js pertencem a TARGET_DOMAIN: outro alvo sem
+ * domínios alternativos informados não deve pesquisar (nem misturar nos achados) esses hosts
+ * @param {string} domain - Domínio alvo
+ * @param {Array<string>|null} alternativeDomains - Domínios informados (null = padrão do alvo)
+ * @returns {Array<string>} - Domínios alternativos
+ */
+export function resolveAlternativeDomains(domain, alternativeDomains = null) {
+  if (alternativeDomains) return alternativeDomains;
+  return domain === TARGET_DOMAIN ? ALTERNATIVE_DOMAINS : [];
+}
+
+/**
+ * Gera a lista de dorks com base nos pacotes selecionados
+ * @param {Array<Object>} packs - Pacotes de dorks disponíveis
+ * @param {Array<string>} types - Identificadores dos pacotes selecionados
+ * @param {string} domain - Domínio alvo
+ * @param {Array<string>} alternativeDomains - Domínios alternativos (padrão: veja resolveAlternativeDomains)
+ * @param {Object} pathSettings - { limitPaths, paths } (padrão: DOMAIN_SETTINGS)
+ * @param {Object|null} scope - Escopo do programa (veja scope.js): remove dorks de hosts excluídos e acrescenta exclusões
+ * @returns {Array<Object>} - Dorks (query, id, metadados), sem queries duplicadas
+ */
+export function generateDorksList(packs, types, domain, alternativeDomains = resolveAlternativeDomains(domain), pathSettings = DOMAIN_SETTINGS, scope = null) {
+  const dorks = buildDorksFromPacks(packs, types, { domain, paths: pathSettings.paths });
   
   // Adicionar dorks para domínios alternativos se configurado
-  if (DOMAIN_SETTINGS.includeVariations && ALTERNATIVE_DOMAINS.length > 0) {
-    ALTERNATIVE_DOMAINS.forEach(altDomain => {
+  if (DOMAIN_SETTINGS.includeVariations && alternativeDomains.length > 0) {
+    alternativeDomains.forEach(altDomain => {
       // Adicionar alguns dorks básicos para cada domínio alternativo
-      dorks.push(`site:${altDomain}`);
-      dorks.push(`site:${altDomain} inurl:admin`);
-      dorks.push(`site:${altDomain} filetype:log`);
+      dorks.push(createBuiltinDork(`alt-site:${altDomain}`, `site:${altDomain}`, 'alternative-domains', `Páginas indexadas de ${altDomain}`));
+      dorks.push(createBuiltinDork(`alt-admin:${altDomain}`, `site:${altDomain} inurl:admin`, 'alternative-domains', `Páginas administrativas de ${altDomain}`));
+      dorks.push(createBuiltinDork(`alt-log:${altDomain}`, `site:${altDomain} filetype:log`, 'alternative-domains', `Arquivos de log de ${altDomain}`));
     });
   }
   
   // Adicionar dorks específicos para caminhos se configurado
-  if (DOMAIN_SETTINGS.limitPaths && DOMAIN_SETTINGS.paths.length > 0) {
-    DOMAIN_SETTINGS.paths.forEach(path => {
-      dorks.push(`site:${domain} inurl:${path}`);
+  if (pathSettings.limitPaths && pathSettings.paths.length > 0) {
+    pathSettings.paths.forEach(path => {
+      dorks.push(createBuiltinDork(`path:${path}`, `site:${domain} inurl:${path}`, 'paths', `Páginas sob ${path}`));
     });
   }
   
-  // Remover duplicatas
-  return [...new Set(dorks)];
+  // Remover duplicatas (mesma query em pacotes diferentes)
+  const seenQueries = new Set();
+  return (scope ? scope.applyToDorks(dorks) : dorks).filter(dork => {
+    if (seenQueries.has(dork.query)) return false;
+    seenQueries.add(dork.query);
+    return true;
+  });
 }
 
 // Modo apenas exibição de dorks (sem acesso)
-function displayOnlyDorkInfo(dork, index, totalDorks, searchEngine) {
+function displayOnlyDorkInfo(dorkEntry, index, totalDorks, searchEngine, translation) {
+  const dork = dorkEntry.query;
+  
   console.log(chalk.blue(`\n[${index+1}/${totalDorks}] Dork:`));
   console.log(chalk.green(`🔍 ${dork}`)); 
+  if (dorkEntry.description) {
+    console.log(chalk.gray(`📝 ${dorkEntry.description} [${dorkEntry.severity}]`));
+  }
+  
+  // Mostrar a tradução quando a sintaxe do motor for diferente
+  if (translation.query !== dork) {
+    console.log(chalk.magenta(`🔁 Traduzido: ${translation.query}`));
+  }
+  translation.warnings.forEach(warning => console.log(chalk.gray(`   ↳ ${warning}`)));
   
   // Construir URL de pesquisa, mas não acessar
-  const searchUrl = `${searchEngine.url}${encodeURIComponent(dork)}`;
+  const searchUrl = searchEngine.buildSearchUrl(translation.query);
   console.log(chalk.yellow(`🔗 URL: ${searchUrl}`));
   console.log(chalk.blue(`🌐 Motor: ${searchEngine.name}`));
   
   // Registrar em arquivo para referência
   const dorkInfo = {
     dork: dork,
+    dorkId: dorkEntry.id,
+    pack: dorkEntry.pack,
+    category: dorkEntry.category,
+    severity: dorkEntry.severity,
+    tags: dorkEntry.tags,
+    description: dorkEntry.description,
     searchEngine: searchEngine.name,
+    engineQuery: translation.query,
+    translationWarnings: translation.warnings,
     searchUrl: searchUrl,
     timestamp: new Date().toISOString()
   };
@@ -200,34 +332,12 @@ async function askUserToCheckUrl(dork, url) {
   return answer.toLowerCase() === 's';
 }
 
-// Abrir navegador para verificar manualmente uma URL
-async function openBrowserForUrl(url, userAgent) {
+// Abrir a URL no navegador do motor de busca para verificação manual
+// O navegador (e os cookies do perfil) continua aberto para os próximos dorks
+// Retorna os resultados extraídos da página (ou null em caso de erro)
+async function openBrowserForUrl(url, searchEngine, browsers) {
   try {
-    console.log(chalk.blue(`🌐 Abrindo navegador para verificação manual...`));
-    
-    // Configurações para iniciação do navegador
-    const launchOptions = {
-      headless: false,
-      defaultViewport: { width: 1280, height: 800 },
-      args: [
-        '--disable-blink-features=AutomationControlled',
-        '--start-maximized'
-      ]
-    };
-    
-    // Abrir navegador e navegar para a URL
-    const browser = await puppeteer.launch(launchOptions);
-    const page = await browser.newPage();
-    
-    if (userAgent) {
-      await page.setUserAgent(userAgent);
-    }
-    
-    // Esconder sinais de automação
-    await page.evaluateOnNewDocument(() => {
-      // Remover sinais comuns de automação
-      Object.defineProperty(navigator, 'webdriver', { get: () => false });
-    });
+    const page = await browsers.getPage(searchEngine.id);
     
     // Navegar para a URL do dork
     console.log(chalk.yellow(`🌐 Navegando para ${url}...`));
@@ -237,35 +347,477 @@ async function openBrowserForUrl(url, userAgent) {
     console.log(chalk.green(`✅ Navegador aberto para inspeção manual. Pressione ENTER quando terminar...`));
     await waitForUserConfirmation();
     
-    // Fechar navegador após confirmação
-    await browser.close();
+    // Extrair os resultados da página como ela está após a inspeção
+    // (motores de API não têm HTML para extrair: a página é apenas para inspeção)
+    let parsed = null;
+    if (!page.isClosed() && searchEngine.backend !== 'api') {
+      parsed = searchEngine.parseResults(await page.content(), page.url());
+      console.log(chalk.cyan(`📊 ${parsed.results.length} resultados extraídos da página`));
+    }
     
+    return parsed;
   } catch (error) {
     console.error(chalk.red(`❌ Erro ao abrir navegador: ${error.message}`));
+    return null;
+  }
+}
+
+/**
+ * Navega para uma página de resultados e trata consentimento e bloqueios
+ * @param {Object} page - Página Puppeteer persistente
+ * @param {string} url - URL da página de resultados
+ * @param {Object} searchEngine - Adaptador do motor de busca
+ * @param {Object} options - Opções da varredura
+ * @returns {Promise<Object>} - Veredito da página ({ verdict, blocked, confidence, reason }, veja block-detector.js)
+ */
+async function loadSearchPage(page, url, searchEngine, options) {
+  const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+  const status = response ? response.status() : null;
+  
+  // Limite de requisições do motor: não adianta esperar um captcha
+  if (status === 429) {
+    const verdict = normalizeVerdict(await searchEngine.detectBlock(page, { status }));
+    console.log(chalk.red(`🛑 ${searchEngine.name} respondeu HTTP 429 (muitas requisições)`));
+    return verdict;
+  }
+  
+  await searchEngine.acceptConsent(page);
+  await waitForPageStability(page);
+  
+  let verdict = normalizeVerdict(await searchEngine.detectBlock(page, { status }));
+  
+  // Captcha ou parede de consentimento podem ser resolvidos pelo usuário
+  // (em modo não interativo não há quem resolva: apenas pular)
+  if (verdict.blocked && verdict.verdict !== 'rate-limit' && !options.assumeYes) {
+    const detect = async current => normalizeVerdict(await searchEngine.detectBlock(current)).blocked;
+    const onCommand = options.scanConsole ? line => options.scanConsole.handleHandoff(line) : null;
+    if (await waitForCaptchaResolution(page, 60000, true, { detect, onCommand })) {
+      verdict = normalizeVerdict(await searchEngine.detectBlock(page));
+    }
+  }
+  await removeVisualAlerts(page);
+  
+  return verdict;
+}
+
+/**
+ * Coleta as páginas seguintes de resultados de um dork, até atingir o limite
+ * de páginas/resultados ou até uma página não trazer nenhuma URL nova
+ * @param {Object} page - Página Puppeteer já posicionada na primeira página
+ * @param {string} dork - Dork já traduzido para o motor de busca
+ * @param {Object} searchEngine - Adaptador do motor de busca
+ * @param {Object} options - Opções da varredura
+ * @param {Array} urls - Resultados já coletados (atualizado no lugar)
+ * @param {Object} scheduler - Agendador de pesquisas (veja rate-limiter.js)
+ * @returns {Promise<number>} - Total de páginas lidas (incluindo a primeira)
+ */
+async function collectAdditionalPages(page, dork, searchEngine, options, urls, scheduler) {
+  const { maxPages, maxResults } = resolvePageLimits(searchEngine, options);
+  let pagesCollected = 1;
+  
+  while (pagesCollected < maxPages && urls.length < maxResults) {
+    const nextUrl = searchEngine.getNextPageUrl({
+      query: dork,
+      page: pagesCollected - 1,
+      html: await page.content(),
+      url: page.url()
+    });
+    if (!nextUrl) break;
+    
+    // Cada página conta como uma pesquisa no limite do motor
+    await scheduler.acquire(searchEngine);
+    console.log(chalk.blue(`📄 Página ${pagesCollected + 1} de resultados...`));
+    
+    const verdict = await loadSearchPage(page, nextUrl, searchEngine, options);
+    if (verdict.blocked) {
+      scheduler.reportBlock(searchEngine, verdict.verdict);
+      console.log(chalk.yellow('⚠️ Página seguinte bloqueada, mantendo resultados já coletados'));
+      break;
+    }
+    pagesCollected++;
+    
+    const parsed = searchEngine.parseResults(await page.content(), page.url());
+    
+    // Parar quando a página não trouxer nenhuma URL nova
+    if (appendPageResults(urls, parsed.results, maxResults) === 0) {
+      console.log(chalk.yellow('⏹️ Nenhuma URL nova nesta página, encerrando paginação'));
+      break;
+    }
   }
+  
+  return pagesCollected;
+}
+
+/**
+ * Pesquisa um dork em um motor de API, página por página, até o limite de
+ * páginas/resultados ou até uma página não trazer nenhuma URL nova
+ * @param {Object} result - Resultado do dork (atualizado no lugar)
+ * @param {string} dork - Dork já traduzido para o motor de busca
+ * @param {Object} searchEngine - Adaptador de API (veja engines/api-engines.js)
+ * @param {Object} options - Opções da varredura
+ * @param {Object} scheduler - Agendador de pesquisas (veja rate-limiter.js)
+ * @param {Object} health - Rastreador de saúde dos motores (veja engine-health.js)
+ */
+async function collectApiResults(result, dork, searchEngine, options, scheduler, health) {
+  const { maxPages, maxResults } = resolvePageLimits(searchEngine, options);
+  let estimatedTotal = 0;
+  result.pagesCollected = 0;
+  
+  while (result.pagesCollected < maxPages && result.urls.length < maxResults) {
+    await scheduler.acquire(searchEngine);
+    if (result.pagesCollected > 0) {
+      console.log(chalk.blue(`📄 Página ${result.pagesCollected + 1} de resultados...`));
+    }
+    
+    const requestStart = Date.now();
+    const response = await searchEngine.search(dork, { page: result.pagesCollected, proxy: options.proxy });
+    
+    if (response.blockReason) {
+      console.log(chalk.red(`🛑 ${searchEngine.name} recusou a pesquisa (${response.blockReason})`));
+      scheduler.reportBlock(searchEngine, response.blockReason);
+      // Bloqueio na primeira página perde o dork; nas seguintes mantém o que já foi coletado
+      if (result.pagesCollected === 0) {
+        health.record(searchEngine, { status: 'blocked' });
+        result.status = 'blocked';
+        result.blockReason = response.blockReason;
+      }
+      break;
+    }
+    
+    scheduler.reportSuccess(searchEngine);
+    if (result.pagesCollected === 0) {
+      health.record(searchEngine, { status: 'ok', latency: Date.now() - requestStart, results: response.results.length });
+    }
+    result.pagesCollected++;
+    estimatedTotal = Math.max(estimatedTotal, response.estimatedTotal ?? 0);
+    
+    if (appendPageResults(result.urls, response.results, maxResults) === 0) break;
+    
+    // Página incompleta: não há mais resultados
+    if (response.results.length < searchEngine.resultsPerPage) break;
+  }
+  
+  result.resultsCount = Math.max(estimatedTotal, result.urls.length);
+  if (result.status === 'ok') {
+    console.log(chalk.cyan(`📊 ${result.urls.length} resultados obtidos da API em ${result.pagesCollected} página(s)`));
+  }
+}
+
+/**
+ * Processa um dork no modo automatizado: pesquisa, coleta resultados e screenshot
+ * @param {Object} dorkEntry - Dork com metadados (veja generateDorksList)
+ * @param {number} index - Índice do dork
+ * @param {number} totalDorks - Total de dorks
+ * @param {Object} options - Opções da varredura
+ * @param {Array} engines - Motores de busca disponíveis
+ * @param {Object} browsers - Gerenciador de navegadores (veja browser-manager.js)
+ * @param {string} screenshotsDir - Diretório para as capturas de tela
+ * @param {Object} scheduler - Agendador de pesquisas (veja rate-limiter.js)
+ * @param {Object} health - Rastreador de saúde dos motores (veja engine-health.js)
+ * @returns {Promise<Object>} - Resultado do dork
+ */
+async function processDorkAutomatedMode(dorkEntry, index, totalDorks, options, engines, browsers, screenshotsDir, scheduler, health) {
+  const startTime = Date.now();
+  const dork = dorkEntry.query;
+  
+  // Escolher entre os motores que suportam o dork e não estão em cooldown
+  // (APIs com a cota esgotada saem da rotação)
+  const withQuota = engines.filter(engine => !(engine.isExhausted && engine.isExhausted()));
+  if (withQuota.length === 0) {
+    throw new Error('Cota esgotada em todas as APIs de pesquisa selecionadas');
+  }
+  const supporting = withQuota.filter(engine => translateDork(dork, engine).supported);
+  const available = await scheduler.availableEngines(supporting.length > 0 ? supporting : withQuota);
+  const { searchEngine, translation } = chooseEngine(dork, available, options, health);
+  const result = displayOnlyDorkInfo(dorkEntry, index, totalDorks, searchEngine, translation);
+  
+  result.resultsCount = 0;
+  result.urls = [];
+  result.screenshotPath = null;
+  result.status = 'ok';
+  
+  // APIs oficiais: sem navegador nem screenshot
+  if (searchEngine.backend === 'api') {
+    try {
+      await collectApiResults(result, translation.query, searchEngine, options, scheduler, health);
+    } catch (error) {
+      console.error(chalk.red(`❌ Erro ao processar dork: ${error.message}`));
+      result.status = 'error';
+      result.error = error.message;
+      health.record(searchEngine, { status: 'error' });
+    }
+    result.processingTime = Date.now() - startTime;
+    return result;
+  }
+  
+  // Cada motor tem seu navegador e perfil, mantidos entre os dorks
+  // (falha ao abrir o navegador interrompe a varredura)
+  const page = await browsers.getPage(searchEngine.id);
+  
+  try {
+    await scheduler.acquire(searchEngine);
+    const requestStart = Date.now();
+    const verdict = await loadSearchPage(page, result.searchUrl, searchEngine, options);
+    const latency = Date.now() - requestStart;
+    result.pageVerdict = { verdict: verdict.verdict, confidence: verdict.confidence, reason: verdict.reason };
+    
+    if (verdict.blocked) {
+      console.log(chalk.red(`🛑 Pesquisa bloqueada em ${searchEngine.name} (${verdict.verdict}), pulando dork`));
+      scheduler.reportBlock(searchEngine, verdict.verdict);
+      health.record(searchEngine, { status: 'blocked' });
+      result.status = 'blocked';
+      result.blockReason = verdict.verdict;
+    } else {
+      scheduler.reportSuccess(searchEngine);
+      await performRandomBrowsing(page);
+      
+      const parsed = searchEngine.parseResults(await page.content(), page.url());
+      const { maxResults } = resolvePageLimits(searchEngine, options);
+      result.urls = parsed.results.slice(0, maxResults);
+      health.record(searchEngine, { status: 'ok', latency, results: parsed.results.length });
+      
+      // Screenshot da primeira página, antes de seguir para as próximas
+      result.screenshotPath = await takeScreenshot(page, dork, index, screenshotsDir);
+      
+      result.pagesCollected = await collectAdditionalPages(page, translation.query, searchEngine, options, result.urls, scheduler);
+      result.resultsCount = Math.max(parsed.estimatedTotal ?? 0, result.urls.length);
+      console.log(chalk.cyan(`📊 ${result.urls.length} resultados extraídos de ${result.pagesCollected} página(s)`));
+    }
+  } catch (error) {
+    console.error(chalk.red(`❌ Erro ao processar dork: ${error.message}`));
+    result.status = 'error';
+    result.error = error.message;
+    health.record(searchEngine, { status: 'error' });
+  }
+  
+  result.processingTime = Date.now() - startTime;
+  return result;
+}
+
+/**
+ * Escolhe o motor de um dork: o fixado pelo console (comando switch), quando está
+ * entre os candidatos, ou o sorteio ponderado pela saúde dos motores
+ * @param {string} dork - Dork
+ * @param {Array<Object>} candidates - Motores disponíveis para o dork
+ * @param {Object} options - Opções da varredura
+ * @param {Object} health - Rastreador de saúde dos motores (veja engine-health.js)
+ * @returns {Object} - { searchEngine, translation }
+ */
+function chooseEngine(dork, candidates, options, health) {
+  const forced = options.scanConsole && options.scanConsole.getForcedEngine();
+  if (forced) {
+    const searchEngine = candidates.find(engine => engine.id === forced.id);
+    if (searchEngine) {
+      return { searchEngine, translation: translateDork(dork, searchEngine) };
+    }
+    console.log(chalk.yellow(`⚠️ ${forced.name} indisponível para este dork (cooldown, cota esgotada ou sintaxe não suportada), usando o sorteio ponderado`));
+  }
+  return health.selectEngine(dork, candidates);
+}
+
+/**
+ * Registra o veredito do analista para um dork e para as URLs que ele encontrou
+ * (as URLs só herdam o veredito se ainda não tiverem um próprio)
+ * @param {Object} result - Resultado do dork
+ * @param {Object} triage - { verdict, note }
+ * @param {Object} options - Opções da varredura
+ * @param {Object} triageStore - Vereditos salvos (veja triage.js)
+ */
+async function recordDorkTriage(result, triage, options, triageStore) {
+  result.triage = { ...triage, triagedAt: new Date().toISOString() };
+  setDorkVerdict(triageStore, options.domain, result.dork, triage);
+  
+  let inherited = 0;
+  (result.urls || []).forEach(item => {
+    try {
+      if (setFindingVerdict(triageStore, options.domain, item.link, { ...triage, source: 'dork' })) inherited++;
+    } catch (error) {
+      // URLs inválidas não entram nos achados
+    }
+  });
+  
+  await saveTriageStore(options.triageFile, triageStore);
+  console.log(chalk.green(`🏷️ Veredito registrado: ${triage.verdict}${inherited > 0 ? ` (aplicado a ${inherited} URLs)` : ''}`));
 }
 
 // Processar um dork individual no modo de exibição
-async function processDorkDisplayMode(dork, index, totalDorks) {
-  const searchEngine = getRandomSearchEngine();
-  const result = displayOnlyDorkInfo(dork, index, totalDorks, searchEngine);
+async function processDorkDisplayMode(dorkEntry, index, totalDorks, options, engines, health, browsers, triageStore) {
+  const dork = dorkEntry.query;
+  const { searchEngine, translation } = chooseEngine(dork, engines, options, health);
+  const result = displayOnlyDorkInfo(dorkEntry, index, totalDorks, searchEngine, translation);
   
   // Se estiver no modo de validação manual, perguntar se deseja verificar
-  if (MANUAL_VALIDATION_MODE) {
+  if (options.manualValidation) {
     const shouldCheck = await askUserToCheckUrl(dork, result.searchUrl);
     
     if (shouldCheck) {
-      const userAgent = getRandomUserAgent();
-      await openBrowserForUrl(result.searchUrl, userAgent);
+      const parsed = await openBrowserForUrl(result.searchUrl, searchEngine, browsers);
+      result.manuallyChecked = true;
+      
+      if (parsed) {
+        result.resultsCount = parsed.estimatedTotal ?? parsed.results.length;
+        result.urls = parsed.results;
+      }
+      
+      // Guardar a conclusão do analista antes de seguir para o próximo dork
+      const triage = await promptTriageVerdict('este dork');
+      if (triage) {
+        await recordDorkTriage(result, triage, options, triageStore);
+      }
     }
   }
   
   return result;
 }
 
-// Função principal com múltiplos motores de busca
-async function runMultiEngineDorkScan() {
+/**
+ * Verifica se as URLs dos achados ainda estão expostas (apenas dentro dos domínios da varredura)
+ * Cada achado recebe o campo verification; o conteúdo é comparado com a última verificação
+ * registrada no histórico para a mesma URL e passa pelo detector de segredos
+ * @param {Array<Object>} findings - Achados (veja findings.js)
+ * @param {Array<Object>} history - Varreduras anteriores do domínio (veja history.js)
+ * @param {Object} options - Opções da varredura
+ * @param {Function} inScope - (url) => boolean; URLs fora do escopo não são acessadas
+ * @returns {Promise<Object>} - Quantidade de achados por estado
+ */
+async function verifyFindings(findings, history, options, inScope) {
+  // URLs com segredos mascarados (ex: ?token=abcd********) não são mais as URLs reais
+  const verifiable = findings.filter(finding => !finding.secrets.some(secret => secret.source === 'url'));
+  if (verifiable.length < findings.length) {
+    console.log(chalk.yellow(`⚠️ ${findings.length - verifiable.length} URLs com segredos mascarados no link não serão verificadas`));
+  }
+  console.log(chalk.blue(`\n🔎 Verificando ${verifiable.length} URLs (${options.verifyConcurrency} simultâneas)...`));
+  
+  // Varreduras mais recentes sobrescrevem as anteriores
+  const previous = new Map(history
+    .flatMap(scan => scan.findings)
+    .filter(finding => finding.verification && finding.verification.bodyHash)
+    .map(finding => [finding.url, finding.verification]));
+  
+  const verifications = await verifyUrls(verifiable.map(finding => finding.url), {
+    proxy: options.proxy,
+    timeout: options.verifyTimeout,
+    maxBytes: options.verifyMaxBytes,
+    concurrency: options.verifyConcurrency,
+    inScope,
+    getPrevious: url => previous.get(url) || null,
+    onResult: printVerification
+  });
+  
+  // Segredos encontrados nos corpos elevam a severidade, o que pode mudar a ordem dos achados
+  verifiable.forEach((finding, idx) => {
+    finding.verification = verifications[idx];
+    addFindingSecrets(finding, verifications[idx].secrets);
+  });
+  sortFindings(findings);
+  return summarizeVerifications(verifications);
+}
+
+/**
+ * Decide se um checkpoint carregado pode ser reaproveitado para o plano atual
+ * Quando o alvo ou o conjunto de dorks mudou, pergunta ao usuário se os dorks já
+ * concluídos devem ser aproveitados ou se a varredura deve recomeçar
+ * @param {Object|null} checkpoint - Checkpoint carregado (ou null)
+ * @param {Object} target - { domain, alternativeDomains }
+ * @param {Array<Object>} dorks - Dorks do plano atual
+ * @param {Object} options - Opções da varredura
+ * @returns {Promise<Object>} - Checkpoint a ser usado nesta execução
+ */
+export async function resolveCheckpoint(checkpoint, target, dorks, options) {
+  if (!checkpoint) {
+    return createCheckpoint(target, dorks);
+  }
+  
+  const planFingerprint = generatePlanFingerprint(dorks);
+  // Checkpoints antigos não registravam o alvo
+  const sameTarget = !checkpoint.target || checkpoint.target.domain === target.domain;
+  
+  if (!(sameTarget && checkpoint.planFingerprint === planFingerprint)) {
+    const alreadyDone = dorks.filter(dork => {
+      const entry = checkpoint.dorks[generateDorkHash(dork.query)];
+      return entry && entry.status === 'done';
+    }).length;
+    
+    console.log(chalk.yellow('\n⚠️ O checkpoint salvo não corresponde à varredura atual.'));
+    if (!sameTarget) {
+      console.log(chalk.yellow(`   Alvo do checkpoint: ${checkpoint.target.domain} (atual: ${target.domain})`));
+    } else {
+      console.log(chalk.yellow('   As categorias ou dorks selecionados mudaram desde a última execução.'));
+    }
+    console.log(chalk.yellow(`   ${alreadyDone} dos ${dorks.length} dorks atuais já foram concluídos.`));
+    
+    let reuse = sameTarget && alreadyDone > 0;
+    if (!options.assumeYes) {
+      const defaultAnswer = reuse ? 'c' : 'n';
+      const answer = await askQuestion(chalk.cyan(`👉 (c) continuar aproveitando os dorks concluídos ou (n) nova varredura? [${defaultAnswer}]: `));
+      reuse = (answer.trim().toLowerCase() || defaultAnswer) === 'c';
+    }
+    
+    if (!reuse) {
+      console.log(chalk.blue('🆕 Checkpoint descartado. Iniciando nova varredura.'));
+      return createCheckpoint(target, dorks);
+    }
+    
+    checkpoint.target = target;
+    checkpoint.planFingerprint = planFingerprint;
+  }
+  
+  addPendingDorks(checkpoint, dorks);
+  return checkpoint;
+}
+
+/**
+ * Função principal com múltiplos motores de busca
+ * @param {Object} scanOptions - Opções da varredura (veja DEFAULT_SCAN_OPTIONS)
+ * @returns {Promise<Object>} - { domain, stats, results, findings, reportsDir }
+ */
+export async function runMultiEngineDorkScan(scanOptions = {}) {
+  const options = { ...DEFAULT_SCAN_OPTIONS, ...scanOptions };
+  Object.assign(options, resolveStatePaths(options));
+  const RESULTS_DIR = options.resultsDir;
+  const SCREENSHOTS_DIR = path.join(RESULTS_DIR, 'screenshots');
+  const REPORTS_DIR = path.join(RESULTS_DIR, 'reports');
+  const CHECKPOINT_FILE = options.checkpointFile;
+  const TARGET_DOMAIN = options.domain;
+  const ALTERNATIVE_DOMAINS = resolveAlternativeDomains(options.domain, options.alternativeDomains);
+  options.alternativeDomains = ALTERNATIVE_DOMAINS;
+  
+  // Sem confirmações (ou no modo automatizado) não há como perguntar sobre cada URL
+  if (options.assumeYes || !options.onlyDisplayDorks) {
+    options.manualValidation = false;
+  }
+  
+  activeReportsDir = REPORTS_DIR;
+  
+  // Navegadores persistentes (abertos sob demanda, um por motor de busca)
+  let browsers = null;
+  let health = null;
+  let scanConsole = null;
+  
   try {
+    // Registrar adaptadores personalizados antes de selecionar os motores
+    const customEngines = await loadCustomEngines(options.customEnginesDir);
+    if (customEngines.length > 0) {
+      console.log(chalk.blue(`🔌 Motores personalizados carregados: ${customEngines.join(', ')}`));
+    }
+    
+    const apiEngines = await registerApiEngines(options.apiConfigFile, { usageFile: options.apiUsageFile });
+    if (apiEngines.length > 0) {
+      console.log(chalk.blue(`🔑 APIs de pesquisa carregadas: ${apiEngines.join(', ')}`));
+    }
+    
+    const engines = resolveSearchEngines(options.engines);
+    const exportFormats = resolveExportFormats(options.exportFormats);
+    
+    // Escopo do programa: sem arquivo, valem o domínio alvo, seus subdomínios e os alternativos
+    const scope = options.scopeFile
+      ? createScopeMatcher(await loadScope(options.scopeFile), { domain: TARGET_DOMAIN, alternativeDomains: ALTERNATIVE_DOMAINS })
+      : null;
+    const outOfScopeMode = options.outOfScopeMode || (scope ? scope.mode : 'flag');
+    if (!OUT_OF_SCOPE_MODES.includes(outOfScopeMode)) {
+      throw new Error(`Modo de fora do escopo inválido "${outOfScopeMode}" (use ${OUT_OF_SCOPE_MODES.join(' ou ')})`);
+    }
+    
     // Exibir informações do domínio alvo da configuração
     console.log(chalk.cyan(`\n=== Configuração de Domínio ===`));
     console.log(chalk.green(`🎯 Domínio principal: ${TARGET_DOMAIN}`));
@@ -275,17 +827,34 @@ async function runMultiEngineDorkScan() {
     }
     
     console.log(chalk.cyan(`\n=== Modo de Operação ===`));
-    console.log(chalk.white(`- Modo de exibição apenas: ${ONLY_DISPLAY_DORKS ? 'Sim' : 'Não'}`));
-    console.log(chalk.white(`- Validação manual: ${MANUAL_VALIDATION_MODE ? 'Sim' : 'Não'}`));
+    console.log(chalk.white(`- Modo de exibição apenas: ${options.onlyDisplayDorks ? 'Sim' : 'Não'}`));
+    console.log(chalk.white(`- Validação manual: ${options.manualValidation ? 'Sim' : 'Não'}`));
+    console.log(chalk.white(`- Motores de busca: ${engines.map(engine => engine.name).join(', ')}`));
+    console.log(chalk.white(`- Proxy: ${options.proxy ? formatProxy(options.proxy) : 'Nenhum (conexão direta)'}`));
+    console.log(chalk.white(`- Escopo: ${scope ? `${scope.source} (fora do escopo: ${outOfScopeMode === 'drop' ? 'descartar' : 'listar à parte'})` : 'Domínio alvo e alternativos'}`));
+    
+    // Verificar o proxy antes de qualquer acesso (falha encerra a varredura)
+    let proxyCheck = null;
+    if (options.proxy && options.proxyCheck) {
+      console.log(chalk.blue(`🔌 Verificando conectividade pelo proxy ${formatProxy(options.proxy)}...`));
+      proxyCheck = await checkProxyConnectivity(options.proxy);
+      console.log(chalk.green(`✅ Proxy acessível (HTTP ${proxyCheck.status} em ${proxyCheck.latencyMs}ms)`));
+    }
     
     // Confirmar o domínio alvo
-    await waitForUserConfirmation(chalk.yellow(`\n✅ Confirma o uso deste domínio (${TARGET_DOMAIN})? Pressione ENTER para confirmar ou CTRL+C para cancelar.`));
+    if (!options.assumeYes && options.interactiveSetup) {
+      await waitForUserConfirmation(chalk.yellow(`\n✅ Confirma o uso deste domínio (${TARGET_DOMAIN})? Pressione ENTER para confirmar ou CTRL+C para cancelar.`));
+    }
     
-    // Perguntar ao usuário quais tipos de dorks incluir
-    const selectedTypes = await promptDorkTypes();
+    // Usar os pacotes informados ou perguntar ao usuário quais tipos de dorks incluir
+    const packs = await loadAvailablePacks(options.packsDir);
+    const selectedTypes = options.types
+      ? resolveDorkTypes(options.types, packs)
+      : (options.assumeYes || !options.interactiveSetup ? [packs[0].id] : await promptDorkTypes(packs));
     
-    // Gerar lista de dorks com base na seleção
-    const dorks = generateDorksList(selectedTypes, TARGET_DOMAIN);
+    // Gerar lista de dorks com base na seleção (caminhos informados limitam as pesquisas a eles)
+    const pathSettings = options.paths ? { limitPaths: true, paths: options.paths } : DOMAIN_SETTINGS;
+    const dorks = generateDorksList(packs, selectedTypes, TARGET_DOMAIN, ALTERNATIVE_DOMAINS, pathSettings, scope);
     
     // Exibir banner e informações
     displayBanner(TARGET_DOMAIN, dorks.length);
@@ -296,71 +865,285 @@ async function runMultiEngineDorkScan() {
     await fs.ensureDir(REPORTS_DIR);
     
     // Confirmar execução
-    await waitForUserConfirmation(chalk.yellow('🚀 Pressione ENTER para iniciar a varredura...'));
-    
-    // Carregar checkpoint se existir
-    const checkpoint = await loadCheckpoint(CHECKPOINT_FILE);
-    let startIndex = checkpoint.lastIndex + 1;
-    let processedDorks = checkpoint.processedDorks || [];
+    if (!options.assumeYes && options.interactiveSetup) {
+      await waitForUserConfirmation(chalk.yellow('🚀 Pressione ENTER para iniciar a varredura...'));
+    }
     
-    // Iniciar ou continuar relatório
-    let reportContent = checkpoint.reportContent || '';
+    // Carregar checkpoint se existir (status e resultados indexados pelo hash de cada dork)
+    const checkpoint = await resolveCheckpoint(
+      await loadCheckpoint(CHECKPOINT_FILE),
+      { domain: TARGET_DOMAIN, alternativeDomains: ALTERNATIVE_DOMAINS },
+      dorks,
+      options
+    );
+    const getCheckpointEntry = dorkEntry => checkpoint.dorks[generateDorkHash(dorkEntry.query)];
     
-    if (startIndex > 0) {
-      console.log(chalk.green(`📋 Retomando a partir do dork #${startIndex+1}/${dorks.length}`));
+    const alreadyDone = dorks.filter(dorkEntry => getCheckpointEntry(dorkEntry).status === 'done').length;
+    if (alreadyDone > 0) {
+      console.log(chalk.green(`📋 Retomando: ${alreadyDone} dorks já concluídos, ${dorks.length - alreadyDone} restantes`));
     }
     
     // Estatísticas de execução
+    const startTime = new Date().toISOString();
     const stats = {
+      scanId: `scan_${startTime.replace(/[:.]/g, '-')}`,
       targetDomain: TARGET_DOMAIN,
       alternativeDomains: ALTERNATIVE_DOMAINS,
       totalDorks: dorks.length,
-      startTime: new Date().toISOString(),
+      startTime,
       dorksProcessed: 0,
+      dorksResumed: 0,
+      dorksWithResults: 0,
+      dorksSkipped: 0,
+      blocked: 0,
       manuallyChecked: 0, 
-      totalExecutionTime: 0
+      totalExecutionTime: 0,
+      proxy: describeProxy(options.proxy, proxyCheck)
+    };
+    if (scope) {
+      stats.outOfScope = { file: scope.source, mode: outOfScopeMode, results: 0, findings: 0 };
+    }
+    
+    // Subdomínios descobertos nos resultados recebem dorks de acompanhamento, acrescentados ao fim
+    // da lista (o estado fica no checkpoint, então os dorks gerados são retomados com os demais)
+    const queuedQueries = new Set(dorks.map(dorkEntry => dorkEntry.query));
+    const queueDorks = entries => {
+      const added = (scope ? scope.applyToDorks(entries) : entries)
+        .filter(entry => !queuedQueries.has(entry.query))
+        .map(entry => ({
+          ...createBuiltinDork(entry.id, entry.query, 'subdomains', entry.description),
+          subdomain: entry.subdomain,
+          depth: entry.depth
+        }));
+      added.forEach(dorkEntry => queuedQueries.add(dorkEntry.query));
+      dorks.push(...added);
+      addPendingDorks(checkpoint, added);
+      stats.totalDorks = dorks.length;
+      return added.length;
     };
+    let subdomains = null;
+    if (options.discoverSubdomains) {
+      subdomains = createSubdomainTracker({
+        domain: TARGET_DOMAIN,
+        knownDomains: ALTERNATIVE_DOMAINS,
+        maxDepth: options.subdomainDepth,
+        maxSubdomains: options.maxSubdomains,
+        followUpDorks: options.subdomainDorks || DEFAULT_FOLLOW_UP_DORKS,
+        isInScope: scope ? host => scope.isHostInScope(host) : null
+      }, checkpoint.subdomains);
+      checkpoint.subdomains = subdomains.state;
+      const resumed = queueDorks(subdomains.getDorks());
+      if (resumed > 0) {
+        console.log(chalk.green(`🌐 ${resumed} dorks de subdomínios descobertos anteriormente retomados`));
+      }
+    }
     
-    // Processar cada dork a partir do ponto de checkpoint
-    const results = [];
+    // Vereditos do analista de varreduras anteriores (falsos positivos conhecidos são suprimidos)
+    const triageStore = await loadTriageStore(options.triageFile);
     
-    for (let i = startIndex; i < dorks.length; i++) {
-      const dork = dorks[i];
+    // Motores escolhidos por saúde (incluindo varreduras anteriores) e capacidade
+    health = createEngineHealthTracker(engines, await loadEngineHealth(options.engineHealthFile));
+    
+    // Cada motor tem um navegador com perfil persistente, aberto no primeiro uso
+    // e reaproveitado pelos dorks seguintes (na validação manual e no modo automatizado)
+    browsers = createBrowserManager({
+      profilesDir: options.browserProfilesDir,
+      userAgent: getRandomUserAgent(),
+      proxy: options.proxy
+    });
+    
+    // No modo automatizado, o agendador controla o ritmo das pesquisas de cada motor
+    let scheduler = null;
+    if (!options.onlyDisplayDorks) {
+      scheduler = createEngineScheduler(engines, options);
+    }
+    
+    // Console de comandos durante a varredura (apenas em execuções interativas)
+    let currentIndex = 0;
+    if (!options.assumeYes) {
+      scanConsole = createScanConsole({
+        engines,
+        getStatus: state => [
+          `Dork ${currentIndex + 1}/${dorks.length}: ${dorks[currentIndex].query}`,
+          `Processados: ${stats.dorksProcessed}, retomados: ${stats.dorksResumed}, pulados: ${stats.dorksSkipped}${scheduler ? `, bloqueados: ${stats.blocked}` : ''}`,
+          `Motor: ${state.forcedEngine ? state.forcedEngine.name : 'sorteio ponderado'}${state.paused ? ' (pausado)' : ''}`
+        ],
+        onOpen: async last => {
+          const searchEngine = engines.find(engine => engine.name === last.result.searchEngine);
+          if (searchEngine) await openBrowserForUrl(last.result.searchUrl, searchEngine, browsers);
+        },
+        onChange: async () => {
+          if (options.saveCheckpoint) await saveCheckpoint(CHECKPOINT_FILE, checkpoint);
+        },
+        onTriage: async (last, triage) => {
+          await recordDorkTriage(last.result, triage, options, triageStore);
+          if (options.saveCheckpoint) await saveCheckpoint(CHECKPOINT_FILE, checkpoint);
+        }
+      });
+      options.scanConsole = scanConsole;
+      scanConsole.start();
+    }
+    
+    // Processar cada dork ainda não concluído (bloqueados, pulados e com erro são repetidos)
+    // (retry volta ao dork indicado e depois segue de onde a varredura estava)
+    let retryIndex = null;
+    let furthestIndex = -1;
+    for (let i = 0; i < dorks.length; i++) {
+      const dorkEntry = dorks[i];
+      const dork = dorkEntry.query;
+      const checkpointEntry = getCheckpointEntry(dorkEntry);
+      const firstVisit = i > furthestIndex;
+      furthestIndex = Math.max(furthestIndex, i);
+      currentIndex = i;
+      
+      // Ao voltar para repetir um dork, os seguintes já foram tratados nesta execução
+      if (!firstVisit && retryIndex !== i) {
+        continue;
+      }
       
-      // Verificar se este dork já foi processado
-      if (processedDorks.includes(dork)) {
+      // Verificar se este dork já foi processado (a não ser que o console peça para repeti-lo)
+      if (checkpointEntry.status === 'done' && retryIndex !== i) {
         console.log(chalk.yellow(`⏭️ Pulando dork já processado: ${dork}`));
+        stats.dorksResumed++;
         continue;
       }
+      retryIndex = null;
       
-      // Processar o dork no modo de exibição
-      const result = await processDorkDisplayMode(dork, i, dorks.length);
+      // Aplicar os comandos digitados no console (pausa, skip, retry e quit)
+      if (scanConsole) {
+        const { action, index } = await scanConsole.beforeDork();
+        if (action === 'quit') {
+          console.log(chalk.yellow('\n⏹️ Varredura encerrada pelo console'));
+          stats.stoppedByUser = true;
+          break;
+        }
+        if (action === 'retry') {
+          console.log(chalk.yellow(`🔄 Repetindo dork: ${dorks[index].query}`));
+          // O dork atual ainda não foi processado: volta a ser tratado depois da repetição
+          furthestIndex = i - 1;
+          retryIndex = index;
+          i = index - 1;
+          continue;
+        }
+        if (action === 'skip') {
+          console.log(chalk.yellow(`⏭️ Dork pulado pelo console: ${dork}`));
+          checkpointEntry.status = 'skipped';
+          stats.dorksSkipped++;
+          if (options.saveCheckpoint) {
+            await saveCheckpoint(CHECKPOINT_FILE, checkpoint);
+          }
+          continue;
+        }
+      }
+      
+      // Processar o dork no modo configurado
+      const result = options.onlyDisplayDorks
+        ? await processDorkDisplayMode(dorkEntry, i, dorks.length, options, engines, health, browsers, triageStore)
+        : await processDorkAutomatedMode(dorkEntry, i, dorks.length, options, engines, browsers, SCREENSHOTS_DIR, scheduler, health);
+      
+      // Descartar ou marcar as URLs fora do escopo antes de salvar o resultado
+      if (scope) {
+        const outside = applyScopeToResult(result, scope, outOfScopeMode);
+        if (outside > 0) {
+          console.log(chalk.yellow(`🚫 ${outside} URLs fora do escopo ${outOfScopeMode === 'drop' ? 'descartadas' : 'marcadas'}`));
+          stats.outOfScope.results += outside;
+        }
+      }
       
-      // Adicionar aos resultados
-      results.push(result);
-      processedDorks.push(dork);
+      // Mascarar segredos nos títulos e snippets antes de salvar o resultado (veja secret-detector.js)
+      const secretsFound = inspectResultSecrets(result);
+      if (secretsFound > 0) {
+        console.log(chalk.red(`🔑 ${secretsFound} possíveis segredos nos resultados (valores mascarados):`));
+        result.urls.filter(item => item.secrets).forEach(item => {
+          console.log(chalk.gray(`  ${item.link}`));
+          printSecrets(item.secrets, '    ');
+        });
+      }
+      
+      // Registrar o resultado no checkpoint
+      checkpointEntry.status = ['blocked', 'error'].includes(result.status) ? result.status : 'done';
+      checkpointEntry.result = result;
       stats.dorksProcessed++;
+      if (scanConsole) {
+        scanConsole.setLastDork({ dorkEntry, result, index: i });
+      }
       
       // Atualizar estatísticas
-      if (MANUAL_VALIDATION_MODE && result.manuallyChecked) {
+      if (options.manualValidation && result.manuallyChecked) {
         stats.manuallyChecked++;
       }
+      if (result.status === 'blocked') stats.blocked++;
+      if (result.resultsCount > 0) stats.dorksWithResults++;
       
-      // Salvar checkpoint após cada dork
-      if (SAVE_CHECKPOINT) {
-        await saveCheckpoint(CHECKPOINT_FILE, i, reportContent, processedDorks);
+      // Enfileirar os subdomínios novos encontrados nos resultados
+      if (subdomains) {
+        const { discovered, dorks: followUps } = subdomains.observe(result, dorkEntry);
+        printDiscoveredSubdomains(discovered, queueDorks(followUps));
       }
       
-      // No modo de exibição, perguntar ao usuário se deseja continuar a cada 10 dorks
-      if ((i + 1) % 10 === 0 && i < dorks.length - 1) {
-        await waitForUserConfirmation(chalk.yellow(`\nMostrados ${i+1}/${dorks.length} dorks. Pressione ENTER para continuar ou CTRL+C para parar...`));
+      // Salvar checkpoint após cada dork
+      if (options.saveCheckpoint) {
+        await saveCheckpoint(CHECKPOINT_FILE, checkpoint);
       }
       
-      // Pequeno delay entre exibições
-      await new Promise(resolve => setTimeout(resolve, 100));
+      if (options.onlyDisplayDorks) {
+        // No modo de exibição, pausar a cada 10 dorks (comandos do console também são aceitos)
+        if (scanConsole && (i + 1) % 10 === 0 && i < dorks.length - 1) {
+          await scanConsole.hold(`\nMostrados ${i+1}/${dorks.length} dorks. Pressione ENTER para continuar, digite um comando ou quit para parar: `);
+        }
+        
+        // Pequeno delay entre exibições
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    
+    // Resultados do plano atual, incluindo os de execuções anteriores
+    const results = dorks.map(dorkEntry => getCheckpointEntry(dorkEntry).result).filter(Boolean);
+    
+    // Unir URLs repetidas entre dorks e motores em achados únicos, separar os que estão fora do
+    // escopo (inclusive os de execuções anteriores, caso o escopo tenha mudado) e aplicar os vereditos salvos
+    const allFindings = buildFindings(results);
+    const outOfScopeFindings = [];
+    if (scope) {
+      allFindings.forEach(finding => {
+        const { inScope, reason } = scope.check(finding.url);
+        if (!inScope) {
+          finding.outOfScope = reason;
+          outOfScopeFindings.push(finding);
+        }
+      });
+      stats.outOfScope.findings = outOfScopeFindings.length;
+    }
+    const { findings, suppressed } = applyTriage(allFindings.filter(finding => !finding.outOfScope), triageStore, TARGET_DOMAIN);
+    stats.uniqueUrls = findings.length;
+    stats.suppressedFindings = suppressed.length;
+    
+    // Histórico do domínio (apenas o modo automatizado registra varreduras)
+    const history = options.onlyDisplayDorks ? [] : await loadScanHistory(options.historyDir, TARGET_DOMAIN);
+    
+    // Verificar se as URLs ainda estão expostas (mudanças comparadas com as varreduras anteriores)
+    if (options.verifyUrls && findings.length > 0) {
+      const inScope = scope
+        ? scope.inScope
+        : createDomainScope([options.domain, ...options.alternativeDomains, ...(subdomains ? subdomains.getScopeDomains() : [])]);
+      stats.verification = await verifyFindings(findings, history, options, inScope);
+    }
+    stats.findingsWithSecrets = findings.filter(finding => finding.secrets.length > 0).length;
+    
+    // Inventário dos subdomínios descobertos, com as URLs encontradas em cada um
+    const subdomainInventory = subdomains ? subdomains.getInventory(findings) : [];
+    if (subdomains) {
+      stats.subdomains = {
+        discovered: subdomainInventory.length,
+        followedUp: subdomainInventory.filter(entry => entry.followedUp).length
+      };
     }
     
     // Finalizar estatísticas
+    if (scheduler) {
+      stats.engineUsage = scheduler.getSummary();
+      stats.engineHealth = health.getSummary();
+    }
     stats.endTime = new Date().toISOString();
     stats.totalExecutionTime = new Date() - new Date(stats.startTime);
     
@@ -376,43 +1159,222 @@ async function runMultiEngineDorkScan() {
     await fs.writeFile(dorksTextPath, textContent);
     console.log(chalk.green(`✅ Lista de dorks em formato texto salva em: ${dorksTextPath}`));
     
+    // Salvar os achados (URLs únicas com todos os dorks e motores que as encontraram)
+    if (findings.length > 0) {
+      const findingsPath = path.join(REPORTS_DIR, `findings_${TARGET_DOMAIN}_${timestamp}.json`);
+      await fs.writeFile(findingsPath, JSON.stringify(findings, null, 2));
+      console.log(chalk.green(`✅ Achados salvos em: ${findingsPath}`));
+    }
+    
     // Salvar estatísticas de execução
     await saveExecutionStats(REPORTS_DIR, stats);
     
+    // Gerar relatórios consolidados (Markdown e HTML autocontido)
+    // No modo drop, os achados fora do escopo não aparecem nos relatórios
+    const listedOutOfScope = outOfScopeMode === 'drop' ? [] : outOfScopeFindings;
+    await generateReport(TARGET_DOMAIN, results, findings, REPORTS_DIR, suppressed, subdomainInventory, listedOutOfScope);
+    await generateHtmlReport(TARGET_DOMAIN, results, findings, stats, REPORTS_DIR, suppressed, subdomainInventory, listedOutOfScope);
+    
+    // Exportar os achados nos formatos solicitados
+    if (exportFormats.length > 0) {
+      await exportFindings(exportFormats, { domain: TARGET_DOMAIN, scanId: stats.scanId, findings, results }, REPORTS_DIR);
+    }
+    
+    // Registrar a varredura no histórico e comparar com a anterior (apenas o modo automatizado coleta URLs)
+    let scanDiff = null;
+    if (!options.onlyDisplayDorks) {
+      const record = createScanRecord({
+        domain: TARGET_DOMAIN,
+        types: selectedTypes,
+        engines: engines.map(engine => engine.id),
+        stats,
+        findings,
+        dorks: dorks.map(dorkEntry => ({ dork: dorkEntry.query, status: getCheckpointEntry(dorkEntry).status })),
+        hiddenFindings: [
+          ...suppressed.map(finding => ({ ...finding, reason: 'suppressed' })),
+          ...outOfScopeFindings.map(finding => ({ ...finding, reason: 'out-of-scope' }))
+        ]
+      });
+      const historyFile = await appendScanRecord(options.historyDir, record);
+      console.log(chalk.blue(`🗂️ Varredura registrada no histórico: ${historyFile}`));
+      
+      if (history.length > 0) {
+        scanDiff = diffScans(history[history.length - 1], record);
+        stats.newFindings = scanDiff.added.length;
+      }
+    }
+    
     // Exibir resumo no console
     console.log(chalk.green('\n✅ Varredura completa!'));
     console.log(chalk.cyan(`📊 ${stats.dorksProcessed} dorks processados`));
-    if (MANUAL_VALIDATION_MODE) {
+    if (!options.onlyDisplayDorks) {
+      console.log(chalk.cyan(`📈 ${stats.dorksWithResults} dorks com resultados`));
+      console.log(chalk.cyan(`🔗 ${stats.uniqueUrls} URLs únicas`));
+      if (stats.suppressedFindings > 0) {
+        console.log(chalk.cyan(`🙈 ${stats.suppressedFindings} falsos positivos conhecidos suprimidos`));
+      }
+      if (stats.outOfScope && stats.outOfScope.findings > 0) {
+        console.log(chalk.cyan(`🚫 ${stats.outOfScope.findings} achados fora do escopo (${stats.outOfScope.mode === 'drop' ? 'descartados' : 'listados à parte'})`));
+      }
+      if (stats.subdomains && stats.subdomains.discovered > 0) {
+        console.log(chalk.cyan(`🌐 ${stats.subdomains.discovered} subdomínios descobertos (${stats.subdomains.followedUp} pesquisados)`));
+      }
+      if (stats.findingsWithSecrets > 0) {
+        console.log(chalk.red(`🔑 ${stats.findingsWithSecrets} achados com possíveis segredos (severidade elevada)`));
+      }
+      if (stats.verification) {
+        const { exposed, changed, gone, error } = stats.verification;
+        console.log(chalk.cyan(`🔎 Verificação: ${exposed} ainda expostas, ${changed} alteradas, ${gone} removidas, ${error} com erro`));
+      }
+      console.log(chalk.cyan(`🛑 ${stats.blocked} dorks bloqueados`));
+    }
+    if (stats.dorksSkipped > 0) {
+      console.log(chalk.cyan(`⏭️ ${stats.dorksSkipped} dorks pulados pelo console`));
+    }
+    if (options.manualValidation) {
       console.log(chalk.cyan(`🔍 ${stats.manuallyChecked} dorks verificados manualmente`));
     }
+    if (options.onlyDisplayDorks) {
+      console.log(chalk.yellow('🗂️ Varredura não registrada no histórico: apenas o modo automatizado (--auto) pesquisa todos os dorks'));
+    }
     console.log(chalk.cyan(`⏱️ Tempo total: ${(stats.totalExecutionTime / 1000 / 60).toFixed(2)} minutos`));
     
+    if (stats.engineHealth) {
+      printEngineHealth(stats.engineHealth);
+    }
+    
+    if (scanDiff) {
+      printScanDiff(scanDiff);
+    }
+    
     // Remover arquivo de checkpoint após conclusão bem-sucedida
-    if (await fs.pathExists(CHECKPOINT_FILE)) {
+    // (mantido se houver dorks pendentes, pulados, bloqueados ou com erro, para repeti-los na próxima execução)
+    const unfinished = dorks.filter(dorkEntry => getCheckpointEntry(dorkEntry).status !== 'done').length;
+    if (unfinished > 0 && options.saveCheckpoint) {
+      console.log(chalk.yellow(`📋 Checkpoint mantido: ${unfinished} dorks pendentes, pulados, bloqueados ou com erro serão repetidos na próxima execução.`));
+    } else if (await fs.pathExists(CHECKPOINT_FILE)) {
       await fs.remove(CHECKPOINT_FILE);
       console.log(chalk.blue('🗑️ Checkpoint removido após conclusão bem-sucedida.'));
     }
     
+    return { domain: TARGET_DOMAIN, stats, results, findings, reportsDir: REPORTS_DIR };
   } catch (error) {
     console.error(chalk.red(`❌ Erro durante a execução: ${error}`));
     
     // Tentar salvar relatório mesmo em caso de falha
+    await fs.ensureDir(REPORTS_DIR);
     const errorReportPath = path.join(REPORTS_DIR, `error_report_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
     await fs.writeFile(errorReportPath, JSON.stringify({ error: error.message, stack: error.stack }, null, 2));
     console.log(chalk.red(`📄 Relatório de erro salvo em: ${errorReportPath}`));
+    
+    // Propagar o erro para que a CLI encerre com código de saída diferente de zero
+    throw error;
   } finally {
+    // Parar de receber comandos do console antes de fechar a interface
+    if (scanConsole) {
+      scanConsole.stop();
+    }
+    
+    // Guardar a saúde dos motores para as próximas varreduras (mesmo se interrompida por erro)
+    if (health && !options.onlyDisplayDorks) {
+      await health.save(options.engineHealthFile).catch(error => {
+        console.error(chalk.yellow(`⚠️ Não foi possível salvar a saúde dos motores: ${error.message}`));
+      });
+    }
+    
+    // Fechar o navegador do modo automatizado
+    if (browsers) {
+      await browsers.closeAll();
+    }
+    
     // Fechar a interface de CLI
-    rl.close();
+    closeInterface();
   }
 }
 
-// Função para perguntas simples
-function askQuestion(question) {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      resolve(answer);
-    });
+/**
+ * Executa a varredura completa para cada alvo de uma lista
+ * Cada alvo tem seu próprio diretório de resultados, checkpoint e estatísticas;
+ * ao final é gerado um resumo consolidado no diretório de resultados
+ * @param {Array<Object>} targets - Alvos (veja targets.js)
+ * @param {Object} scanOptions - Opções comuns da varredura (veja DEFAULT_SCAN_OPTIONS)
+ * @returns {Promise<Object>} - Resumo consolidado
+ */
+export async function runMultiTargetScan(targets, scanOptions = {}) {
+  const options = { ...DEFAULT_SCAN_OPTIONS, ...scanOptions };
+  // Histórico, triagem, perfis do navegador, saúde dos motores e cotas das APIs são compartilhados entre os alvos
+  Object.assign(options, resolveStatePaths(options));
+  
+  console.log(chalk.cyan(`\n=== Varredura de Múltiplos Alvos ===`));
+  targets.forEach((target, idx) => {
+    console.log(chalk.green(`🎯 ${idx + 1}. ${target.domain}${target.types ? ` (${target.types.join(', ')})` : ''}`));
+  });
+  
+  // Uma única confirmação para toda a lista de alvos
+  if (!options.assumeYes) {
+    await waitForUserConfirmation(chalk.yellow(`\n✅ Confirma a varredura destes ${targets.length} alvos? Pressione ENTER para confirmar ou CTRL+C para cancelar.`));
+  }
+  
+  const summary = {
+    startTime: new Date().toISOString(),
+    totalTargets: targets.length,
+    targets: []
+  };
+  
+  for (const [idx, target] of targets.entries()) {
+    console.log(chalk.bgBlue.white(`\n ▶ Alvo ${idx + 1}/${targets.length}: ${target.domain} `));
+    
+    const targetDir = path.join(options.resultsDir, target.domain);
+    const entry = { domain: target.domain, resultsDir: targetDir };
+    
+    try {
+      const run = await runMultiEngineDorkScan({
+        ...options,
+        domain: target.domain,
+        alternativeDomains: target.alternativeDomains,
+        types: target.types || options.types,
+        paths: target.paths || options.paths,
+        scopeFile: target.scope || options.scopeFile,
+        resultsDir: targetDir,
+        checkpointFile: path.join(targetDir, 'dork_checkpoint.json'),
+        interactiveSetup: false
+      });
+      
+      entry.status = 'completed';
+      entry.dorksProcessed = run.stats.dorksProcessed;
+      entry.dorksWithResults = run.stats.dorksWithResults;
+      entry.blocked = run.stats.blocked;
+      entry.uniqueUrls = run.stats.uniqueUrls;
+      entry.totalExecutionTime = run.stats.totalExecutionTime;
+    } catch (error) {
+      // Uma falha em um alvo não interrompe os demais
+      entry.status = 'failed';
+      entry.error = error.message;
+    }
+    
+    summary.targets.push(entry);
+  }
+  
+  summary.endTime = new Date().toISOString();
+  summary.totalExecutionTime = new Date(summary.endTime) - new Date(summary.startTime);
+  
+  await fs.ensureDir(options.resultsDir);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const summaryPath = path.join(options.resultsDir, `targets_summary_${timestamp}.json`);
+  await fs.writeFile(summaryPath, JSON.stringify(summary, null, 2));
+  
+  // Exibir resumo consolidado no console
+  console.log(chalk.cyan('\n=== Resumo dos Alvos ==='));
+  summary.targets.forEach(entry => {
+    if (entry.status === 'completed') {
+      console.log(chalk.green(`✅ ${entry.domain}: ${entry.dorksProcessed} dorks, ${entry.dorksWithResults} com resultados, ${entry.uniqueUrls} URLs únicas, ${entry.blocked} bloqueados`));
+    } else {
+      console.log(chalk.red(`❌ ${entry.domain}: ${entry.error}`));
+    }
   });
+  console.log(chalk.blue(`📊 Resumo consolidado salvo em: ${summaryPath}`));
+  
+  return summary;
 }
 
 // Interceptar CTRL+C para finalização limpa
@@ -421,19 +1383,24 @@ process.on('SIGINT', async () => {
   
   // Salvar estado atual se possível
   try {
-    const errorReportPath = path.join(REPORTS_DIR, `interrupted_${new Date().toISOString().replace(/[:.]/g, '-')}.txt`);
+    const errorReportPath = path.join(activeReportsDir, `interrupted_${new Date().toISOString().replace(/[:.]/g, '-')}.txt`);
     await fs.writeFile(errorReportPath, 'Script interrompido pelo usuário.');
   } catch (e) { /* Ignorar erros ao salvar */ }
   
+  // Fechar os navegadores abertos (os perfis ficam salvos para a próxima execução)
+  await closeAllBrowsers().catch(() => {});
+  
   process.exit(0);
 });
 
-// Executar script principal
-console.log(chalk.blue('🚀 Iniciando sistema de varredura de dorks...'));
+// Executar script principal quando chamado diretamente (node dork-scanner.js)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  console.log(chalk.blue('🚀 Iniciando sistema de varredura de dorks...'));
 
-runMultiEngineDorkScan().then(() => {
-  console.log(chalk.green('\n✨ Sistema finalizado com sucesso!'));
-}).catch(err => {
-  console.error(chalk.red(`\n💥 Erro fatal: ${err}`));
-  process.exit(1);
-});
\ No newline at end of file
+  runMultiEngineDorkScan().then(() => {
+    console.log(chalk.green('\n✨ Sistema finalizado com sucesso!'));
+  }).catch(err => {
+    console.error(chalk.red(`\n💥 Erro fatal: ${err}`));
+    process.exit(1);
+  });
+}
\ No newline at end of file
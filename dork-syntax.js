@@ -0,0 +1,281 @@
+/**
+ * Dork Syntax Module
+ *
+ * Este módulo converte um dork em uma árvore de operadores (AST) e traduz
+ * essa árvore para a sintaxe de cada motor de busca, usando a tabela de
+ * capacidades declarada no adaptador (propriedade "syntax" em engines/).
+ *
+ * Tipos de nós da AST:
+ * - { type: 'and', items: [...] }   termos separados por espaço
+ * - { type: 'or', items: [...] }    termos separados por OR ou |
+ * - { type: 'group', node, negated } expressão entre parênteses
+ * - { type: 'term', operator, value, quoted, negated }
+ *   (operator é null para palavras-chave simples)
+ */
+
+// Operadores reconhecidos; outros "palavra:valor" são tratados como palavra-chave
+export const KNOWN_OPERATORS = [
+  'site', 'filetype', 'ext', 'inurl', 'intitle', 'intext', 'inbody',
+  'allinurl', 'allintitle', 'allintext', 'inanchor', 'related', 'cache'
+];
+
+// Sintaxe usada quando o adaptador não declara a sua (tudo é repassado sem alteração)
+export const PASSTHROUGH_SYNTAX = {
+  operators: Object.fromEntries(KNOWN_OPERATORS.map(op => [op, op])),
+  wildcardSite: true,
+  or: true
+};
+
+/**
+ * Divide um dork em tokens (frases entre aspas, operadores, OR, parênteses)
+ * @param {string} query - Dork original
+ * @returns {Array<Object>} - Tokens
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < query.length) {
+    const char = query[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+      continue;
+    }
+
+    if (char === '|') {
+      tokens.push({ type: 'OR' });
+      i++;
+      continue;
+    }
+
+    // Prefixo de negação antes de termo, frase ou grupo
+    let negated = false;
+    if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+      negated = true;
+      i++;
+      if (query[i] === '(') {
+        tokens.push({ type: '(', negated: true });
+        i++;
+        continue;
+      }
+    }
+
+    // Ler palavra (possivelmente operador:valor) ou frase
+    let operator = null;
+    let value = '';
+    let quoted = false;
+
+    const opMatch = query.slice(i).match(/^([a-z]+):(?=\S)/i);
+    if (opMatch && KNOWN_OPERATORS.includes(opMatch[1].toLowerCase())) {
+      operator = opMatch[1].toLowerCase();
+      i += opMatch[0].length;
+    }
+
+    if (query[i] === '"') {
+      const end = query.indexOf('"', i + 1);
+      const close = end === -1 ? query.length : end;
+      value = query.slice(i + 1, close);
+      quoted = true;
+      i = close + 1;
+    } else {
+      const start = i;
+      while (i < query.length && !/[\s()]/.test(query[i])) i++;
+      value = query.slice(start, i);
+    }
+
+    if (!operator && !quoted && !negated && value === 'OR') {
+      tokens.push({ type: 'OR' });
+      continue;
+    }
+
+    tokens.push({ type: 'term', operator, value, quoted, negated });
+  }
+
+  return tokens;
+}
+
+/**
+ * Converte um dork em AST
+ * OR tem precedência sobre o AND implícito: "a b OR c" = a AND (b OR c)
+ * @param {string} query - Dork original
+ * @returns {Object} - Nó raiz da AST
+ */
+export function parseDork(query) {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  function parseUnary() {
+    const token = tokens[pos];
+
+    if (token.type === '(') {
+      pos++;
+      const node = parseAnd();
+      if (tokens[pos] && tokens[pos].type === ')') pos++;
+      return { type: 'group', node, negated: Boolean(token.negated) };
+    }
+
+    pos++;
+    const { type, ...term } = token;
+    return { type: 'term', ...term };
+  }
+
+  function parseOr() {
+    const items = [parseUnary()];
+
+    while (tokens[pos] && tokens[pos].type === 'OR' && tokens[pos + 1] && tokens[pos + 1].type !== ')') {
+      pos++;
+      items.push(parseUnary());
+    }
+
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  }
+
+  function parseAnd() {
+    const items = [];
+
+    while (pos < tokens.length && tokens[pos].type !== ')') {
+      // OR solto (no início ou repetido) é ignorado
+      if (tokens[pos].type === 'OR') {
+        pos++;
+        continue;
+      }
+      items.push(parseOr());
+    }
+
+    return { type: 'and', items };
+  }
+
+  const root = parseAnd();
+
+  // Parênteses de fechamento sem abertura são ignorados
+  while (pos < tokens.length) {
+    pos++;
+    root.items.push(...parseAnd().items);
+  }
+
+  return root;
+}
+
+/**
+ * Converte uma AST de volta em dork
+ * @param {Object} node - Nó da AST
+ * @returns {string} - Dork
+ */
+export function serializeDork(node) {
+  switch (node.type) {
+    case 'and':
+      return node.items.map(serializeDork).join(' ');
+    case 'or':
+      return node.items.map(serializeDork).join(' OR ');
+    case 'group':
+      return `${node.negated ? '-' : ''}(${serializeDork(node.node)})`;
+    case 'term': {
+      const value = node.quoted ? `"${node.value}"` : node.value;
+      return `${node.negated ? '-' : ''}${node.operator ? `${node.operator}:` : ''}${value}`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Lista os operadores usados em um dork
+ * @param {Object} node - Nó da AST
+ * @returns {Set<string>} - Operadores encontrados
+ */
+export function collectOperators(node, found = new Set()) {
+  if (node.type === 'term' && node.operator) found.add(node.operator);
+  if (node.items) node.items.forEach(item => collectOperators(item, found));
+  if (node.node) collectOperators(node.node, found);
+  return found;
+}
+
+/**
+ * Traduz um termo para a sintaxe de um motor
+ * @param {Object} term - Nó do tipo term
+ * @param {Object} syntax - Sintaxe do motor
+ * @param {Object} report - Acumulador de avisos e problemas
+ * @returns {Object} - Termo traduzido
+ */
+function translateTerm(term, syntax, report) {
+  if (!term.operator) return term;
+
+  const mapped = syntax.operators[term.operator];
+
+  if (mapped === 'keyword') {
+    // Sem operador equivalente: buscar o valor como frase (tradução aproximada)
+    report.lossy = true;
+    report.warnings.push(`${term.operator}: convertido em palavra-chave`);
+    return { ...term, operator: null, quoted: true };
+  }
+
+  if (!mapped) {
+    report.unsupported.push(term.operator);
+    return term;
+  }
+
+  let value = term.value;
+
+  if (term.operator === 'site' && value.startsWith('*.') && !syntax.wildcardSite) {
+    // site:dominio já inclui os subdomínios nos motores sem curinga
+    value = value.slice(2);
+    report.lossy = true;
+    report.warnings.push('site:*. convertido em site: (inclui o domínio principal)');
+  }
+
+  if (mapped !== term.operator) {
+    report.warnings.push(`${term.operator}: convertido em ${mapped}:`);
+  }
+
+  return { ...term, operator: mapped, value };
+}
+
+/**
+ * Traduz recursivamente uma AST para a sintaxe de um motor
+ * @param {Object} node - Nó da AST
+ * @param {Object} syntax - Sintaxe do motor
+ * @param {Object} report - Acumulador de avisos e problemas
+ * @returns {Object} - Nó traduzido
+ */
+function translateNode(node, syntax, report) {
+  switch (node.type) {
+    case 'term':
+      return translateTerm(node, syntax, report);
+    case 'group':
+      return { ...node, node: translateNode(node.node, syntax, report) };
+    case 'or':
+      if (!syntax.or) report.unsupported.push('OR');
+      return { ...node, items: node.items.map(item => translateNode(item, syntax, report)) };
+    default:
+      return { ...node, items: node.items.map(item => translateNode(item, syntax, report)) };
+  }
+}
+
+/**
+ * Traduz um dork para a sintaxe de um motor de busca
+ * @param {string} query - Dork original (sintaxe do Google)
+ * @param {Object} engine - Adaptador do motor de busca (usa engine.syntax)
+ * @returns {Object} - { query, supported, lossy, warnings, unsupported }
+ */
+export function translateDork(query, engine) {
+  const syntax = engine.syntax || PASSTHROUGH_SYNTAX;
+  const report = { lossy: false, warnings: [], unsupported: [] };
+
+  const translated = translateNode(parseDork(query), syntax, report);
+  const unsupported = [...new Set(report.unsupported)];
+
+  return {
+    query: serializeDork(translated),
+    supported: unsupported.length === 0,
+    lossy: report.lossy,
+    warnings: [...new Set(report.warnings)],
+    unsupported
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * Engine Health Module
+ *
+ * Este módulo acompanha a saúde de cada motor de busca (taxa de sucesso,
+ * bloqueios, latência e quantidade de resultados) durante a varredura e entre
+ * varreduras, e escolhe o motor de cada dork por sorteio ponderado pela saúde
+ * e pela capacidade de executar o dork.
+ *
+ * As métricas de sessões anteriores são carregadas com peso reduzido
+ * (HISTORY_DECAY), para que o comportamento recente de um motor pese mais.
+ */
+
+import fs from 'fs-extra';
+import chalk from 'chalk';
+
+import { translateDork } from './dork-syntax.js';
+
+// Peso das métricas de sessões anteriores a cada nova sessão
+const HISTORY_DECAY = 0.5;
+
+// Peso de um motor que só consegue executar o dork com tradução aproximada
+const LOSSY_WEIGHT = 0.3;
+
+// Latência (ms) e resultados por pesquisa considerados "normais" no cálculo da pontuação
+const REFERENCE_LATENCY = 10000;
+const REFERENCE_RESULTS = 10;
+
+const METRIC_KEYS = ['searches', 'successes', 'blocks', 'errors', 'totalLatency', 'totalResults'];
+
+/**
+ * Cria métricas zeradas
+ * @returns {Object} - Métricas de um motor
+ */
+function emptyMetrics() {
+  return Object.fromEntries(METRIC_KEYS.map(key => [key, 0]));
+}
+
+/**
+ * Carrega as métricas acumuladas de sessões anteriores
+ * @param {string} healthFile - Arquivo JSON de saúde dos motores
+ * @returns {Promise<Object>} - { [engineId]: métricas } (vazio se não houver arquivo)
+ */
+export async function loadEngineHealth(healthFile) {
+  try {
+    if (healthFile && await fs.pathExists(healthFile)) {
+      const data = await fs.readJson(healthFile);
+      return data.engines || {};
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️ Não foi possível ler a saúde dos motores (${error.message}), começando do zero`));
+  }
+  return {};
+}
+
+/**
+ * Calcula a pontuação de saúde de um conjunto de métricas (0 a 1)
+ * A taxa de sucesso é suavizada para que motores sem histórico comecem com 0.5
+ * @param {Object} metrics - Métricas do motor
+ * @returns {number} - Pontuação
+ */
+function computeScore(metrics) {
+  const successRate = (metrics.successes + 1) / (metrics.searches + 2);
+  const avgLatency = metrics.successes > 0 ? metrics.totalLatency / metrics.successes : REFERENCE_LATENCY;
+  const avgResults = metrics.successes > 0 ? metrics.totalResults / metrics.successes : REFERENCE_RESULTS;
+
+  const latencyFactor = REFERENCE_LATENCY / (REFERENCE_LATENCY + avgLatency) * 2;
+  const yieldFactor = 0.5 + 0.5 * Math.min(1, avgResults / REFERENCE_RESULTS);
+
+  return Math.max(0.01, Math.min(1, successRate * Math.min(1, latencyFactor) * yieldFactor));
+}
+
+/**
+ * Cria o rastreador de saúde dos motores de busca
+ * @param {Array<Object>} engines - Adaptadores dos motores de busca
+ * @param {Object} previous - Métricas de sessões anteriores (veja loadEngineHealth)
+ * @param {Function} [random=Math.random] - Fonte do sorteio (os testes usam valores fixos)
+ * @returns {Object} - Rastreador (selectEngine, record, getSummary, save)
+ */
+export function createEngineHealthTracker(engines, previous = {}, random = Math.random) {
+  const session = new Map(engines.map(engine => [engine.id, emptyMetrics()]));
+  const history = new Map(engines.map(engine => {
+    const saved = previous[engine.id] || {};
+    return [engine.id, Object.fromEntries(METRIC_KEYS.map(key => [key, (saved[key] || 0) * HISTORY_DECAY]))];
+  }));
+
+  /**
+   * Métricas combinadas (histórico com decaimento + sessão atual)
+   * @param {string} engineId - Id do motor
+   * @returns {Object} - Métricas
+   */
+  function combined(engineId) {
+    const current = session.get(engineId) || emptyMetrics();
+    const past = history.get(engineId) || emptyMetrics();
+    return Object.fromEntries(METRIC_KEYS.map(key => [key, current[key] + past[key]]));
+  }
+
+  /**
+   * Pontuação de saúde de um motor (0 a 1)
+   * @param {Object} engine - Adaptador do motor de busca
+   * @returns {number} - Pontuação
+   */
+  function score(engine) {
+    return computeScore(combined(engine.id));
+  }
+
+  /**
+   * Escolhe um motor para o dork por sorteio ponderado pela saúde e pela capacidade
+   * Motores sem suporte aos operadores do dork são descartados; traduções
+   * aproximadas têm peso reduzido
+   * @param {string} dork - Dork original (sintaxe do Google)
+   * @param {Array<Object>} candidates - Motores disponíveis
+   * @returns {Object} - { searchEngine, translation }
+   */
+  function selectEngine(dork, candidates) {
+    const options = candidates.map(engine => ({ searchEngine: engine, translation: translateDork(dork, engine) }));
+    let pool = options.filter(option => option.translation.supported);
+
+    if (pool.length === 0) {
+      console.log(chalk.yellow(`⚠️ Nenhum motor selecionado suporta todos os operadores deste dork; usando o dork original`));
+      pool = options.map(option => ({ ...option, translation: { ...option.translation, query: dork } }));
+    }
+
+    const weights = pool.map(option => score(option.searchEngine) * (option.translation.lossy ? LOSSY_WEIGHT : 1));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+    let pick = random() * total;
+    for (let i = 0; i < pool.length; i++) {
+      pick -= weights[i];
+      if (pick <= 0) return pool[i];
+    }
+    return pool[pool.length - 1];
+  }
+
+  /**
+   * Registra o resultado de uma pesquisa
+   * @param {Object} engine - Adaptador do motor de busca
+   * @param {Object} outcome - { status: 'ok'|'blocked'|'error', latency, results }
+   */
+  function record(engine, { status, latency = 0, results = 0 }) {
+    const metrics = session.get(engine.id);
+    if (!metrics) return;
+
+    metrics.searches++;
+    if (status === 'ok') {
+      metrics.successes++;
+      metrics.totalLatency += latency;
+      metrics.totalResults += results;
+    } else if (status === 'blocked') {
+      metrics.blocks++;
+    } else {
+      metrics.errors++;
+    }
+  }
+
+  /**
+   * Resumo por motor para as estatísticas da varredura
+   * @returns {Object} - { [id]: { status, score, searches, successes, blocks, errors, successRate, avgLatencyMs, avgResults } }
+   */
+  function getSummary() {
+    return Object.fromEntries(engines.map(engine => {
+      const metrics = session.get(engine.id);
+      const engineScore = score(engine);
+      const successRate = metrics.searches > 0 ? metrics.successes / metrics.searches : null;
+
+      let status = 'healthy';
+      if (engineScore < 0.2 || (metrics.searches >= 3 && successRate < 0.3)) status = 'unhealthy';
+      else if (engineScore < 0.4 || metrics.blocks > 0) status = 'degraded';
+
+      return [engine.id, {
+        status,
+        score: Number(engineScore.toFixed(3)),
+        searches: metrics.searches,
+        successes: metrics.successes,
+        blocks: metrics.blocks,
+        errors: metrics.errors,
+        successRate: successRate === null ? null : Number(successRate.toFixed(3)),
+        avgLatencyMs: metrics.successes > 0 ? Math.round(metrics.totalLatency / metrics.successes) : null,
+        avgResults: metrics.successes > 0 ? Number((metrics.totalResults / metrics.successes).toFixed(1)) : null
+      }];
+    }));
+  }
+
+  /**
+   * Salva as métricas acumuladas para as próximas sessões
+   * Motores que não participaram desta sessão mantêm o histórico anterior
+   * @param {string} healthFile - Arquivo JSON de saúde dos motores
+   */
+  async function save(healthFile) {
+    // Nada a salvar se nenhuma pesquisa foi feita nesta sessão
+    if ([...session.values()].every(metrics => metrics.searches === 0)) return;
+
+    const saved = { ...previous };
+    engines.forEach(engine => {
+      saved[engine.id] = combined(engine.id);
+    });
+
+    await fs.outputJson(healthFile, { updatedAt: new Date().toISOString(), engines: saved }, { spaces: 2 });
+  }
+
+  return { selectEngine, record, getSummary, save, score };
+}
+
+/**
+ * Exibe no console o resumo de saúde dos motores
+ * @param {Object} summary - Resultado de getSummary
+ */
+export function printEngineHealth(summary) {
+  const colors = { healthy: chalk.green, degraded: chalk.yellow, unhealthy: chalk.red };
+
+  console.log(chalk.cyan('\n=== Saúde dos Motores de Busca ==='));
+  Object.entries(summary).forEach(([id, health]) => {
+    if (health.searches === 0) return;
+    const rate = `${(health.successRate * 100).toFixed(0)}% sucesso`;
+    const latency = health.avgLatencyMs !== null ? `, ${(health.avgLatencyMs / 1000).toFixed(1)}s/pesquisa` : '';
+    const yieldText = health.avgResults !== null ? `, ${health.avgResults} resultados/pesquisa` : '';
+    console.log(colors[health.status](`  ${id.padEnd(12)} ${health.status.padEnd(10)} ${health.searches} pesquisas, ${rate}, ${health.blocks} bloqueios${latency}${yieldText}`));
+  });
+}
@@ -0,0 +1,330 @@
+/**
+ * Search API Engines
+ *
+ * Adaptadores que pesquisam por APIs oficiais em vez de raspar o HTML no
+ * navegador. Ficam registrados ao lado dos motores do navegador e devolvem os
+ * mesmos registros de resultado ({ position, title, link, redirectUrl, snippet }).
+ *
+ * Tipos suportados:
+ * - google-cse: Google Programmable Search (Custom Search JSON API)
+ * - bing: Bing Web Search API
+ * - serpapi: endpoints no estilo SerpAPI (engine, q, api_key, start, num)
+ *
+ * Configuração (JSON ou YAML), uma entrada por motor, com o id como chave:
+ *     google-api:
+ *       type: google-cse
+ *       keyEnv: GOOGLE_API_KEY        # ou key: ...
+ *       cx: 0123456789abcdef
+ *       quota: 100                    # pesquisas por dia (opcional)
+ *       baseUrl: http://localhost:8787/customsearch/v1   # opcional (servidor simulado)
+ *
+ * Além do contrato de base-engine.js, estes adaptadores têm backend: 'api',
+ * search(query, { page, proxy }) e isExhausted().
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+
+import { PASSTHROUGH_SYNTAX } from '../dork-syntax.js';
+import { httpRequest } from '../proxy.js';
+import bing from './bing.js';
+
+// Valores padrão de cada tipo de API
+const API_TYPES = {
+  'google-cse': {
+    name: 'Google API',
+    baseUrl: 'https://www.googleapis.com/customsearch/v1',
+    webSearchUrl: 'https://www.google.com/search',
+    syntax: PASSTHROUGH_SYNTAX,
+    // A API não retorna resultados além da posição 100
+    maxResults: 100
+  },
+  bing: {
+    name: 'Bing API',
+    baseUrl: 'https://api.bing.microsoft.com/v7.0/search',
+    webSearchUrl: 'https://www.bing.com/search',
+    syntax: bing.syntax,
+    maxResults: 100
+  },
+  serpapi: {
+    name: 'SerpAPI',
+    baseUrl: 'https://serpapi.com/search',
+    webSearchUrl: 'https://www.google.com/search',
+    syntax: PASSTHROUGH_SYNTAX,
+    maxResults: 100
+  }
+};
+
+export const API_ENGINE_TYPES = Object.keys(API_TYPES);
+
+const RESULTS_PER_PAGE = 10;
+
+/**
+ * Cria o controle de cota diária das APIs, salvo em arquivo entre execuções
+ * @param {string|null} usageFile - Arquivo JSON com o uso por dia e por motor
+ * @returns {Promise<Object>} - { used, consume }
+ */
+async function createQuotaTracker(usageFile) {
+  let usage = {};
+  if (usageFile && await fs.pathExists(usageFile)) {
+    usage = await fs.readJson(usageFile).catch(() => ({}));
+  }
+
+  const today = () => new Date().toISOString().slice(0, 10);
+
+  /**
+   * Pesquisas feitas hoje por um motor
+   * @param {string} engineId - Id do motor
+   * @returns {number} - Quantidade de pesquisas
+   */
+  function used(engineId) {
+    return (usage[today()] || {})[engineId] || 0;
+  }
+
+  /**
+   * Registra uma pesquisa e salva o uso
+   * @param {string} engineId - Id do motor
+   */
+  async function consume(engineId) {
+    const day = today();
+    // Manter apenas o dia atual no arquivo
+    usage = { [day]: { ...(usage[day] || {}), [engineId]: used(engineId) + 1 } };
+    if (usageFile) await fs.outputJson(usageFile, usage, { spaces: 2 });
+  }
+
+  return { used, consume };
+}
+
+/**
+ * Monta a requisição da API para uma página de resultados
+ * @param {Object} settings - Configuração do motor
+ * @param {string} query - Dork já traduzido
+ * @param {number} page - Página (começa em 0)
+ * @returns {Object} - { url, headers }
+ */
+function buildApiRequest(settings, query, page) {
+  const url = new URL(settings.baseUrl);
+  const headers = { Accept: 'application/json' };
+  const params = {};
+
+  if (settings.type === 'google-cse') {
+    Object.assign(params, { key: settings.key, cx: settings.cx, q: query, num: RESULTS_PER_PAGE, start: page * RESULTS_PER_PAGE + 1 });
+  } else if (settings.type === 'bing') {
+    Object.assign(params, { q: query, count: RESULTS_PER_PAGE, offset: page * RESULTS_PER_PAGE });
+    headers['Ocp-Apim-Subscription-Key'] = settings.key;
+  } else {
+    Object.assign(params, { engine: settings.engine || 'google', q: query, api_key: settings.key, num: RESULTS_PER_PAGE, start: page * RESULTS_PER_PAGE });
+  }
+
+  Object.entries({ ...params, ...settings.extraParams }).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+  });
+
+  return { url: url.href, headers };
+}
+
+/**
+ * Converte a resposta JSON de uma API em resultados no formato do scraper
+ * @param {string} type - Tipo da API
+ * @param {Object} data - Resposta da API
+ * @returns {Object} - { estimatedTotal, items: [{ title, link, snippet }] }
+ */
+function parseApiResponse(type, data) {
+  if (type === 'google-cse') {
+    const total = Number(data.searchInformation && data.searchInformation.totalResults);
+    return {
+      estimatedTotal: Number.isFinite(total) ? total : null,
+      items: (data.items || []).map(item => ({ title: item.title, link: item.link, snippet: item.snippet }))
+    };
+  }
+
+  if (type === 'bing') {
+    const webPages = data.webPages || {};
+    return {
+      estimatedTotal: webPages.totalEstimatedMatches ?? null,
+      items: (webPages.value || []).map(item => ({ title: item.name, link: item.url, snippet: item.snippet }))
+    };
+  }
+
+  const total = Number(data.search_information && data.search_information.total_results);
+  return {
+    estimatedTotal: Number.isFinite(total) ? total : null,
+    items: (data.organic_results || []).map(item => ({ title: item.title, link: item.link, snippet: item.snippet }))
+  };
+}
+
+/**
+ * Identifica respostas de limite de requisições ou de cota esgotada
+ * @param {number} status - Status HTTP
+ * @param {Object|null} data - Corpo da resposta (JSON)
+ * @returns {string|null} - 'rate-limit', 'quota' ou null
+ */
+function detectApiLimit(status, data) {
+  const text = JSON.stringify(data || {}).toLowerCase();
+  if (/quota|limitexceeded|outofcallvolume|run out of searches/.test(text)) return 'quota';
+  if (status === 429) return 'rate-limit';
+  return null;
+}
+
+/**
+ * Cria um adaptador de API de pesquisa
+ * @param {string} id - Id do motor (chave na configuração)
+ * @param {Object} config - Configuração do motor (veja o cabeçalho do módulo)
+ * @param {Object} quota - Controle de cota (veja createQuotaTracker)
+ * @returns {Object} - Adaptador de motor de busca
+ * @throws {Error} - Se o tipo for desconhecido ou faltar a chave
+ */
+export function createApiEngine(id, config, quota) {
+  const defaults = API_TYPES[config.type];
+  if (!defaults) {
+    throw new Error(`Tipo de API desconhecido em "${id}": ${config.type} (use ${API_ENGINE_TYPES.join(', ')})`);
+  }
+
+  const key = config.key || (config.keyEnv ? process.env[config.keyEnv] : null);
+  if (!key) {
+    throw new Error(`API "${id}" sem chave (defina key ou a variável de ambiente de keyEnv)`);
+  }
+  if (config.type === 'google-cse' && !config.cx) {
+    throw new Error(`API "${id}" do tipo google-cse sem cx (id do mecanismo de pesquisa)`);
+  }
+
+  const settings = {
+    ...defaults,
+    maxPages: 3,
+    rateLimit: { interval: 1000, burst: 1 },
+    extraParams: {},
+    ...config,
+    key
+  };
+
+  // A API informou que a cota acabou (vale até o fim da execução)
+  let remoteQuotaExhausted = false;
+
+  const engine = {
+    id: id.toLowerCase(),
+    name: settings.name,
+    backend: 'api',
+    type: settings.type,
+    maxPages: settings.maxPages,
+    maxResults: settings.maxResults,
+    resultsPerPage: RESULTS_PER_PAGE,
+    rateLimit: settings.rateLimit,
+    syntax: settings.syntax,
+    quota: settings.quota ?? null,
+
+    // Pesquisa equivalente no site do motor (usada nos relatórios e na validação manual)
+    buildSearchUrl(query) {
+      const url = new URL(settings.webSearchUrl);
+      url.searchParams.set('q', query);
+      return url.href;
+    },
+
+    // A paginação é feita por search({ page })
+    getNextPageUrl() {
+      return null;
+    },
+
+    // Aceita a resposta JSON da API (texto ou objeto)
+    parseResults(body) {
+      const data = typeof body === 'string' ? JSON.parse(body) : body;
+      const parsed = parseApiResponse(settings.type, data);
+      return {
+        engine: engine.name,
+        estimatedTotal: parsed.estimatedTotal,
+        results: parsed.items
+          .filter(item => item.link)
+          .map((item, idx) => ({
+            position: idx + 1,
+            title: item.title || item.link,
+            link: item.link,
+            redirectUrl: null,
+            snippet: item.snippet || ''
+          }))
+      };
+    },
+
+    // Limites da API são tratados em search()
+    async detectBlock() {
+      return { verdict: 'ok', blocked: false, confidence: 1, reason: 'Resposta da API' };
+    },
+
+    async acceptConsent() {},
+
+    /**
+     * Verifica se a cota foi esgotada (pela cota configurada ou pela resposta da API)
+     * @returns {boolean} - true se não há mais pesquisas disponíveis
+     */
+    isExhausted() {
+      if (remoteQuotaExhausted) return true;
+      return settings.quota !== undefined && settings.quota !== null && quota.used(engine.id) >= settings.quota;
+    },
+
+    /**
+     * Pesquisa uma página de resultados na API
+     * @param {string} query - Dork já traduzido
+     * @param {Object} searchOptions - { page, proxy }
+     * @returns {Promise<Object>} - { blockReason, estimatedTotal, results }
+     * @throws {Error} - Em respostas de erro que não são limite de uso (ex: chave inválida)
+     */
+    async search(query, { page = 0, proxy = null } = {}) {
+      if (engine.isExhausted()) {
+        return { blockReason: 'quota', estimatedTotal: null, results: [] };
+      }
+
+      const request = buildApiRequest(settings, query, page);
+      await quota.consume(engine.id);
+      const response = await httpRequest(request.url, { headers: request.headers, proxy, timeout: 30000 });
+
+      let data = null;
+      try {
+        data = JSON.parse(response.body);
+      } catch (error) {
+        // Corpo não JSON: tratado abaixo pelo status
+      }
+
+      if (response.status !== 200) {
+        const blockReason = detectApiLimit(response.status, data);
+        if (blockReason === 'quota') remoteQuotaExhausted = true;
+        if (blockReason) return { blockReason, estimatedTotal: null, results: [] };
+
+        const message = data && data.error ? (data.error.message || data.error) : response.body.slice(0, 200);
+        throw new Error(`${engine.name} respondeu HTTP ${response.status}: ${message}`);
+      }
+      if (!data) {
+        throw new Error(`${engine.name} retornou uma resposta que não é JSON`);
+      }
+
+      return { blockReason: null, ...engine.parseResults(data) };
+    }
+  };
+
+  return engine;
+}
+
+/**
+ * Carrega a configuração das APIs de pesquisa e cria os adaptadores
+ * @param {string} configFile - Arquivo JSON/YAML ({ [id]: configuração } ou { apis: {...} })
+ * @param {Object} settings - { usageFile }: arquivo onde o uso diário das cotas é salvo
+ * @returns {Promise<Array<Object>>} - Adaptadores criados (ainda não registrados)
+ */
+export async function loadApiEngines(configFile, { usageFile = null } = {}) {
+  const content = await fs.readFile(configFile, 'utf8');
+  let data;
+  try {
+    data = (path.extname(configFile).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content)) || {};
+  } catch (error) {
+    throw new Error(`Erro ao ler configuração de APIs ${configFile}: ${error.message}`);
+  }
+
+  const entries = Object.entries(data.apis || data);
+  const quota = await createQuotaTracker(usageFile);
+
+  return entries.map(([id, config]) => {
+    try {
+      return createApiEngine(id, config || {}, quota);
+    } catch (error) {
+      throw new Error(`${error.message} (${configFile})`);
+    }
+  });
+}
@@ -0,0 +1,176 @@
+/**
+ * Base Search Engine Adapter
+ * 
+ * Este módulo define o contrato dos adaptadores de motores de busca e uma
+ * fábrica para criar adaptadores a partir de uma configuração baseada em
+ * seletores CSS (o caso dos motores embutidos).
+ * 
+ * Contrato de um adaptador:
+ * - id: identificador em minúsculas (usado na CLI, ex: 'bing')
+ * - name: nome para exibição
+ * - buildSearchUrl(query, { page }): URL da pesquisa (page começa em 0)
+ * - getNextPageUrl({ query, page, html, url }): URL da próxima página ou null
+ * - parseResults(html, pageUrl): { engine, estimatedTotal, results }
+ * - detectBlock(page, { status }): Promise com o veredito da página
+ *   ({ verdict, blocked, confidence, reason }, veja block-detector.js)
+ * - acceptConsent(page): Promise que aceita banners de cookies/consentimento
+ * - syntax (opcional): operadores suportados, usados por dork-syntax.js
+ * - rateLimit (opcional): { interval, burst } usado por rate-limiter.js
+ */
+
+import chalk from 'chalk';
+import { parseSearchResults, findNextPageLink } from '../serp-parser.js';
+import { classifyBrowserPage } from '../block-detector.js';
+
+// Métodos obrigatórios de todo adaptador
+export const ENGINE_METHODS = [
+  'buildSearchUrl',
+  'getNextPageUrl',
+  'parseResults',
+  'detectBlock',
+  'acceptConsent'
+];
+
+/**
+ * Verifica se um objeto cumpre o contrato de adaptador
+ * @param {Object} engine - Adaptador a ser validado
+ * @throws {Error} - Se faltar algum campo ou método obrigatório
+ */
+export function validateEngine(engine) {
+  if (!engine || typeof engine !== 'object') {
+    throw new Error('Adaptador de motor de busca inválido');
+  }
+  if (!engine.id || !engine.name) {
+    throw new Error('Adaptador de motor de busca sem "id" ou "name"');
+  }
+  
+  const missing = ENGINE_METHODS.filter(method => typeof engine[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Adaptador "${engine.id}" não implementa: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Cria um adaptador a partir de uma configuração baseada em seletores
+ * @param {Object} config - Configuração do motor de busca
+ * @param {string} config.name - Nome para exibição
+ * @param {string} config.url - Endpoint de pesquisa (sem parâmetros)
+ * @param {string} [config.queryParam='q'] - Parâmetro da consulta
+ * @param {string} [config.pageParam] - Parâmetro de deslocamento da paginação
+ * @param {number} [config.resultsPerPage=10] - Resultados por página
+ * @param {number} [config.firstResultOffset=0] - Valor de pageParam para o primeiro resultado
+ * @param {string} [config.nextPageSelector] - Link "próxima página" (tem prioridade sobre pageParam)
+ * @param {number} [config.maxPages=3] - Máximo de páginas coletadas por dork
+ * @param {number} [config.maxResults=100] - Máximo de resultados coletados por dork
+ * @param {Object} [config.extraParams] - Parâmetros fixos adicionais
+ * @param {Array<RegExp>} [config.blockUrlPatterns] - URLs de interstício de captcha/bloqueio
+ * @param {Array<RegExp>} [config.consentUrlPatterns] - URLs de parede de consentimento
+ * @param {Array<string>} [config.captchaSelectors] - Marcadores de captcha próprios do motor
+ * @param {Array<string>} [config.consentSelectors] - Marcadores de parede de consentimento
+ * @param {Array<string>} [config.noResultsSelectors] - Marcadores de "nenhum resultado"
+ * @param {Object} [config.syntax] - { operators, wildcardSite, or }: cada operador do Google é
+ *   mapeado para o equivalente do motor, para 'keyword' (busca o valor como frase) ou omitido
+ *   quando não há equivalente (o dork é então enviado para outro motor)
+ * @param {Object} [config.rateLimit] - { interval, burst }: intervalo mínimo entre pesquisas (ms) e
+ *   rajada permitida; o intervalo efetivo é o maior entre este e o delay da varredura
+ * @param {string} config.resultSelector - Seletor de cada resultado (e demais seletores de serp-parser.js)
+ * @param {Object} overrides - Métodos que substituem o comportamento padrão
+ * @returns {Object} - Adaptador de motor de busca
+ * @throws {Error} - Se faltar name, url ou resultSelector
+ */
+export function createSelectorEngine(config, overrides = {}) {
+  const missing = ['name', 'url', 'resultSelector'].filter(field => !config || !config[field]);
+  if (missing.length > 0) {
+    throw new Error(`Configuração de motor de busca sem: ${missing.join(', ')}`);
+  }
+  
+  const settings = {
+    queryParam: 'q',
+    pageParam: null,
+    resultsPerPage: 10,
+    firstResultOffset: 0,
+    nextPageSelector: null,
+    maxPages: 3,
+    maxResults: 100,
+    extraParams: {},
+    blockUrlPatterns: [],
+    consentUrlPatterns: [],
+    captchaSelectors: [],
+    consentSelectors: [],
+    noResultsSelectors: [],
+    ...config
+  };
+  
+  const engine = {
+    ...settings,
+    id: settings.id || settings.name.toLowerCase(),
+    
+    // Sinais usados por block-detector.js
+    blockDetection: {
+      captchaUrlPatterns: settings.blockUrlPatterns,
+      consentUrlPatterns: settings.consentUrlPatterns,
+      captchaSelectors: settings.captchaSelectors,
+      consentSelectors: settings.consentSelectors,
+      noResultsSelectors: settings.noResultsSelectors
+    },
+    
+    buildSearchUrl(query, { page = 0 } = {}) {
+      const url = new URL(settings.url);
+      url.searchParams.set(settings.queryParam, query);
+      
+      Object.entries(settings.extraParams).forEach(([key, value]) => {
+        url.searchParams.set(key, value);
+      });
+      
+      if (page > 0 && settings.pageParam) {
+        url.searchParams.set(settings.pageParam, String(settings.firstResultOffset + page * settings.resultsPerPage));
+      }
+      
+      return url.href;
+    },
+    
+    getNextPageUrl({ query, page, html, url }) {
+      // Preferir o link "próxima página" da própria página de resultados
+      if (settings.nextPageSelector && html) {
+        return findNextPageLink(html, settings.nextPageSelector, url);
+      }
+      
+      // Sem parâmetro de paginação não há como avançar
+      if (!settings.pageParam) return null;
+      return engine.buildSearchUrl(query, { page: page + 1 });
+    },
+    
+    parseResults(html, pageUrl) {
+      return parseSearchResults(html, engine, pageUrl);
+    },
+    
+    async detectBlock(page, context = {}) {
+      const verdict = await classifyBrowserPage(page, engine, context);
+      if (verdict.blocked) {
+        console.log(`🛑 Bloqueio detectado em ${settings.name}: ${verdict.verdict} (${verdict.reason}, confiança ${verdict.confidence})`);
+      }
+      return verdict;
+    },
+    
+    async acceptConsent(page) {
+      const selector = settings.cookieAcceptSelector;
+      if (!selector || selector === 'null') return;
+      
+      try {
+        const button = await page.$(selector);
+        if (button) {
+          await button.click();
+          console.log(chalk.blue('🍪 Banner de cookies aceito'));
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+      } catch (error) {
+        console.log(chalk.yellow(`⚠️ Erro ao aceitar cookies: ${error.message}`));
+      }
+    },
+    
+    ...overrides
+  };
+  
+  validateEngine(engine);
+  return engine;
+}
@@ -0,0 +1,38 @@
+/**
+ * Adaptador do Bing
+ */
+
+import { createSelectorEngine } from './base-engine.js';
+
+export default createSelectorEngine({
+  name: 'Bing',
+  url: 'https://www.bing.com/search',
+  pageParam: 'first',
+  resultsPerPage: 10,
+  firstResultOffset: 1,
+  nextPageSelector: 'a.sb_pagN',
+  blockUrlPatterns: [/bing\.com\/(?:turing|challenge)\//],
+  captchaSelectors: ['#b_captcha', 'iframe[src*="/turing/"]'],
+  noResultsSelectors: ['li.b_no'],
+  resultSelector: '.b_algo',
+  titleSelector: 'h2',
+  linkSelector: 'a',
+  snippetSelector: '.b_caption p',
+  statsSelector: '.sb_count',
+  cookieAcceptSelector: '#bnp_btn_accept',
+  // Bing não tem inurl: nem curinga em site:, e usa inbody: no lugar de intext:
+  syntax: {
+    operators: {
+      site: 'site',
+      filetype: 'filetype',
+      ext: 'filetype',
+      intitle: 'intitle',
+      intext: 'inbody',
+      inbody: 'inbody',
+      allintext: 'keyword',
+      inanchor: 'inanchor'
+    },
+    wildcardSite: false,
+    or: true
+  }
+});
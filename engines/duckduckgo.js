@@ -0,0 +1,38 @@
+/**
+ * Adaptador do DuckDuckGo
+ * 
+ * Usa a versão HTML (sem JavaScript), que é a que corresponde aos seletores
+ * .result / .result__a e permite paginação pelo parâmetro "s".
+ */
+
+import { createSelectorEngine } from './base-engine.js';
+
+export default createSelectorEngine({
+  name: 'DuckDuckGo',
+  url: 'https://html.duckduckgo.com/html/',
+  pageParam: 's',
+  resultsPerPage: 30,
+  captchaSelectors: ['.anomaly-modal__title', 'form#challenge-form'],
+  noResultsSelectors: ['.no-results'],
+  resultSelector: '.result',
+  titleSelector: '.result__title',
+  linkSelector: '.result__a',
+  snippetSelector: '.result__snippet',
+  statsSelector: null,
+  cookieAcceptSelector: null,
+  // DuckDuckGo não tem intext: (a busca no corpo é o padrão) nem curinga em site:
+  syntax: {
+    operators: {
+      site: 'site',
+      filetype: 'filetype',
+      ext: 'filetype',
+      intitle: 'intitle',
+      inurl: 'inurl',
+      intext: 'keyword',
+      inbody: 'keyword',
+      allintext: 'keyword'
+    },
+    wildcardSite: false,
+    or: true
+  }
+});
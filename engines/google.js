@@ -0,0 +1,29 @@
+/**
+ * Adaptador do Google
+ */
+
+import { createSelectorEngine } from './base-engine.js';
+import { PASSTHROUGH_SYNTAX } from '../dork-syntax.js';
+
+export default createSelectorEngine({
+  name: 'Google',
+  url: 'https://www.google.com/search',
+  pageParam: 'start',
+  resultsPerPage: 10,
+  nextPageSelector: 'a#pnnext',
+  blockUrlPatterns: [/google\.[^/]+\/sorry\//],
+  consentUrlPatterns: [/consent\.google\./],
+  captchaSelectors: ['form[action*="/sorry/"]'],
+  consentSelectors: ['form[action*="consent.google"]'],
+  noResultsSelectors: ['#topstuff .card-section'],
+  // O Google bloqueia rapidamente pesquisas com operadores em sequência
+  rateLimit: { interval: 10000, burst: 1 },
+  resultSelector: 'div.g',
+  titleSelector: 'h3',
+  linkSelector: 'a',
+  snippetSelector: 'div.VwiC3b',
+  statsSelector: '#result-stats',
+  cookieAcceptSelector: 'button[id="L2AGLb"]',
+  // Os dorks são escritos na sintaxe do Google: nada a traduzir
+  syntax: PASSTHROUGH_SYNTAX
+});
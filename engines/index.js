@@ -0,0 +1,122 @@
+/**
+ * Search Engine Registry
+ * 
+ * Registro dos adaptadores de motores de busca. Os motores embutidos são
+ * registrados automaticamente; adaptadores personalizados podem ser
+ * carregados de um diretório local com loadCustomEngines().
+ * 
+ * Um arquivo de adaptador personalizado deve exportar (export default)
+ * um adaptador completo ou uma configuração baseada em seletores, que será
+ * convertida com createSelectorEngine().
+ * 
+ * Motores de APIs oficiais de pesquisa (veja api-engines.js) são registrados
+ * a partir de um arquivo de configuração com registerApiEngines().
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import { createSelectorEngine, validateEngine } from './base-engine.js';
+import google from './google.js';
+import bing from './bing.js';
+import duckduckgo from './duckduckgo.js';
+import yahoo from './yahoo.js';
+import { loadApiEngines } from './api-engines.js';
+
+export { createSelectorEngine, validateEngine } from './base-engine.js';
+export { API_ENGINE_TYPES } from './api-engines.js';
+
+// Adaptadores registrados, indexados pelo id
+const registry = new Map();
+
+/**
+ * Registra um adaptador de motor de busca (substitui um existente com o mesmo id)
+ * @param {Object} engine - Adaptador que cumpre o contrato de base-engine.js
+ * @returns {Object} - O adaptador registrado
+ */
+export function registerEngine(engine) {
+  validateEngine(engine);
+  registry.set(engine.id.toLowerCase(), engine);
+  return engine;
+}
+
+/**
+ * Retorna um adaptador pelo id ou nome
+ * @param {string} name - Id ou nome do motor (sem diferenciar maiúsculas)
+ * @returns {Object} - Adaptador registrado
+ * @throws {Error} - Se o motor não estiver registrado
+ */
+export function getEngine(name) {
+  const key = String(name).toLowerCase();
+  const engine = registry.get(key) || listEngines().find(e => e.name.toLowerCase() === key);
+  
+  if (!engine) {
+    throw new Error(`Motor de busca desconhecido: ${name}`);
+  }
+  return engine;
+}
+
+/**
+ * Lista os adaptadores registrados, na ordem de registro
+ * @returns {Array<Object>} - Adaptadores
+ */
+export function listEngines() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Carrega e registra adaptadores personalizados de um diretório (arquivos .js/.mjs)
+ * @param {string} dir - Diretório com os adaptadores
+ * @returns {Promise<Array<string>>} - Ids dos adaptadores carregados
+ */
+export async function loadCustomEngines(dir) {
+  if (!dir || !(await fs.pathExists(dir))) return [];
+  
+  const files = (await fs.readdir(dir))
+    .filter(file => /\.m?js$/.test(file))
+    .sort();
+  
+  const loaded = [];
+  
+  for (const file of files) {
+    const filePath = path.join(dir, file);
+    const module = await import(pathToFileURL(filePath).href);
+    const exported = module.default;
+    
+    if (!exported) {
+      throw new Error(`Adaptador ${filePath} não possui export default`);
+    }
+    
+    let engine;
+    try {
+      // Aceitar tanto adaptadores completos quanto configurações baseadas em seletores
+      engine = typeof exported.buildSearchUrl === 'function'
+        ? exported
+        : createSelectorEngine(exported);
+      registerEngine(engine);
+    } catch (error) {
+      throw new Error(`${error.message} (${filePath})`);
+    }
+    loaded.push(engine.id);
+  }
+  
+  return loaded;
+}
+
+/**
+ * Carrega e registra os motores de APIs de pesquisa de um arquivo de configuração
+ * @param {string} configFile - Arquivo JSON/YAML com as APIs (veja api-engines.js)
+ * @param {Object} settings - { usageFile }: arquivo de uso diário das cotas
+ * @returns {Promise<Array<string>>} - Ids dos motores registrados
+ */
+export async function registerApiEngines(configFile, settings = {}) {
+  if (!configFile) return [];
+  
+  const engines = await loadApiEngines(configFile, settings);
+  engines.forEach(registerEngine);
+  return engines.map(engine => engine.id);
+}
+
+// Registrar os motores embutidos
+[google, bing, duckduckgo, yahoo].forEach(registerEngine);
@@ -0,0 +1,39 @@
+/**
+ * Adaptador do Yahoo
+ */
+
+import { createSelectorEngine } from './base-engine.js';
+
+export default createSelectorEngine({
+  name: 'Yahoo',
+  url: 'https://search.yahoo.com/search',
+  queryParam: 'p',
+  pageParam: 'b',
+  resultsPerPage: 10,
+  firstResultOffset: 1,
+  nextPageSelector: 'a.next',
+  consentUrlPatterns: [/(?:consent|guce)\.yahoo\.com/],
+  consentSelectors: ['form.consent-form'],
+  noResultsSelectors: ['.zrp-container'],
+  resultSelector: '.algo',
+  titleSelector: 'h3',
+  linkSelector: 'a.d-ib',
+  snippetSelector: '.compText',
+  statsSelector: '.searchCenterMiddle',
+  cookieAcceptSelector: 'button[name="agree"]',
+  // Yahoo não reconhece ext: nem intext:, nem curinga em site:
+  syntax: {
+    operators: {
+      site: 'site',
+      filetype: 'filetype',
+      ext: 'filetype',
+      intitle: 'intitle',
+      inurl: 'inurl',
+      intext: 'keyword',
+      inbody: 'keyword',
+      allintext: 'keyword'
+    },
+    wildcardSite: false,
+    or: true
+  }
+});
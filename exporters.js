@@ -0,0 +1,252 @@
+/**
+ * Exporters Module
+ *
+ * Este módulo exporta os achados da varredura em formatos para integração com
+ * outras ferramentas:
+ * - csv: uma linha por achado (planilhas e rastreadores de tickets)
+ * - jsonl: um achado por linha, gravado em stream (pipelines de ingestão)
+ * - sarif: SARIF 2.1.0, com cada dork como regra e cada URL como resultado
+ *   (dashboards de code scanning)
+ *
+ * Os registros de CSV e JSONL seguem o esquema versionado em
+ * schemas/finding-export.v1.json (campo schemaVersion).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import chalk from 'chalk';
+
+import { generateDorkHash } from './utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Versão do esquema dos registros exportados (altere ao mudar campos)
+export const EXPORT_SCHEMA_VERSION = '1.0';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'sarif'];
+
+// Colunas do CSV, na ordem em que são gravadas
+const CSV_COLUMNS = [
+  'schemaVersion', 'domain', 'scanId', 'findingId', 'url', 'host', 'title', 'severity',
+  'categories', 'engines', 'dorks', 'dorkIds', 'occurrences', 'firstSeen', 'snippet'
+];
+
+// Mapeamento de severidade para os níveis do SARIF e a pontuação usada por dashboards
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note', info: 'note' };
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '3.0', info: '0.0' };
+
+/**
+ * Valida a lista de formatos de exportação
+ * @param {Array<string>} formats - Formatos solicitados
+ * @returns {Array<string>} - Formatos em minúsculas, sem duplicatas
+ * @throws {Error} - Se algum formato não for suportado
+ */
+export function resolveExportFormats(formats = []) {
+  const resolved = [...new Set(formats.map(format => format.toLowerCase()))];
+  const unknown = resolved.filter(format => !EXPORT_FORMATS.includes(format));
+
+  if (unknown.length > 0) {
+    throw new Error(`Formato de exportação desconhecido: ${unknown.join(', ')} (use ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Identificador estável de um dork (id do pacote ou hash da query)
+ * @param {Object} dork - Dork com dorkId e dork (query)
+ * @returns {string} - Identificador
+ */
+function getRuleId(dork) {
+  return dork.dorkId || `dork-${generateDorkHash(dork.dork)}`;
+}
+
+/**
+ * Converte um achado em registro exportável (esquema finding-export v1)
+ * @param {Object} finding - Achado (veja findings.js)
+ * @param {Object} scan - { domain, scanId }
+ * @returns {Object} - Registro com campos estáveis
+ */
+export function toExportRecord(finding, scan) {
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    domain: scan.domain,
+    scanId: scan.scanId,
+    findingId: finding.id,
+    url: finding.url,
+    host: finding.host,
+    title: finding.title,
+    severity: finding.severity,
+    categories: finding.categories,
+    engines: finding.engines,
+    dorks: finding.dorks.map(dork => dork.dork),
+    dorkIds: finding.dorks.map(getRuleId),
+    occurrences: finding.occurrences.length,
+    firstSeen: finding.firstSeen || null,
+    snippet: finding.snippet || ''
+  };
+}
+
+/**
+ * Formata um valor como célula CSV
+ * Células que começam com = + - @ recebem um apóstrofo para não serem executadas como fórmula
+ * @param {*} value - Valor (listas são unidas com "; ")
+ * @returns {string} - Célula escapada
+ */
+export function toCsvCell(value) {
+  let text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta os registros em CSV
+ * @param {string} filePath - Arquivo de saída
+ * @param {Array<Object>} records - Registros (toExportRecord)
+ */
+async function writeCsv(filePath, records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  records.forEach(record => lines.push(CSV_COLUMNS.map(column => toCsvCell(record[column])).join(',')));
+  await fs.writeFile(filePath, `${lines.join('\r\n')}\r\n`);
+}
+
+/**
+ * Exporta os registros em JSON Lines, gravando um registro por vez
+ * @param {string} filePath - Arquivo de saída
+ * @param {Array<Object>} records - Registros (toExportRecord)
+ * @returns {Promise} - Resolve quando o arquivo é fechado
+ */
+function writeJsonl(filePath, records) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(filePath, { encoding: 'utf8' });
+    stream.on('error', reject);
+    stream.on('finish', resolve);
+
+    let index = 0;
+    const writeNext = () => {
+      while (index < records.length) {
+        const ok = stream.write(`${JSON.stringify(records[index++])}\n`);
+        if (!ok) {
+          stream.once('drain', writeNext);
+          return;
+        }
+      }
+      stream.end();
+    };
+    writeNext();
+  });
+}
+
+/**
+ * Monta o documento SARIF 2.1.0
+ * @param {Array<Object>} findings - Achados
+ * @param {Array<Object>} results - Resultados da varredura (metadados dos dorks)
+ * @param {Object} scan - { domain, scanId }
+ * @returns {Promise<Object>} - Documento SARIF
+ */
+async function buildSarif(findings, results, scan) {
+  const pkg = await fs.readJson(path.join(__dirname, 'package.json'));
+
+  // Cada dork executado vira uma regra
+  const rules = new Map();
+  const addRule = source => {
+    const ruleId = getRuleId(source);
+    if (rules.has(ruleId)) return;
+
+    const severity = source.severity || 'info';
+    rules.set(ruleId, {
+      id: ruleId,
+      name: ruleId,
+      shortDescription: { text: source.description || source.dork },
+      fullDescription: { text: source.dork },
+      defaultConfiguration: { level: SARIF_LEVELS[severity] },
+      properties: {
+        category: source.category || null,
+        pack: source.pack || null,
+        severity,
+        tags: ['security', ...(source.tags || [])],
+        'security-severity': SECURITY_SEVERITY[severity]
+      }
+    });
+  };
+  results.forEach(addRule);
+  // Dorks dos achados ausentes dos resultados também viram regras (ruleIndex nunca fica -1)
+  findings.forEach(finding => finding.dorks.forEach(addRule));
+
+  const ruleIds = [...rules.keys()];
+
+  // Cada URL encontrada vira um resultado para cada dork que a encontrou
+  const sarifResults = [];
+  findings.forEach(finding => {
+    finding.dorks.forEach(dork => {
+      const ruleId = getRuleId(dork);
+      const severity = dork.severity || finding.severity;
+      sarifResults.push({
+        ruleId,
+        ruleIndex: ruleIds.indexOf(ruleId),
+        level: SARIF_LEVELS[severity] || 'note',
+        message: { text: `${finding.title} (${finding.url})` },
+        locations: [{
+          physicalLocation: { artifactLocation: { uri: finding.url } }
+        }],
+        partialFingerprints: { findingId: finding.id },
+        properties: {
+          engines: finding.engines,
+          categories: finding.categories,
+          snippet: finding.snippet || ''
+        }
+      });
+    });
+  });
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'DorkHunter',
+          version: pkg.version,
+          rules: [...rules.values()]
+        }
+      },
+      automationDetails: { id: `dorkhunter/${scan.domain}/${scan.scanId}` },
+      properties: { domain: scan.domain, schemaVersion: EXPORT_SCHEMA_VERSION },
+      results: sarifResults
+    }]
+  };
+}
+
+/**
+ * Exporta os achados nos formatos solicitados
+ * @param {Array<string>} formats - Formatos (csv, jsonl, sarif)
+ * @param {Object} data - { domain, scanId, findings, results }
+ * @param {string} outputDir - Diretório de saída
+ * @returns {Promise<Array<string>>} - Caminhos dos arquivos gerados
+ */
+export async function exportFindings(formats, { domain, scanId, findings, results }, outputDir) {
+  await fs.ensureDir(outputDir);
+
+  const scan = { domain, scanId };
+  const records = findings.map(finding => toExportRecord(finding, scan));
+  const basePath = path.join(outputDir, `findings_${domain}_${scanId}`);
+  const written = [];
+
+  for (const format of resolveExportFormats(formats)) {
+    const filePath = `${basePath}.${format}`;
+
+    if (format === 'csv') {
+      await writeCsv(filePath, records);
+    } else if (format === 'jsonl') {
+      await writeJsonl(filePath, records);
+    } else if (format === 'sarif') {
+      await fs.writeFile(filePath, JSON.stringify(await buildSarif(findings, results, scan), null, 2));
+    }
+
+    console.log(chalk.green(`📤 Exportação ${format.toUpperCase()} salva em: ${filePath}`));
+    written.push(filePath);
+  }
+
+  return written;
+}
@@ -0,0 +1,156 @@
+/**
+ * Findings Module
+ *
+ * Este módulo correlaciona os resultados de todos os dorks e motores de busca:
+ * cada URL é normalizada (esquema, barra final, parâmetros de rastreamento e
+ * redirecionamentos dos buscadores) e URLs equivalentes são unidas em um único
+ * achado ("finding") que lista todos os dorks e motores que o encontraram.
+ */
+
+import crypto from 'crypto';
+
+import { unwrapRedirectUrl } from './serp-parser.js';
+import { SEVERITY_LEVELS } from './dork-packs.js';
+import { addFindingSecrets, detectUrlSecrets } from './secret-detector.js';
+
+// Parâmetros de rastreamento removidos das URLs (prefixos terminam com _)
+const TRACKING_PARAMS = [
+  'utm_', 'gclid', 'gclsrc', 'dclid', 'fbclid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', 'srsltid'
+];
+
+const DEFAULT_PORTS = { 'http:': '80', 'https:': '443' };
+
+/**
+ * Verifica se um parâmetro de query é de rastreamento
+ * @param {string} name - Nome do parâmetro
+ * @returns {boolean} - Se o parâmetro deve ser removido
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.some(param => (param.endsWith('_') ? lower.startsWith(param) : lower === param));
+}
+
+/**
+ * Normaliza uma URL de resultado para comparação entre dorks e motores
+ * - remove redirecionamentos dos buscadores (Google /url, Bing /ck/a, etc)
+ * - ignora o esquema (http e https são considerados a mesma URL; https é preferido)
+ * - converte o host para minúsculas e remove a porta padrão
+ * - remove fragmento, parâmetros de rastreamento e a barra final
+ * - ordena os parâmetros restantes
+ * - mascara parâmetros sensíveis e segredos (veja detectUrlSecrets em secret-detector.js),
+ *   para que o id do achado seja o mesmo com o link original ou com o link já mascarado
+ * @param {string} link - URL como coletada
+ * @returns {Object|null} - { url, key, host } ou null se a URL for inválida
+ */
+export function normalizeUrl(link) {
+  const unwrapped = unwrapRedirectUrl(link);
+  if (!unwrapped) return null;
+
+  const url = new URL(detectUrlSecrets(unwrapped).redacted);
+  url.hash = '';
+  if (DEFAULT_PORTS[url.protocol] === url.port) url.port = '';
+
+  const params = [...url.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  url.search = new URLSearchParams(params).toString();
+
+  let pathname = url.pathname;
+  if (pathname.length > 1 && pathname.endsWith('/')) {
+    pathname = pathname.replace(/\/+$/, '') || '/';
+  }
+
+  const host = url.host.toLowerCase();
+  const key = `${host}${pathname}${url.search}`;
+
+  return {
+    url: `${url.protocol}//${key}`,
+    key,
+    host
+  };
+}
+
+/**
+ * Compara duas severidades
+ * @param {string} a - Severidade
+ * @param {string} b - Severidade
+ * @returns {string} - A mais alta das duas
+ */
+function maxSeverity(a, b) {
+  return SEVERITY_LEVELS.indexOf(b) > SEVERITY_LEVELS.indexOf(a) ? b : a;
+}
+
+/**
+ * Une os resultados de todos os dorks em achados por URL normalizada
+ * @param {Array<Object>} results - Resultados da varredura (um por dork)
+ * @returns {Array<Object>} - Achados ordenados por severidade e número de ocorrências
+ */
+export function buildFindings(results) {
+  const findings = new Map();
+
+  results.forEach(result => {
+    (result.urls || []).forEach(item => {
+      const normalized = normalizeUrl(item.link);
+      if (!normalized) return;
+
+      let finding = findings.get(normalized.key);
+      if (!finding) {
+        finding = {
+          id: crypto.createHash('md5').update(normalized.key).digest('hex').substring(0, 12),
+          url: normalized.url,
+          host: normalized.host,
+          title: item.title,
+          snippet: item.snippet || '',
+          severity: result.severity || 'info',
+          firstSeen: result.timestamp,
+          dorks: [],
+          engines: [],
+          categories: [],
+          secrets: [],
+          occurrences: []
+        };
+        findings.set(normalized.key, finding);
+      }
+
+      // Preferir https quando a mesma URL aparece com os dois esquemas
+      if (normalized.url.startsWith('https:')) finding.url = normalized.url;
+      if (!finding.snippet && item.snippet) finding.snippet = item.snippet;
+
+      finding.severity = maxSeverity(finding.severity, result.severity || 'info');
+      if (!finding.dorks.some(dork => dork.dork === result.dork)) {
+        finding.dorks.push({
+          dork: result.dork,
+          dorkId: result.dorkId,
+          pack: result.pack,
+          severity: result.severity
+        });
+      }
+      if (!finding.engines.includes(result.searchEngine)) finding.engines.push(result.searchEngine);
+      if (result.category && !finding.categories.includes(result.category)) finding.categories.push(result.category);
+      // Segredos nos snippets elevam a severidade do achado (veja secret-detector.js)
+      addFindingSecrets(finding, item.secrets);
+
+      finding.occurrences.push({
+        dork: result.dork,
+        engine: result.searchEngine,
+        position: item.position,
+        link: item.link
+      });
+    });
+  });
+
+  return sortFindings([...findings.values()]);
+}
+
+/**
+ * Ordena achados por severidade e número de ocorrências
+ * @param {Array<Object>} findings - Achados (ordenados no lugar)
+ * @returns {Array<Object>} - Os mesmos achados
+ */
+export function sortFindings(findings) {
+  return findings.sort((a, b) =>
+    SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity) ||
+    b.occurrences.length - a.occurrences.length
+  );
+}
@@ -0,0 +1,231 @@
+/**
+ * History Module
+ *
+ * Este módulo mantém o histórico local de varreduras em arquivos JSONL
+ * (um arquivo por domínio, uma linha por varredura, apenas acrescentado)
+ * e compara varreduras para mostrar os achados novos, removidos ou alterados
+ * desde uma execução anterior.
+ *
+ * Um achado só é considerado removido quando um dos dorks que o encontraram foi
+ * concluído nas duas varreduras: achados de dorks bloqueados, com erro, pulados ou
+ * não alcançados (quit), suprimidos na triagem ou fora do escopo aparecem como
+ * não verificados novamente.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+
+// Motivos de um achado anterior não ter sido verificado novamente
+const NOT_RECHECKED_REASONS = {
+  'not-completed': 'dorks não concluídos nesta varredura',
+  suppressed: 'falso positivo suprimido na triagem',
+  'out-of-scope': 'fora do escopo'
+};
+
+/**
+ * Caminho do arquivo de histórico de um domínio
+ * @param {string} historyDir - Diretório do histórico
+ * @param {string} domain - Domínio alvo
+ * @returns {string} - Caminho do arquivo JSONL
+ */
+export function getHistoryFile(historyDir, domain) {
+  return path.join(historyDir, `${domain}.jsonl`);
+}
+
+/**
+ * Monta o registro de uma varredura para o histórico
+ * Apenas os campos necessários para comparação são guardados de cada achado
+ * @param {Object} scan - { domain, types, engines, stats (com scanId), findings, dorks, hiddenFindings }
+ * @param {Array<Object>} [scan.dorks] - [{ dork, status }]: status do dork no checkpoint (done, blocked,
+ *   error, skipped ou pending)
+ * @param {Array<Object>} [scan.hiddenFindings] - [{ id, url, reason }]: achados encontrados, mas fora dos
+ *   achados da varredura (reason: suppressed ou out-of-scope)
+ * @returns {Object} - Registro da varredura
+ */
+export function createScanRecord({ domain, types, engines, stats, findings, dorks = [], hiddenFindings = [] }) {
+  return {
+    scanId: stats.scanId,
+    domain,
+    startTime: stats.startTime,
+    endTime: stats.endTime,
+    types,
+    engines,
+    stats: {
+      totalDorks: stats.totalDorks,
+      dorksProcessed: stats.dorksProcessed,
+      dorksWithResults: stats.dorksWithResults,
+      blocked: stats.blocked,
+      uniqueUrls: findings.length
+    },
+    findings: findings.map(finding => ({
+      id: finding.id,
+      url: finding.url,
+      title: finding.title,
+      severity: finding.severity,
+      dorks: finding.dorks.map(dork => dork.dork),
+      engines: finding.engines,
+      // Estado e hash do conteúdo da verificação (base para detectar mudanças na próxima varredura)
+      verification: finding.verification
+        ? { state: finding.verification.state, status: finding.verification.status, bodyHash: finding.verification.bodyHash }
+        : undefined
+    })),
+    dorks: dorks.map(({ dork, status }) => ({ dork, status })),
+    hiddenFindings: hiddenFindings.map(({ id, url, reason }) => ({ id, url, reason }))
+  };
+}
+
+/**
+ * Acrescenta uma varredura ao histórico do domínio
+ * @param {string} historyDir - Diretório do histórico
+ * @param {Object} record - Registro criado por createScanRecord
+ * @returns {Promise<string>} - Caminho do arquivo de histórico
+ */
+export async function appendScanRecord(historyDir, record) {
+  await fs.ensureDir(historyDir);
+  const historyFile = getHistoryFile(historyDir, record.domain);
+  await fs.appendFile(historyFile, `${JSON.stringify(record)}\n`);
+  return historyFile;
+}
+
+/**
+ * Carrega todas as varreduras registradas para um domínio, da mais antiga para a mais recente
+ * Linhas corrompidas (ex: gravação interrompida) são ignoradas
+ * @param {string} historyDir - Diretório do histórico
+ * @param {string} domain - Domínio alvo
+ * @returns {Promise<Array<Object>>} - Registros de varredura
+ */
+export async function loadScanHistory(historyDir, domain) {
+  const historyFile = getHistoryFile(historyDir, domain);
+  if (!(await fs.pathExists(historyFile))) return [];
+
+  const content = await fs.readFile(historyFile, 'utf8');
+  return content.split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Localiza uma varredura no histórico pelo id ou pela posição
+ * Posições negativas contam a partir do fim (-1 = mais recente)
+ * @param {Array<Object>} history - Registros de varredura
+ * @param {string|number} ref - scanId ou posição
+ * @returns {Object|null} - Registro encontrado ou null
+ */
+export function findScan(history, ref) {
+  const byId = history.find(scan => scan.scanId === ref);
+  if (byId) return byId;
+
+  const index = Number(ref);
+  if (!Number.isInteger(index)) return null;
+  return history[index < 0 ? history.length + index : index] || null;
+}
+
+/**
+ * Compara dois conjuntos de valores sem considerar a ordem
+ * @param {Array} a - Valores
+ * @param {Array} b - Valores
+ * @returns {boolean} - Se os conjuntos são iguais
+ */
+function sameSet(a = [], b = []) {
+  return a.length === b.length && a.every(item => b.includes(item));
+}
+
+/**
+ * Compara duas varreduras do mesmo domínio
+ * @param {Object} previous - Varredura anterior
+ * @param {Object} current - Varredura atual
+ * @returns {Object} - { added, removed, notRechecked: [{ finding, reason }], changed: [{ finding, changes }], unchanged }
+ */
+export function diffScans(previous, current) {
+  const previousById = new Map(previous.findings.map(finding => [finding.id, finding]));
+  const currentIds = new Set(current.findings.map(finding => finding.id));
+  const hidden = new Map((current.hiddenFindings || []).map(finding => [finding.id, finding.reason]));
+
+  // Registros antigos não guardavam o status dos dorks: todos são considerados concluídos
+  const completed = scan => (scan.dorks && scan.dorks.length > 0
+    ? new Set(scan.dorks.filter(dork => dork.status === 'done').map(dork => dork.dork))
+    : null);
+  const previousDone = completed(previous);
+  const currentDone = completed(current);
+  const recheckedBy = dork => (!previousDone || previousDone.has(dork)) && (!currentDone || currentDone.has(dork));
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  current.findings.forEach(finding => {
+    const before = previousById.get(finding.id);
+    if (!before) {
+      added.push(finding);
+      return;
+    }
+
+    const changes = [];
+    if (before.severity !== finding.severity) changes.push(`severidade: ${before.severity} → ${finding.severity}`);
+    if (before.title !== finding.title) changes.push(`título: "${before.title}" → "${finding.title}"`);
+    if (!sameSet(before.dorks, finding.dorks)) changes.push(`dorks: ${before.dorks.length} → ${finding.dorks.length}`);
+    if (!sameSet(before.engines, finding.engines)) changes.push(`motores: ${before.engines.join(', ')} → ${finding.engines.join(', ')}`);
+    if (before.verification && finding.verification && before.verification.state !== finding.verification.state) {
+      changes.push(`verificação: ${before.verification.state} → ${finding.verification.state}`);
+    }
+
+    if (changes.length > 0) {
+      changed.push({ finding, changes });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = [];
+  const notRechecked = [];
+  previous.findings.filter(finding => !currentIds.has(finding.id)).forEach(finding => {
+    if (hidden.has(finding.id)) {
+      notRechecked.push({ finding, reason: hidden.get(finding.id) });
+    } else if (!finding.dorks.some(recheckedBy)) {
+      notRechecked.push({ finding, reason: 'not-completed' });
+    } else {
+      removed.push(finding);
+    }
+  });
+
+  return {
+    from: previous.scanId,
+    to: current.scanId,
+    added,
+    removed,
+    notRechecked,
+    changed,
+    unchanged
+  };
+}
+
+/**
+ * Exibe no console o resultado de uma comparação entre varreduras
+ * @param {Object} diff - Resultado de diffScans
+ */
+export function printScanDiff(diff) {
+  console.log(chalk.cyan(`\n=== Alterações desde ${diff.from} ===`));
+  console.log(chalk.white(`🆕 ${diff.added.length} novos, ❌ ${diff.removed.length} removidos, ✏️ ${diff.changed.length} alterados, ${diff.unchanged} sem alteração, ⏸️ ${diff.notRechecked.length} não verificados novamente`));
+
+  diff.added.forEach(finding => {
+    console.log(chalk.green(`  + [${finding.severity}] ${finding.url}`));
+  });
+  diff.removed.forEach(finding => {
+    console.log(chalk.red(`  - [${finding.severity}] ${finding.url}`));
+  });
+  diff.changed.forEach(({ finding, changes }) => {
+    console.log(chalk.yellow(`  ~ [${finding.severity}] ${finding.url}`));
+    changes.forEach(change => console.log(chalk.gray(`      ${change}`)));
+  });
+  diff.notRechecked.forEach(({ finding, reason }) => {
+    console.log(chalk.gray(`  ? [${finding.severity}] ${finding.url} (${NOT_RECHECKED_REASONS[reason] || reason})`));
+  });
+}
@@ -0,0 +1,333 @@
+/**
+ * HTML Report Module
+ *
+ * Este módulo gera um relatório HTML autocontido (um único arquivo, com CSS,
+ * JavaScript e screenshots embutidos) que pode ser entregue diretamente ao
+ * cliente: painel de resumo, filtros por categoria/severidade/motor, tabela de
+ * achados e detalhes recolhíveis de cada dork.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+
+import { SEVERITY_LEVELS } from './dork-packs.js';
+import { groupFindingsByVerdict } from './triage.js';
+
+// Cores usadas para cada severidade no painel e nos selos
+const SEVERITY_COLORS = {
+  info: '#6c757d',
+  low: '#0d6efd',
+  medium: '#fd7e14',
+  high: '#dc3545',
+  critical: '#6f42c1'
+};
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0; background: #f5f6f8; color: #212529; }
+  header { background: #1f2937; color: #fff; padding: 24px 32px; }
+  header h1 { margin: 0 0 8px; font-size: 24px; }
+  header p { margin: 2px 0; opacity: .85; }
+  main { padding: 24px 32px; }
+  section { margin-bottom: 32px; }
+  h2 { font-size: 20px; border-bottom: 2px solid #dee2e6; padding-bottom: 6px; }
+  h3 { font-size: 16px; margin: 20px 0 8px; }
+  .cards { display: flex; flex-wrap: wrap; gap: 16px; }
+  .card { background: #fff; border-radius: 8px; padding: 16px 20px; min-width: 150px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .card .value { font-size: 28px; font-weight: bold; }
+  .card .label { color: #6c757d; font-size: 13px; }
+  .bars { margin-top: 16px; background: #fff; border-radius: 8px; padding: 16px 20px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  .bar { display: flex; align-items: center; margin: 6px 0; }
+  .bar span { width: 80px; font-size: 13px; }
+  .bar div { height: 14px; border-radius: 3px; margin-right: 8px; }
+  .filters { display: flex; gap: 12px; margin-bottom: 16px; flex-wrap: wrap; }
+  .filters select { padding: 6px 8px; border-radius: 4px; border: 1px solid #ced4da; }
+  table { width: 100%; border-collapse: collapse; background: #fff; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  th, td { text-align: left; padding: 8px 10px; border-bottom: 1px solid #dee2e6; font-size: 14px; vertical-align: top; }
+  th { background: #e9ecef; }
+  td a { word-break: break-all; }
+  .badge { display: inline-block; color: #fff; border-radius: 10px; padding: 2px 8px; font-size: 12px; }
+  details { background: #fff; border-radius: 6px; margin-bottom: 8px; padding: 10px 14px; box-shadow: 0 1px 2px rgba(0,0,0,.08); }
+  summary { cursor: pointer; }
+  summary code { font-size: 13px; }
+  details ol { padding-left: 20px; }
+  details li { margin-bottom: 6px; }
+  .muted { color: #6c757d; font-size: 13px; }
+  .screenshot { max-width: 100%; border: 1px solid #dee2e6; margin-top: 8px; }
+  .hidden { display: none; }
+`;
+
+const FILTER_SCRIPT = `
+  function applyFilters() {
+    var filters = {};
+    document.querySelectorAll('.filters select').forEach(function (select) {
+      filters[select.dataset.filter] = select.value;
+    });
+    document.querySelectorAll('[data-filterable]').forEach(function (item) {
+      var visible = Object.keys(filters).every(function (key) {
+        return !filters[key] || (item.dataset[key] || '').split('|').indexOf(filters[key]) !== -1;
+      });
+      item.classList.toggle('hidden', !visible);
+    });
+  }
+  document.querySelectorAll('.filters select').forEach(function (select) {
+    select.addEventListener('change', applyFilters);
+  });
+`;
+
+/**
+ * Escapa texto para inserção em HTML
+ * @param {*} value - Valor a ser exibido
+ * @returns {string} - Texto escapado
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Gera o selo colorido de uma severidade
+ * @param {string} severity - Severidade
+ * @returns {string} - HTML do selo
+ */
+function severityBadge(severity) {
+  const color = SEVERITY_COLORS[severity] || SEVERITY_COLORS.info;
+  return `<span class="badge" style="background:${color}">${escapeHtml(severity)}</span>`;
+}
+
+/**
+ * Converte um screenshot em data URI para embutir no relatório
+ * @param {string} screenshotPath - Caminho do arquivo PNG
+ * @returns {Promise<string|null>} - Data URI ou null se o arquivo não existir
+ */
+async function embedScreenshot(screenshotPath) {
+  if (!screenshotPath || !(await fs.pathExists(screenshotPath))) return null;
+  const data = await fs.readFile(screenshotPath);
+  return `data:image/png;base64,${data.toString('base64')}`;
+}
+
+/**
+ * Monta um seletor de filtro
+ * @param {string} key - Chave do filtro (atributo data-*)
+ * @param {string} label - Rótulo exibido
+ * @param {Array<string>} values - Valores possíveis
+ * @returns {string} - HTML do seletor
+ */
+function filterSelect(key, label, values) {
+  const options = values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+  return `<label>${label}: <select data-filter="${key}"><option value="">Todos</option>${options}</select></label>`;
+}
+
+/**
+ * Monta o painel de resumo
+ * @param {Array} results - Resultados da varredura
+ * @param {Array} findings - Achados
+ * @param {Object} stats - Estatísticas de execução
+ * @returns {string} - HTML do painel
+ */
+function renderDashboard(results, findings, stats) {
+  const cards = [
+    ['Dorks verificados', results.length],
+    ['Dorks com resultados', results.filter(result => result.resultsCount > 0).length],
+    ['URLs únicas', findings.length],
+    ['Com possíveis segredos', findings.filter(finding => finding.secrets.length > 0).length],
+    ['Subdomínios descobertos', stats.subdomains ? stats.subdomains.discovered : 0],
+    ['Falsos positivos suprimidos', stats.suppressedFindings || 0],
+    ['Fora do escopo', stats.outOfScope ? stats.outOfScope.findings : 0],
+    ['Bloqueados', stats.blocked || 0],
+    ['Tempo total', `${((stats.totalExecutionTime || 0) / 1000 / 60).toFixed(2)} min`]
+  ];
+
+  const maxCount = Math.max(1, ...SEVERITY_LEVELS.map(level => findings.filter(f => f.severity === level).length));
+  const bars = [...SEVERITY_LEVELS].reverse().map(level => {
+    const count = findings.filter(finding => finding.severity === level).length;
+    const width = Math.round((count / maxCount) * 300);
+    return `<div class="bar"><span>${level}</span><div style="width:${width}px;background:${SEVERITY_COLORS[level]}"></div>${count}</div>`;
+  }).join('');
+
+  return `
+    <section>
+      <h2>Resumo</h2>
+      <div class="cards">
+        ${cards.map(([label, value]) => `<div class="card"><div class="value">${escapeHtml(value)}</div><div class="label">${label}</div></div>`).join('')}
+      </div>
+      <div class="bars"><strong>Achados por severidade</strong>${bars}</div>
+    </section>`;
+}
+
+/**
+ * Monta as tabelas de achados, uma por veredito de triagem
+ * @param {Array} findings - Achados (com o campo triage, veja triage.js)
+ * @param {Array} suppressed - Falsos positivos conhecidos
+ * @param {Array} outOfScope - Achados fora do escopo (veja scope.js)
+ * @returns {string} - HTML da seção
+ */
+function renderFindings(findings, suppressed, outOfScope) {
+  const suppressedList = (suppressed.length > 0 ? `
+      <details>
+        <summary>Falsos positivos suprimidos (${suppressed.length})</summary>
+        <ul>${suppressed.map(finding => `<li>${escapeHtml(finding.url)}${finding.triage.note ? ` <span class="muted">— ${escapeHtml(finding.triage.note)}</span>` : ''}</li>`).join('')}</ul>
+      </details>` : '') + (outOfScope.length > 0 ? `
+      <details>
+        <summary>Fora do escopo (${outOfScope.length})</summary>
+        <ul>${outOfScope.map(finding => `<li>${escapeHtml(finding.url)} <span class="muted">— ${escapeHtml(finding.outOfScope)}</span></li>`).join('')}</ul>
+      </details>` : '');
+
+  if (findings.length === 0) {
+    return `<section><h2>Achados</h2><p class="muted">Nenhuma URL encontrada.</p>${suppressedList}</section>`;
+  }
+
+  let position = 0;
+  const tables = groupFindingsByVerdict(findings).map(group => {
+    const rows = group.findings.map(finding => `
+        <tr data-filterable data-severity="${escapeHtml(finding.severity)}" data-category="${escapeHtml(finding.categories.join('|'))}" data-engine="${escapeHtml(finding.engines.join('|'))}">
+          <td>${++position}</td>
+          <td><a href="${escapeHtml(finding.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(finding.title)}</a><br><span class="muted">${escapeHtml(finding.url)}</span>
+            ${finding.verification ? `<br><span class="muted">Verificação: ${escapeHtml(finding.verification.state)}${finding.verification.status ? ` (HTTP ${finding.verification.status})` : ''}</span>` : ''}
+            ${finding.secrets.map(secret => `<br><span class="muted">🔑 ${escapeHtml(secret.name)} (${escapeHtml(secret.source)}): <code>${escapeHtml(secret.match)}</code></span>`).join('')}</td>
+          <td>${severityBadge(finding.severity)}</td>
+          <td>${finding.dorks.map(dork => `<code>${escapeHtml(dork.dork)}</code>`).join('<br>')}</td>
+          <td>${escapeHtml(finding.engines.join(', '))}</td>
+          <td>${finding.triage && finding.triage.note ? escapeHtml(finding.triage.note) : ''}</td>
+        </tr>`).join('');
+
+    return `
+      <h3>${escapeHtml(group.label)} (${group.findings.length})</h3>
+      <table>
+        <thead><tr><th>#</th><th>URL</th><th>Severidade</th><th>Dorks</th><th>Motores</th><th>Anotação</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+  }).join('');
+
+  return `
+    <section>
+      <h2>Achados</h2>
+      ${tables}
+      ${suppressedList}
+    </section>`;
+}
+
+/**
+ * Monta a tabela do inventário de subdomínios
+ * @param {Array} subdomains - Inventário (veja subdomains.js)
+ * @returns {string} - HTML da seção (vazio se nenhum subdomínio foi descoberto)
+ */
+function renderSubdomains(subdomains) {
+  if (subdomains.length === 0) return '';
+
+  const rows = subdomains.map(entry => `
+        <tr>
+          <td>${escapeHtml(entry.host)}</td>
+          <td>${entry.depth}</td>
+          <td>${entry.urls}</td>
+          <td>${entry.outOfScope ? 'Fora do escopo' : (entry.followedUp ? 'Sim' : 'Não')}</td>
+          <td><code>${escapeHtml(entry.foundBy)}</code></td>
+        </tr>`).join('');
+
+  return `
+    <section>
+      <h2>Inventário de Subdomínios (${subdomains.length})</h2>
+      <table>
+        <thead><tr><th>Subdomínio</th><th>Profundidade</th><th>URLs</th><th>Pesquisado</th><th>Descoberto por</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+    </section>`;
+}
+
+/**
+ * Monta os detalhes recolhíveis de cada dork
+ * @param {Array} results - Resultados da varredura
+ * @returns {Promise<string>} - HTML da seção
+ */
+async function renderDorkDetails(results) {
+  const items = [];
+
+  for (const result of results) {
+    const screenshot = await embedScreenshot(result.screenshotPath);
+    const urls = (result.urls || []).map(url => `
+          <li><a href="${escapeHtml(url.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url.title)}</a>
+            ${url.outOfScope ? ` <span class="muted">(fora do escopo: ${escapeHtml(url.outOfScope)})</span>` : ''}
+            ${url.snippet ? `<br><span class="muted">${escapeHtml(url.snippet)}</span>` : ''}</li>`).join('');
+
+    items.push(`
+      <details data-filterable data-severity="${escapeHtml(result.severity || 'info')}" data-category="${escapeHtml(result.category || '')}" data-engine="${escapeHtml(result.searchEngine)}">
+        <summary>${severityBadge(result.severity || 'info')} <code>${escapeHtml(result.dork)}</code>
+          <span class="muted">— ${escapeHtml(result.searchEngine)}, ${result.resultsCount ?? 0} resultados${result.status && result.status !== 'ok' ? `, ${escapeHtml(result.status)}` : ''}</span></summary>
+        ${result.description ? `<p>${escapeHtml(result.description)}</p>` : ''}
+        <p class="muted">Categoria: ${escapeHtml(result.category || 'N/A')} · Pesquisa: <a href="${escapeHtml(result.searchUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(result.engineQuery || result.dork)}</a></p>
+        ${urls ? `<ol>${urls}</ol>` : '<p class="muted">Nenhum resultado encontrado para este dork.</p>'}
+        ${screenshot ? `<img class="screenshot" alt="Screenshot" src="${screenshot}">` : ''}
+      </details>`);
+  }
+
+  return `
+    <section>
+      <h2>Detalhes por Dork</h2>
+      ${items.join('')}
+    </section>`;
+}
+
+/**
+ * Gera o relatório HTML autocontido da varredura
+ * @param {string} targetDomain - Domínio alvo
+ * @param {Array} results - Resultados da varredura (um por dork)
+ * @param {Array} findings - Achados por URL normalizada (veja findings.js)
+ * @param {Object} stats - Estatísticas de execução
+ * @param {string} outputDir - Diretório para salvar o relatório
+ * @param {Array} suppressed - Falsos positivos conhecidos, listados à parte (veja triage.js)
+ * @param {Array} subdomains - Inventário de subdomínios descobertos (veja subdomains.js)
+ * @param {Array} outOfScope - Achados fora do escopo, listados à parte (veja scope.js)
+ * @returns {Promise<string>} - Caminho para o arquivo de relatório
+ */
+export async function generateHtmlReport(targetDomain, results, findings, stats, outputDir, suppressed = [], subdomains = [], outOfScope = []) {
+  await fs.ensureDir(outputDir);
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportPath = path.join(outputDir, `dorks_scan_report_${timestamp}.html`);
+
+  const unique = values => [...new Set(values.filter(Boolean))].sort();
+  const categories = unique(results.map(result => result.category));
+  const severities = SEVERITY_LEVELS.filter(level => results.some(result => result.severity === level));
+  const engines = unique(results.map(result => result.searchEngine));
+
+  const html = `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Relatório de Dorks - ${escapeHtml(targetDomain)}</title>
+  <style>${STYLES}</style>
+</head>
+<body>
+  <header>
+    <h1>Relatório de Varredura de Dorks de Segurança</h1>
+    <p><strong>Domínio alvo:</strong> ${escapeHtml(targetDomain)}</p>
+    <p><strong>Início:</strong> ${escapeHtml(stats.startTime)} · <strong>Fim:</strong> ${escapeHtml(stats.endTime)}</p>
+  </header>
+  <main>
+    ${renderDashboard(results, findings, stats)}
+    <div class="filters">
+      ${filterSelect('category', 'Categoria', categories)}
+      ${filterSelect('severity', 'Severidade', severities)}
+      ${filterSelect('engine', 'Motor de busca', engines)}
+    </div>
+    ${renderFindings(findings, suppressed, outOfScope)}
+    ${renderSubdomains(subdomains)}
+    ${await renderDorkDetails(results)}
+  </main>
+  <script>${FILTER_SCRIPT}</script>
+</body>
+</html>
+`;
+
+  await fs.writeFile(reportPath, html);
+  console.log(chalk.green(`📊 Relatório HTML salvo em: ${reportPath}`));
+
+  return reportPath;
+}
@@ -6,13 +6,56 @@
  */
 
 import readline from 'readline';
-import puppeteer from 'puppeteer';
 
-// Criar interface para interação por linha de comando
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+import { classifyBrowserPage } from './block-detector.js';
+
+// Interface para interação por linha de comando (criada sob demanda, para que
+// execuções não interativas não mantenham o stdin aberto)
+let rl = null;
+
+// Função que recebe as linhas digitadas fora de uma pergunta (console da varredura)
+let consoleLineHandler = null;
+
+/**
+ * Retorna a interface de linha de comando, criando-a no primeiro uso
+ * @returns {readline.Interface} - Interface readline compartilhada
+ */
+function getInterface() {
+  if (!rl) {
+    rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    
+    // Respostas a askQuestion não geram o evento 'line', apenas as linhas digitadas livremente
+    rl.on('line', line => {
+      if (consoleLineHandler) consoleLineHandler(line);
+    });
+  }
+  return rl;
+}
+
+/**
+ * Registra quem recebe as linhas digitadas enquanto nenhuma pergunta está aberta
+ * @param {Function|null} handler - Função chamada com cada linha (null para remover)
+ */
+export function setConsoleLineHandler(handler) {
+  consoleLineHandler = handler;
+  if (handler) getInterface();
+}
+
+/**
+ * Faz uma pergunta ao usuário e aguarda a resposta
+ * @param {string} question - Pergunta a ser exibida
+ * @returns {Promise<string>} - Resposta digitada pelo usuário
+ */
+export function askQuestion(question) {
+  return new Promise((resolve) => {
+    getInterface().question(question, (answer) => {
+      resolve(answer);
+    });
+  });
+}
 
 /**
  * Aguarda confirmação do usuário para continuar o processo
@@ -20,11 +63,7 @@ const rl = readline.createInterface({
  * @returns {Promise} - Promise que resolve quando o usuário confirma
  */
 export function waitForUserConfirmation(message = 'Pressione ENTER para continuar...') {
-  return new Promise((resolve) => {
-    rl.question(message, () => {
-      resolve();
-    });
-  });
+  return askQuestion(message).then(() => undefined);
 }
 
 /**
@@ -32,9 +71,14 @@ export function waitForUserConfirmation(message = 'Pressione ENTER para continua
  * @param {object} page - Instância da página Puppeteer
  * @param {number} timeoutMs - Tempo máximo para aguardar (em ms)
  * @param {boolean} autoDetect - Tentar detectar automaticamente o CAPTCHA
+ * @param {Object} handlers - Comportamento do desafio
+ * @param {Function} [handlers.detect] - Detector de bloqueio (padrão: sinais genéricos; os
+ *   adaptadores de engines/ passam o detector do próprio motor)
+ * @param {Function} [handlers.onCommand] - Recebe respostas que não são ENTER nem "skip" (comandos do
+ *   console); retorna 'abandon' para desistir da página, 'retry' para recarregá-la ou null
  * @returns {Promise<boolean>} - Promise que resolve quando o captcha é resolvido ou timeout
  */
-export async function waitForCaptchaResolution(page, timeoutMs = 60000, autoDetect = true) {
+export async function waitForCaptchaResolution(page, timeoutMs = 60000, autoDetect = true, { detect = detectCaptchaOrBlock, onCommand = null } = {}) {
   // Verificar se a página ainda está aberta
   if (!page || page.isClosed()) {
     console.log('\n⚠️ Página não está mais disponível para verificar CAPTCHA.');
@@ -46,11 +90,10 @@ export async function waitForCaptchaResolution(page, timeoutMs = 60000, autoDete
   // Verificar se há indicadores de CAPTCHA/bloqueio
   let needsHumanInteraction = false;
   try {
-    needsHumanInteraction = await detectCaptchaOrBlock(page);
+    needsHumanInteraction = await detect(page);
   } catch (error) {
+    // Sem conseguir analisar a página não há evidência de bloqueio
     console.log(`\n⚠️ Erro ao detectar CAPTCHA: ${error.message}`);
-    // Em caso de erro, assumir que precisa de interação
-    needsHumanInteraction = true;
   }
   
   if (needsHumanInteraction) {
@@ -74,16 +117,29 @@ export async function waitForCaptchaResolution(page, timeoutMs = 60000, autoDete
     let resolved = false;
     
     while (Date.now() - startTime < timeoutMs && !resolved) {
-      // Aguardar confirmação do usuário
-      await waitForUserConfirmation('\n👆 Digite ENTER após resolver o desafio ou digite "skip" para pular: ');
+      // Aguardar confirmação do usuário (ou um comando do console)
+      const hint = onCommand ? ' (ou outro comando, "help" para a lista)' : '';
+      const answer = (await askQuestion(`\n👆 Digite ENTER após resolver o desafio ou digite "skip" para pular${hint}: `)).trim();
       
       // Verificar se o usuário deseja pular
-      const lastAnswer = rl.history && rl.history[0];
-      if (lastAnswer && lastAnswer.toLowerCase() === 'skip') {
+      if (answer.toLowerCase() === 'skip') {
         console.log('\n⏭️ Pulando este site. Continuando com o próximo...');
         return false;
       }
       
+      if (answer && onCommand) {
+        const outcome = await onCommand(answer);
+        if (outcome === 'abandon') return false;
+        if (outcome === 'retry' && !page.isClosed()) {
+          console.log('\n🔄 Recarregando a página...');
+          await page.reload({ waitUntil: 'networkidle2', timeout: 30000 }).catch(error => {
+            console.log(`\n⚠️ Erro ao recarregar: ${error.message}`);
+          });
+        } else if (outcome !== 'retry') {
+          continue;
+        }
+      }
+      
       // Verificar se a página ainda está aberta
       if (page.isClosed()) {
         console.log('\n⚠️ A página foi fechada durante a resolução do CAPTCHA.');
@@ -92,7 +148,7 @@ export async function waitForCaptchaResolution(page, timeoutMs = 60000, autoDete
       
       // Verificar se o CAPTCHA ainda está presente
       try {
-        const stillBlocked = await detectCaptchaOrBlock(page);
+        const stillBlocked = await detect(page);
         
         if (!stillBlocked) {
           console.log('\n✅ Desafio resolvido com sucesso! Continuando...');
@@ -120,99 +176,18 @@ export async function waitForCaptchaResolution(page, timeoutMs = 60000, autoDete
 }
 
 /**
- * Detecta se há captcha ou bloqueio na página atual
+ * Detecta se há captcha ou bloqueio na página atual usando apenas sinais genéricos
+ * (os adaptadores de engines/ usam os sinais do próprio motor, veja block-detector.js)
  * @param {object} page - Instância da página Puppeteer
  * @returns {Promise<boolean>} - Promise que resolve com true se detectar captcha/bloqueio
  */
 export async function detectCaptchaOrBlock(page) {
-  // Verificar se a página ainda está aberta
-  if (!page || page.isClosed()) {
-    throw new Error('Página não está disponível para detectar captcha');
-  }
-
-  try {
-    // Verificar padrões comuns de texto e elementos de bloqueio/captcha
-    const blocked = await page.evaluate(() => {
-      const bodyText = document.body ? document.body.innerText.toLowerCase() : '';
-      
-      if (!document.body) {
-        return {detected: false, reason: 'Body não disponível'};
-      }
-      
-      // Array com palavras-chave comuns em páginas de bloqueio/captcha
-      const blockKeywords = [
-        'captcha', 
-        'robot', 
-        'automated', 
-        'bot check', 
-        'suspicious activity',
-        'unusual traffic', 
-        'security check', 
-        'human verification',
-        'verify you are human',
-        'are you a robot',
-        'challenge',
-        'blocked',
-        'access denied',
-        'denied access',
-        'too many requests',
-        'rate limit exceeded',
-        'please wait',
-        'suspicious',
-        'behavior detected',
-        'verifica'
-      ];
-      
-      // Verificar cada palavra-chave no texto da página
-      for (const keyword of blockKeywords) {
-        if (bodyText.includes(keyword)) {
-          return {detected: true, reason: `Texto da página contém "${keyword}"`};
-        }
-      }
-      
-      // Verificar elementos comuns de captcha por seletores
-      const captchaSelectors = [
-        'iframe[src*="recaptcha"]',
-        'iframe[src*="captcha"]',
-        'iframe[src*="hcaptcha"]',
-        'iframe[src*="funcaptcha"]',
-        'iframe[src*="arkoselabs"]',
-        'div.g-recaptcha',
-        'div.h-captcha',
-        'div#captcha',
-        'div.captcha',
-        'input[name*="captcha"]',
-        'img[alt*="captcha"]',
-        'form[action*="captcha"]'
-      ];
-      
-      // Verificar cada seletor
-      for (const selector of captchaSelectors) {
-        if (document.querySelector(selector)) {
-          return {detected: true, reason: `Elemento captcha encontrado: "${selector}"`};
-        }
-      }
-      
-      // Verificar bloquinhos de imagem para selecionar (tipo reCAPTCHA)
-      const gridImages = document.querySelectorAll('table td img, div.rc-imageselect-tile');
-      if (gridImages.length > 4) {
-        return {detected: true, reason: 'Grid de imagens encontrado (possível reCAPTCHA)'};
-      }
-      
-      return {detected: false};
-    });
-    
-    if (blocked.detected) {
-      console.log(`🛑 Bloqueio detectado: ${blocked.reason}`);
-      return true;
-    }
-    
-    return false;
-  } catch (error) {
-    console.error('Erro ao detectar captcha:', error);
-    // Em caso de erro, assumir que há bloqueio por segurança
-    return true;
+  const verdict = await classifyBrowserPage(page);
+  
+  if (verdict.blocked) {
+    console.log(`🛑 Bloqueio detectado: ${verdict.reason}`);
   }
+  return verdict.blocked;
 }
 
 /**
@@ -316,7 +291,10 @@ export async function removeVisualAlerts(page) {
  * Fecha a interface de linha de comando
  */
 export function closeInterface() {
-  rl.close();
+  if (rl) {
+    rl.close();
+    rl = null;
+  }
 }
 
 /**
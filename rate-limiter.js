@@ -0,0 +1,158 @@
+/**
+ * Rate Limiter Module
+ *
+ * Este módulo controla o ritmo das pesquisas de cada motor de busca:
+ * - um token bucket por motor (intervalo mínimo entre pesquisas e rajada permitida)
+ * - jitter aleatório em cada espera, para não gerar um padrão fixo de acessos
+ * - backoff exponencial quando o motor bloqueia (captcha ou HTTP 429)
+ * - cooldown que tira o motor bloqueado de rotação até o fim do backoff
+ */
+
+import chalk from 'chalk';
+
+/**
+ * Aguarda um intervalo de tempo
+ * @param {number} ms - Tempo em ms
+ * @returns {Promise} - Promise que resolve após o intervalo
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Relógio real (os testes usam um relógio simulado com a mesma interface)
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  sleep,
+  random: () => Math.random()
+};
+
+/**
+ * Cria o agendador de pesquisas para um conjunto de motores
+ * O intervalo de cada motor é o maior entre options.delayBetweenSearches e o
+ * rateLimit.interval declarado no adaptador (motores mais sensíveis declaram intervalos maiores)
+ * @param {Array<Object>} engines - Adaptadores dos motores de busca
+ * @param {Object} options - { delayBetweenSearches, randomDelayMax, blockCooldown, maxBlockCooldown }
+ * @param {Object} [clock] - { now, sleep, random }: fonte do tempo, das esperas e do jitter
+ * @returns {Object} - Agendador (availableEngines, acquire, reportSuccess, reportBlock, getSummary)
+ */
+export function createEngineScheduler(engines, options, clock = SYSTEM_CLOCK) {
+  const { now: currentTime, sleep: pause, random } = { ...SYSTEM_CLOCK, ...clock };
+  const states = new Map();
+
+  engines.forEach(engine => {
+    const rateLimit = engine.rateLimit || {};
+    const burst = Math.max(1, rateLimit.burst || 1);
+
+    states.set(engine.id, {
+      engine,
+      interval: Math.max(options.delayBetweenSearches, rateLimit.interval || 0),
+      burst,
+      tokens: burst,
+      lastRefill: currentTime(),
+      backoffLevel: 0,
+      cooldownUntil: 0,
+      requests: 0,
+      blocks: 0
+    });
+  });
+
+  /**
+   * Repõe os tokens acumulados desde a última reposição
+   * @param {Object} state - Estado do motor
+   */
+  function refill(state) {
+    const now = currentTime();
+    const earned = Math.floor((now - state.lastRefill) / state.interval);
+    if (earned > 0) {
+      state.tokens = Math.min(state.burst, state.tokens + earned);
+      state.lastRefill = state.tokens === state.burst ? now : state.lastRefill + earned * state.interval;
+    }
+  }
+
+  /**
+   * Lista os motores fora de cooldown
+   * Se todos estiverem em cooldown, aguarda o primeiro voltar à rotação
+   * @param {Array<Object>} candidates - Motores candidatos
+   * @returns {Promise<Array<Object>>} - Motores disponíveis
+   */
+  async function availableEngines(candidates = engines) {
+    const now = currentTime();
+    const available = candidates.filter(engine => states.get(engine.id).cooldownUntil <= now);
+    if (available.length > 0) return available;
+
+    const next = candidates.reduce((best, engine) =>
+      (states.get(engine.id).cooldownUntil < states.get(best.id).cooldownUntil ? engine : best));
+    const wait = states.get(next.id).cooldownUntil - now;
+
+    console.log(chalk.yellow(`🧊 Todos os motores em cooldown. Aguardando ${(wait / 1000).toFixed(0)}s para ${next.name} voltar à rotação...`));
+    await pause(wait);
+    return [next];
+  }
+
+  /**
+   * Aguarda um token do motor (respeitando intervalo e jitter) antes de uma pesquisa
+   * @param {Object} engine - Adaptador do motor de busca
+   */
+  async function acquire(engine) {
+    const state = states.get(engine.id);
+    refill(state);
+
+    let wait = 0;
+    if (state.tokens < 1) {
+      wait = state.lastRefill + state.interval - currentTime();
+    }
+    wait += Math.floor(random() * options.randomDelayMax);
+
+    if (wait > 0) {
+      console.log(chalk.yellow(`⏳ Aguardando ${(wait / 1000).toFixed(2)}s antes da próxima pesquisa em ${engine.name}...`));
+      await pause(wait);
+      refill(state);
+    }
+
+    state.tokens = Math.max(0, state.tokens - 1);
+    state.requests++;
+  }
+
+  /**
+   * Registra uma pesquisa bem-sucedida (zera o backoff do motor)
+   * @param {Object} engine - Adaptador do motor de busca
+   */
+  function reportSuccess(engine) {
+    states.get(engine.id).backoffLevel = 0;
+  }
+
+  /**
+   * Registra um bloqueio: aumenta o backoff e tira o motor de rotação pelo período do cooldown
+   * @param {Object} engine - Adaptador do motor de busca
+   * @param {string} reason - Motivo (ex: 'captcha', 'rate-limit', 'quota')
+   * @returns {number} - Duração do cooldown em ms
+   */
+  function reportBlock(engine, reason) {
+    const state = states.get(engine.id);
+    state.blocks++;
+    state.backoffLevel++;
+
+    const base = Math.min(options.blockCooldown * 2 ** (state.backoffLevel - 1), options.maxBlockCooldown);
+    const cooldown = base + Math.floor(random() * base * 0.2);
+    state.cooldownUntil = currentTime() + cooldown;
+    state.tokens = 0;
+    state.lastRefill = state.cooldownUntil;
+
+    console.log(chalk.red(`🧊 ${engine.name} fora de rotação por ${(cooldown / 1000).toFixed(0)}s (${reason}, bloqueio #${state.blocks})`));
+    return cooldown;
+  }
+
+  /**
+   * Resumo de uso de cada motor para as estatísticas da varredura
+   * @returns {Object} - { [id]: { requests, blocks, intervalMs } }
+   */
+  function getSummary() {
+    return Object.fromEntries([...states.values()].map(state => [state.engine.id, {
+      requests: state.requests,
+      blocks: state.blocks,
+      intervalMs: state.interval
+    }]));
+  }
+
+  return { availableEngines, acquire, reportSuccess, reportBlock, getSummary };
+}
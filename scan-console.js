@@ -0,0 +1,336 @@
+/**
+ * Scan Console Module
+ *
+ * Este módulo implementa o console de comandos disponível durante uma
+ * varredura interativa. Os comandos podem ser digitados a qualquer momento
+ * (são aplicados entre um dork e outro) ou na passagem de controle de um CAPTCHA:
+ *
+ *   skip              pula o próximo dork (no CAPTCHA: desiste do dork atual)
+ *   retry [n]         repete o último dork ou o dork n (no CAPTCHA: recarrega a página)
+ *   switch <motor>    usa apenas este motor a partir de agora ("switch auto" volta ao sorteio)
+ *   open              abre a pesquisa do último dork no navegador
+ *   pause / resume    pausa e retoma a varredura entre dorks
+ *   mark              marca o resultado do último dork para revisão
+ *   notes [texto]     anota o último dork (sem texto, lista as anotações)
+ *   verdict <v> [nota] registra o veredito de triagem do último dork (tp, fp, review, accepted)
+ *   status            mostra o progresso da varredura
+ *   quit              encerra a varredura salvando o checkpoint e os relatórios
+ */
+
+import chalk from 'chalk';
+
+import { askQuestion, setConsoleLineHandler } from './human-interaction.js';
+import { resolveTriageVerdict } from './triage.js';
+
+const HELP_TEXT = [
+  'skip              pula o próximo dork (no CAPTCHA: desiste do dork atual)',
+  'retry [n]         repete o último dork ou o dork n já processado (no CAPTCHA: recarrega a página)',
+  'switch <motor>    usa apenas este motor ("switch auto" volta ao sorteio ponderado)',
+  'open              abre a pesquisa do último dork no navegador',
+  'pause / resume    pausa e retoma a varredura entre dorks',
+  'mark              marca o resultado do último dork para revisão',
+  'notes [texto]     anota o último dork (sem texto, lista as anotações)',
+  'verdict <v> [nota] veredito de triagem do último dork (tp, fp, review, accepted)',
+  'status            mostra o progresso da varredura',
+  'quit              encerra a varredura salvando o checkpoint e os relatórios'
+];
+
+/**
+ * Separa uma linha digitada no console em comando e argumentos
+ * @param {string} line - Linha digitada
+ * @returns {Object} - { command (em minúsculas), args, argument (argumentos unidos por espaço) }
+ */
+export function parseConsoleCommand(line) {
+  const [command = '', ...args] = String(line || '').trim().split(/\s+/);
+  return { command: command.toLowerCase(), args, argument: args.join(' ') };
+}
+
+/**
+ * Cria o console de comandos da varredura
+ * @param {Object} settings - Integração com a varredura
+ * @param {Array<Object>} settings.engines - Motores de busca selecionados
+ * @param {Function} settings.getStatus - Retorna as linhas exibidas pelo comando status
+ * @param {Function} settings.onOpen - Abre no navegador a pesquisa de um resultado
+ * @param {Function} settings.onChange - Chamada quando o último resultado é marcado ou anotado
+ * @param {Function} settings.onTriage - Registra o veredito de triagem do último resultado
+ * @returns {Object} - Console (start, stop, execute, beforeDork, hold, setLastDork, getForcedEngine,
+ *   isQuitRequested, handleHandoff)
+ */
+export function createScanConsole({ engines, getStatus, onOpen, onChange, onTriage }) {
+  const state = {
+    paused: false,
+    quit: false,
+    skipNext: false,
+    retry: null, // índice do dork a repetir ('current' = o dork em andamento)
+    openPending: false,
+    forcedEngine: null,
+    last: null // { dorkEntry, result, index }
+  };
+
+  /**
+   * Exibe uma mensagem do console
+   * @param {string} message - Mensagem
+   */
+  function say(message) {
+    console.log(chalk.magenta(`⌨️  ${message}`));
+  }
+
+  /**
+   * Localiza um motor pelo id ou nome
+   * @param {string} name - Id ou nome informado
+   * @returns {Object|null} - Motor selecionado ou null
+   */
+  function findEngine(name) {
+    const key = name.toLowerCase();
+    return engines.find(engine => engine.id === key || engine.name.toLowerCase() === key) || null;
+  }
+
+  /**
+   * Interpreta e aplica um comando
+   * @param {string} line - Linha digitada
+   * @param {string} context - 'scan' (entre dorks) ou 'handoff' (CAPTCHA)
+   * @returns {Promise<string|null>} - Nome do comando aplicado (ou null se desconhecido)
+   */
+  async function execute(line, context) {
+    const { command, args, argument } = parseConsoleCommand(line);
+
+    switch (command) {
+      case '':
+        return null;
+      case 'help':
+      case '?':
+        HELP_TEXT.forEach(text => console.log(chalk.gray(`  ${text}`)));
+        return 'help';
+      case 'skip':
+        if (context === 'scan') {
+          state.skipNext = true;
+          say('O próximo dork será pulado');
+        }
+        return 'skip';
+      case 'retry':
+        if (context === 'scan') {
+          if (!state.last) {
+            say('Nenhum dork concluído ainda');
+            return null;
+          }
+          if (!argument) {
+            state.retry = state.last.index;
+            say(`O dork será repetido: ${state.last.result.dork}`);
+            return 'retry';
+          }
+          // Dorks numerados como no status (1 = primeiro), apenas os já processados
+          const number = Number(argument);
+          if (!Number.isInteger(number) || number < 1 || number > state.last.index + 1) {
+            say(`Número de dork inválido: ${argument} (use de 1 a ${state.last.index + 1})`);
+            return null;
+          }
+          state.retry = number - 1;
+          say(`O dork ${number} será repetido`);
+        }
+        return 'retry';
+      case 'switch': {
+        if (!argument || argument.toLowerCase() === 'auto') {
+          state.forcedEngine = null;
+          say('Motor escolhido por sorteio ponderado novamente');
+          return 'switch';
+        }
+        const engine = findEngine(argument);
+        if (!engine) {
+          say(`Motor desconhecido: ${argument} (disponíveis: ${engines.map(e => e.id).join(', ')})`);
+          return null;
+        }
+        state.forcedEngine = engine;
+        say(`Usando apenas ${engine.name} a partir de agora`);
+        return 'switch';
+      }
+      case 'open':
+        if (!state.last) {
+          say('Nenhum dork concluído ainda');
+          return null;
+        }
+        // Abrir apenas entre dorks: no CAPTCHA o navegador do motor está ocupado com o desafio
+        state.openPending = true;
+        say(`A pesquisa será aberta antes do próximo dork: ${state.last.result.searchUrl}`);
+        return 'open';
+      case 'pause':
+        state.paused = true;
+        say('Varredura será pausada antes do próximo dork (digite resume para continuar)');
+        return 'pause';
+      case 'resume':
+        state.paused = false;
+        say('Varredura retomada');
+        return 'resume';
+      case 'mark':
+        if (!state.last) {
+          say('Nenhum dork concluído ainda');
+          return null;
+        }
+        state.last.result.marked = true;
+        await onChange(state.last);
+        say(`Dork marcado para revisão: ${state.last.result.dork}`);
+        return 'mark';
+      case 'notes':
+        if (!state.last) {
+          say('Nenhum dork concluído ainda');
+          return null;
+        }
+        if (argument) {
+          state.last.result.notes = [...(state.last.result.notes || []), { text: argument, at: new Date().toISOString() }];
+          await onChange(state.last);
+          say(`Anotação adicionada a: ${state.last.result.dork}`);
+        } else {
+          const notes = state.last.result.notes || [];
+          say(notes.length > 0 ? `Anotações de ${state.last.result.dork}:` : 'Nenhuma anotação no último dork');
+          notes.forEach(note => console.log(chalk.gray(`  - ${note.text}`)));
+        }
+        return 'notes';
+      case 'verdict': {
+        if (!state.last) {
+          say('Nenhum dork concluído ainda');
+          return null;
+        }
+        const [value, ...note] = args;
+        let verdict;
+        try {
+          verdict = resolveTriageVerdict(value);
+        } catch (error) {
+          say(error.message);
+          return null;
+        }
+        await onTriage(state.last, { verdict, note: note.join(' ') });
+        return 'verdict';
+      }
+      case 'status':
+        getStatus({ ...state }).forEach(text => say(text));
+        return 'status';
+      case 'quit':
+      case 'exit':
+        state.quit = true;
+        state.paused = false;
+        say('Encerrando a varredura após o dork atual (o checkpoint será salvo)');
+        return 'quit';
+      default:
+        say(`Comando desconhecido: ${command} (digite help)`);
+        return null;
+    }
+  }
+
+  /**
+   * Aguarda comandos enquanto a varredura estiver pausada
+   * @param {string} message - Mensagem exibida em cada prompt
+   */
+  async function waitWhilePaused(message) {
+    while (state.paused && !state.quit) {
+      const answer = await askQuestion(chalk.yellow(message));
+      await execute(answer, 'scan');
+    }
+  }
+
+  return {
+    /**
+     * Começa a receber comandos digitados durante a varredura
+     */
+    start() {
+      setConsoleLineHandler(line => {
+        execute(line, 'scan').catch(error => say(`Erro no comando: ${error.message}`));
+      });
+      say('Console ativo: digite help para ver os comandos');
+    },
+
+    /**
+     * Para de receber comandos
+     */
+    stop() {
+      setConsoleLineHandler(null);
+    },
+
+    /**
+     * Aplica um comando como se tivesse sido digitado entre dorks
+     * @param {string} line - Linha digitada
+     * @returns {Promise<string|null>} - Nome do comando aplicado (ou null se desconhecido)
+     */
+    execute(line) {
+      return execute(line, 'scan');
+    },
+
+    /**
+     * Aplica os comandos pendentes antes de processar um dork
+     * @returns {Promise<Object>} - { action, index }: action 'quit', 'retry' (index = dork a repetir),
+     *   'skip' ou null para processar o dork
+     */
+    async beforeDork() {
+      if (state.openPending && state.last) {
+        state.openPending = false;
+        await onOpen(state.last);
+      }
+      await waitWhilePaused('⏸️ Pausado. Digite resume para continuar ou outro comando: ');
+
+      if (state.quit) return { action: 'quit' };
+      if (state.retry !== null) {
+        const index = state.retry === 'current' ? state.last.index : state.retry;
+        state.retry = null;
+        return { action: 'retry', index };
+      }
+      if (state.skipNext) {
+        state.skipNext = false;
+        return { action: 'skip' };
+      }
+      return { action: null };
+    },
+
+    /**
+     * Pausa a varredura com uma mensagem própria, até ENTER ou resume
+     * @param {string} message - Mensagem do prompt
+     */
+    async hold(message) {
+      state.paused = true;
+      while (state.paused && !state.quit) {
+        const answer = await askQuestion(chalk.yellow(message));
+        if (answer.trim()) await execute(answer, 'scan');
+        else state.paused = false;
+      }
+    },
+
+    /**
+     * Registra o último dork processado (alvo de retry, open, mark e notes)
+     * @param {Object} last - { dorkEntry, result, index }: result é o mesmo objeto salvo no checkpoint
+     */
+    setLastDork(last) {
+      state.last = last;
+    },
+
+    /**
+     * Motor fixado pelo comando switch
+     * @returns {Object|null} - Motor ou null (sorteio ponderado)
+     */
+    getForcedEngine() {
+      return state.forcedEngine;
+    },
+
+    /**
+     * Indica se o comando quit foi usado
+     * @returns {boolean} - true se a varredura deve ser encerrada
+     */
+    isQuitRequested() {
+      return state.quit;
+    },
+
+    /**
+     * Trata um comando digitado na passagem de controle de um CAPTCHA
+     * @param {string} line - Linha digitada
+     * @returns {Promise<string|null>} - 'abandon' (desistir da página), 'retry' (recarregar) ou null
+     */
+    async handleHandoff(line) {
+      const command = await execute(line, 'handoff');
+
+      // Trocar de motor desiste da página e repete o dork atual no novo motor
+      if (command === 'switch' && state.forcedEngine) {
+        state.retry = 'current';
+        return 'abandon';
+      }
+      if (command === 'quit') return 'abandon';
+      if (command === 'retry') return 'retry';
+      return null;
+    }
+  };
+}
@@ -0,0 +1,300 @@
+/**
+ * Scope Module
+ *
+ * Este módulo carrega a definição de escopo de um programa de bug bounty ou de um
+ * cliente (JSON ou YAML) e decide se cada URL está dentro dele:
+ *
+ *   include:                      # hosts e faixas autorizados
+ *     - exemplo.com.br            # apenas este host
+ *     - '*.exemplo.com.br'        # qualquer subdomínio
+ *     - 203.0.113.0/24            # faixa de IPs (URLs acessadas pelo IP)
+ *   exclude:                      # têm prioridade sobre include
+ *     - blog.exemplo.com.br
+ *     - '*.cdn.exemplo.com.br'
+ *     - loja.exemplo.com.br/checkout/*
+ *   excludePaths:                 # caminhos excluídos em todos os hosts
+ *     - /static/
+ *     - '/*.pdf'
+ *   outOfScope: flag              # flag (listar à parte) ou drop (descartar)
+ *
+ * Sem include, o escopo é o domínio alvo, seus subdomínios e os domínios alternativos.
+ * Caminhos são comparados pelo prefixo, com * como curinga. Faixas de IP valem apenas
+ * para URLs com o IP no lugar do host (nomes não são resolvidos).
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import net from 'net';
+import yaml from 'js-yaml';
+import chalk from 'chalk';
+
+export const OUT_OF_SCOPE_MODES = ['flag', 'drop'];
+
+// Máximo de exclusões acrescentadas a um dork (os buscadores limitam o tamanho da consulta)
+const MAX_DORK_EXCLUSIONS = 10;
+
+/**
+ * Converte um curinga de caminho em expressão regular (comparação pelo prefixo)
+ * @param {string} pattern - Ex: /admin/, /*.pdf
+ * @returns {RegExp} - Expressão regular
+ */
+function pathPatternToRegex(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}`, 'i');
+}
+
+/**
+ * Interpreta uma regra de escopo
+ * @param {string} value - Host, curinga, host/caminho, IP ou faixa CIDR
+ * @param {string} source - Origem (para mensagens de erro)
+ * @returns {Object} - { pattern, host, path, range }
+ * @throws {Error} - Se a regra for inválida
+ */
+function parseScopeRule(value, source) {
+  const pattern = String(value || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '');
+  if (!pattern) {
+    throw new Error(`Regra de escopo vazia (${source})`);
+  }
+
+  // IP ou faixa CIDR (IPv4 ou IPv6)
+  const [address, prefix] = pattern.split('/');
+  const family = net.isIP(address);
+  if (family && (prefix === undefined || /^\d+$/.test(prefix))) {
+    const range = new net.BlockList();
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    const bits = prefix === undefined ? (family === 4 ? 32 : 128) : Number(prefix);
+    if (bits > (family === 4 ? 32 : 128)) {
+      throw new Error(`Faixa de IPs inválida "${value}" (${source})`);
+    }
+    range.addSubnet(address, bits, type);
+    return { pattern, host: null, path: null, range: { list: range, type } };
+  }
+
+  const slash = pattern.indexOf('/');
+  const host = slash >= 0 ? pattern.slice(0, slash) : pattern;
+  const rulePath = slash >= 0 ? pattern.slice(slash) : null;
+  if (!/^(\*|(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*)$/.test(host)) {
+    throw new Error(`Host inválido "${value}" no escopo (${source})`);
+  }
+
+  return { pattern, host, path: rulePath ? pathPatternToRegex(rulePath) : null, range: null };
+}
+
+/**
+ * Verifica se um host corresponde ao host de uma regra
+ * @param {string} ruleHost - exemplo.com, *.exemplo.com ou *
+ * @param {string} host - Host da URL
+ * @returns {boolean} - Se corresponde
+ */
+function hostMatches(ruleHost, host) {
+  if (ruleHost === '*') return true;
+  if (ruleHost.startsWith('*.')) return host.endsWith(ruleHost.slice(1));
+  return host === ruleHost;
+}
+
+/**
+ * Verifica se uma URL corresponde a uma regra
+ * @param {Object} rule - Regra interpretada
+ * @param {string} host - Host da URL (sem colchetes no IPv6)
+ * @param {string} pathname - Caminho da URL
+ * @returns {boolean} - Se corresponde
+ */
+function ruleMatches(rule, host, pathname) {
+  if (rule.range) {
+    const family = net.isIP(host);
+    return family !== 0 && (family === 4 ? 'ipv4' : 'ipv6') === rule.range.type && rule.range.list.check(host, rule.range.type);
+  }
+  return hostMatches(rule.host, host) && (!rule.path || rule.path.test(pathname));
+}
+
+/**
+ * Valida e normaliza uma definição de escopo
+ * @param {Object} data - { include, exclude, excludePaths, outOfScope }
+ * @param {string} source - Origem (para mensagens de erro)
+ * @returns {Object} - { include, exclude, outOfScope, source }: include e exclude como regras interpretadas
+ * @throws {Error} - Se alguma regra ou o modo forem inválidos
+ */
+export function normalizeScope(data, source = 'escopo') {
+  const toList = value => (value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]));
+  const outOfScope = String(data.outOfScope || 'flag').toLowerCase();
+  if (!OUT_OF_SCOPE_MODES.includes(outOfScope)) {
+    throw new Error(`Modo outOfScope inválido "${data.outOfScope}" (use ${OUT_OF_SCOPE_MODES.join(' ou ')}) (${source})`);
+  }
+
+  return {
+    include: toList(data.include).map(rule => parseScopeRule(rule, source)),
+    exclude: [
+      ...toList(data.exclude).map(rule => parseScopeRule(rule, source)),
+      ...toList(data.excludePaths).map(rulePath => parseScopeRule(`*${String(rulePath).startsWith('/') ? '' : '/'}${rulePath}`, source))
+    ],
+    outOfScope,
+    source
+  };
+}
+
+/**
+ * Carrega a definição de escopo de um arquivo JSON/YAML
+ * @param {string} filePath - Arquivo de escopo
+ * @returns {Promise<Object>} - Definição normalizada (veja normalizeScope)
+ */
+export async function loadScope(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  let data;
+  try {
+    data = (path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : yaml.load(content)) || {};
+  } catch (error) {
+    throw new Error(`Erro ao ler arquivo de escopo ${filePath}: ${error.message}`);
+  }
+  // Aceitar a definição na raiz ou dentro de uma chave "scope"
+  if (data.scope && typeof data.scope === 'object') data = data.scope;
+  return normalizeScope(data, filePath);
+}
+
+/**
+ * Cria a verificação de escopo de uma varredura
+ * @param {Object} definition - Definição normalizada (veja loadScope)
+ * @param {Object} target - { domain, alternativeDomains }: escopo usado quando a definição não tem include
+ * @returns {Object} - Escopo (check, inScope, isHostInScope, applyToDorks, mode, source)
+ */
+export function createScopeMatcher(definition, { domain, alternativeDomains = [] }) {
+  const include = definition.include.length > 0
+    ? definition.include
+    : [domain, `*.${domain}`, ...alternativeDomains].map(rule => parseScopeRule(rule, 'alvo'));
+
+  /**
+   * Verifica se uma URL está no escopo
+   * @param {string} url - URL
+   * @returns {Object} - { inScope, reason }: reason indica a regra de exclusão ou a falta de inclusão
+   */
+  function check(url) {
+    let host;
+    let pathname;
+    try {
+      const parsed = new URL(url);
+      host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+      pathname = decodeURIComponent(parsed.pathname);
+    } catch (error) {
+      return { inScope: false, reason: 'URL inválida' };
+    }
+
+    const excluded = definition.exclude.find(rule => ruleMatches(rule, host, pathname));
+    if (excluded) return { inScope: false, reason: `excluído por ${excluded.pattern}` };
+    if (!include.some(rule => ruleMatches(rule, host, pathname))) {
+      return { inScope: false, reason: 'não incluído no escopo' };
+    }
+    return { inScope: true, reason: null };
+  }
+
+  /**
+   * Verifica se um dork site:host pode encontrar algo no escopo (o próprio host ou um subdomínio incluído)
+   * @param {string} host - Host do operador site: (sem *.)
+   * @returns {boolean} - Se o dork deve ser mantido
+   */
+  function canReachScope(host) {
+    return include.some(rule => {
+      if (rule.range) return ruleMatches(rule, host, '/');
+      const ruleHost = rule.host.replace(/^\*\./, '');
+      return rule.host === '*' || hostMatches(rule.host, host) || ruleHost === host || ruleHost.endsWith(`.${host}`);
+    });
+  }
+
+  return {
+    mode: definition.outOfScope,
+    source: definition.source,
+    check,
+
+    /**
+     * Verifica se uma URL está no escopo (mesma assinatura de createDomainScope em url-verifier.js)
+     * @param {string} url - URL
+     * @returns {boolean} - Se está no escopo
+     */
+    inScope(url) {
+      return check(url).inScope;
+    },
+
+    /**
+     * Verifica se um host está no escopo (caminhos excluídos não são considerados)
+     * @param {string} host - Host
+     * @returns {boolean} - Se o host está no escopo
+     */
+    isHostInScope(host) {
+      const lower = host.toLowerCase();
+      const match = rule => ruleMatches({ ...rule, path: null }, lower, '/');
+      return !definition.exclude.some(rule => !rule.path && match(rule)) && include.some(match);
+    },
+
+    /**
+     * Aplica o escopo aos dorks gerados: dorks de hosts excluídos ou fora do include são removidos e os demais
+     * recebem -site: para os subdomínios excluídos. -inurl: para os caminhos excluídos só é
+     * acrescentado a dorks que já usam inurl:, para não torná-los incompatíveis com motores
+     * sem esse operador (os resultados são filtrados de qualquer forma). Exclusões com
+     * curinga não viram -site:, que excluiria também o próprio domínio do curinga
+     * @param {Array<Object>} dorks - Dorks do plano
+     * @returns {Array<Object>} - Dorks no escopo
+     */
+    applyToDorks(dorks) {
+      const hostExclusions = definition.exclude.filter(rule => rule.host && !rule.path && rule.host !== '*');
+      const siteExclusions = hostExclusions.filter(rule => !rule.host.startsWith('*.')).map(rule => rule.host);
+      const pathExclusions = definition.exclude
+        .filter(rule => rule.host === '*' && rule.path && !rule.pattern.slice(1).includes('*'))
+        .map(rule => rule.pattern.slice(1));
+
+      return dorks
+        .filter(dork => {
+          const site = (dork.query.match(/(?:^|\s)site:(\S+)/) || [])[1];
+          if (!site) return true;
+          const host = site.replace(/^\*\./, '').toLowerCase();
+          return !hostExclusions.some(rule => hostMatches(rule.host, host)) && canReachScope(host);
+        })
+        .map(dork => {
+          const site = (dork.query.match(/(?:^|\s)site:(\S+)/) || [])[1];
+          if (!site) return dork;
+          const host = site.replace(/^\*\./, '').toLowerCase();
+
+          const exclusions = [
+            ...siteExclusions
+              .filter(excluded => excluded.endsWith(`.${host}`))
+              .map(excluded => `-site:${excluded}`),
+            ...(/(?:^|\s)inurl:/.test(dork.query) ? pathExclusions.map(excludedPath => `-inurl:${excludedPath}`) : [])
+          ].filter(exclusion => !dork.query.includes(exclusion)).slice(0, MAX_DORK_EXCLUSIONS);
+
+          return exclusions.length > 0 ? { ...dork, query: `${dork.query} ${exclusions.join(' ')}` } : dork;
+        });
+    }
+  };
+}
+
+/**
+ * Aplica o escopo aos resultados de um dork
+ * @param {Object} result - Resultado do dork (com urls)
+ * @param {Object} scope - Escopo (veja createScopeMatcher)
+ * @param {string} mode - 'flag' (marca cada URL com outOfScope) ou 'drop' (remove as URLs)
+ * @returns {number} - Quantidade de URLs fora do escopo
+ */
+export function applyScopeToResult(result, scope, mode) {
+  const outside = [];
+  (result.urls || []).forEach(item => {
+    const { inScope, reason } = scope.check(item.link);
+    if (!inScope) {
+      item.outOfScope = reason;
+      outside.push(item);
+    }
+  });
+
+  if (mode === 'drop' && outside.length > 0) {
+    result.urls = result.urls.filter(item => !item.outOfScope);
+    result.droppedOutOfScope = (result.droppedOutOfScope || 0) + outside.length;
+  }
+  return outside.length;
+}
+
+/**
+ * Exibe no console a verificação de escopo de uma URL
+ * @param {string} url - URL
+ * @param {Object} verdict - Resultado de check
+ */
+export function printScopeCheck(url, verdict) {
+  console.log(verdict.inScope
+    ? `${chalk.green('no escopo  ')} ${url}`
+    : `${chalk.yellow('fora       ')} ${url}${chalk.gray(` (${verdict.reason})`)}`);
+}
@@ -0,0 +1,290 @@
+/**
+ * Secret Detector Module
+ *
+ * Os dorks de credenciais (filetype:env password, filetype:log username password...)
+ * encontram arquivos que podem conter segredos. Este módulo aplica regras de
+ * expressão regular e de entropia (chaves de nuvem, chaves privadas, JWTs, strings
+ * de conexão de bancos de dados, senhas em arquivos de configuração) aos snippets
+ * dos resultados e aos corpos baixados na verificação das URLs.
+ *
+ * O valor encontrado nunca é guardado nem exibido: cada ocorrência registra apenas
+ * a regra e o valor mascarado, e os textos analisados são devolvidos já mascarados.
+ * Os links dos resultados também são analisados: credenciais (usuario:senha@) e
+ * parâmetros sensíveis (?token=, ?api_key=, X-Amz-Signature...) são mascarados.
+ */
+
+import chalk from 'chalk';
+
+import { SEVERITY_LEVELS } from './dork-packs.js';
+import { unwrapRedirectUrl } from './serp-parser.js';
+
+/**
+ * Regras de detecção
+ * O grupo nomeado "value" é a parte mascarada; o restante da ocorrência é mantido como contexto.
+ * minEntropy descarta valores previsíveis (ex: password=changeme). Os quantificadores são
+ * limitados para que corpos grandes (ex: blocos base64) não causem retrocesso excessivo.
+ */
+export const SECRET_RULES = [
+  {
+    id: 'private-key',
+    name: 'Chave privada',
+    severity: 'critical',
+    pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----(?<value>[\s\S]{0,4096}?)(?:-----END|$)/g
+  },
+  {
+    id: 'aws-access-key',
+    name: 'AWS Access Key ID',
+    severity: 'critical',
+    pattern: /\b(?<value>(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16})\b/g
+  },
+  {
+    id: 'aws-secret-key',
+    name: 'AWS Secret Access Key',
+    severity: 'critical',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?(?<value>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi
+  },
+  {
+    id: 'gcp-api-key',
+    name: 'Google API Key',
+    severity: 'high',
+    pattern: /\b(?<value>AIza[0-9A-Za-z_-]{35})(?![0-9A-Za-z_-])/g
+  },
+  {
+    id: 'azure-storage-key',
+    name: 'Chave de conta do Azure Storage',
+    severity: 'critical',
+    pattern: /AccountKey=(?<value>[A-Za-z0-9+/=]{40,})/g
+  },
+  {
+    id: 'github-token',
+    name: 'Token do GitHub',
+    severity: 'critical',
+    pattern: /\b(?<value>(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{60,})\b/g
+  },
+  {
+    id: 'slack-token',
+    name: 'Token do Slack',
+    severity: 'high',
+    pattern: /\b(?<value>xox[abposr]-[0-9A-Za-z-]{10,})\b/g
+  },
+  {
+    id: 'stripe-key',
+    name: 'Chave secreta do Stripe',
+    severity: 'critical',
+    pattern: /\b(?<value>(?:sk|rk)_live_[0-9A-Za-z]{16,})\b/g
+  },
+  {
+    id: 'jwt',
+    name: 'JSON Web Token',
+    severity: 'medium',
+    pattern: /\b(?<value>eyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,})/g
+  },
+  {
+    id: 'db-connection-string',
+    name: 'String de conexão com senha',
+    severity: 'critical',
+    pattern: /\b(?:mongodb(?:\+srv)?|postgres(?:ql)?|mysql|mariadb|mssql|sqlserver|redis|amqps?|jdbc:[a-z]+):\/\/[^\s:/@"']{1,256}:(?<value>[^\s@"'/]{3,256})@[^\s"'<>]{1,256}/gi
+  },
+  {
+    id: 'password-assignment',
+    name: 'Senha em arquivo de configuração',
+    severity: 'high',
+    pattern: /\b[\w.-]{0,40}(?:password|passwd|pwd|senha)[\w.-]{0,40}["']?\s*(?:=|:|=>)\s*["']?(?<value>[^\s"'<>,;&]{4,})/gi,
+    minEntropy: 2
+  },
+  {
+    id: 'generic-secret',
+    name: 'Token ou chave de alta entropia',
+    severity: 'medium',
+    pattern: /\b[\w.-]{0,40}(?:secret|token|api[_-]?key|access[_-]?key|private[_-]?key|client[_-]?secret|auth[_-]?key)[\w.-]{0,40}["']?\s*(?:=|:|=>)\s*["']?(?<value>[A-Za-z0-9+/=_.-]{16,})/gi,
+    minEntropy: 3.5
+  }
+];
+
+// Valores que são apenas exemplos ou referências a variáveis, não segredos
+const PLACEHOLDER_PATTERN = /^(?:[*x.•#_-]+|\$\{?.*|%.*%|\{\{.*|<.*|null|none|undefined|true|false|your[_-]?\w*|example\w*|changeme|password|senha)$/i;
+
+// Parâmetros de query cujo valor é mascarado nos links (tokens, chaves, assinaturas de URLs pré-assinadas)
+const SENSITIVE_PARAM_PATTERN = /token|secret|passw|pwd|senha|api[_-]?key|access[_-]?key|private[_-]?key|signature|credential|session|^(?:auth|authorization|key|sig|code)$/i;
+
+// Máscara de redactSecret (valores já mascarados não são analisados de novo)
+const MASK = '********';
+
+/**
+ * Entropia de Shannon de um valor (bits por caractere)
+ * @param {string} value - Valor analisado
+ * @returns {number} - Entropia
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+  return Object.values(counts).reduce((entropy, count) => {
+    const p = count / value.length;
+    return entropy - p * Math.log2(p);
+  }, 0);
+}
+
+/**
+ * Mascara um segredo
+ * Apenas valores longos mantêm os 4 primeiros caracteres (ex: o prefixo AKIA de uma chave AWS);
+ * o tamanho da máscara é fixo para não revelar o comprimento do valor
+ * @param {string} value - Segredo
+ * @returns {string} - Valor mascarado
+ */
+export function redactSecret(value) {
+  const visible = value.length >= 16 ? value.slice(0, 4) : '';
+  return `${visible}${MASK}`;
+}
+
+/**
+ * Procura segredos em um texto
+ * @param {string} text - Texto analisado (snippet, título ou corpo)
+ * @param {Object} [settings] - Configuração
+ * @param {string} [settings.source='snippet'] - Origem do texto, registrada em cada ocorrência
+ * @returns {Object} - { secrets: [{ rule, name, severity, match, source }], redacted }:
+ *   match é a ocorrência com o valor mascarado e redacted é o texto com todos os valores mascarados
+ */
+export function detectSecrets(text, { source = 'snippet' } = {}) {
+  if (!text) return { secrets: [], redacted: text };
+
+  const spans = [];
+  const secrets = [];
+
+  SECRET_RULES.forEach(rule => {
+    const pattern = new RegExp(rule.pattern.source, `${rule.pattern.flags.replace('d', '')}d`);
+    for (const match of text.matchAll(pattern)) {
+      const value = match.groups.value;
+      const [start, end] = match.indices.groups.value;
+      if (!value || !value.trim()) continue;
+      if (spans.some(span => start < span.end && end > span.start)) continue;
+      if (rule.id !== 'private-key' && PLACEHOLDER_PATTERN.test(value)) continue;
+      if (rule.minEntropy && shannonEntropy(value) < rule.minEntropy) continue;
+
+      const redactedValue = rule.id === 'private-key' ? '[chave removida]' : redactSecret(value);
+      spans.push({ start, end, redactedValue });
+
+      const context = match[0].slice(0, start - match.index) + redactedValue + match[0].slice(end - match.index);
+      secrets.push({
+        rule: rule.id,
+        name: rule.name,
+        severity: rule.severity,
+        match: context.replace(/\s+/g, ' ').trim().slice(0, 200),
+        source
+      });
+    }
+  });
+
+  // Substituir do fim para o início para manter as posições válidas
+  let redacted = text;
+  [...spans].sort((a, b) => b.start - a.start).forEach(span => {
+    redacted = redacted.slice(0, span.start) + span.redactedValue + redacted.slice(span.end);
+  });
+
+  return { secrets, redacted };
+}
+
+/**
+ * Procura segredos em um link: as regras de detectSecrets, a senha das credenciais
+ * (usuario:senha@host) e os parâmetros sensíveis da query
+ * Redirecionamentos dos buscadores são removidos antes da análise; links inválidos
+ * são devolvidos sem alteração. Aplicar a função a um link já mascarado não o altera
+ * @param {string} link - Link como coletado
+ * @returns {Object} - { secrets, redacted }: redacted é o link com todos os valores mascarados
+ */
+export function detectUrlSecrets(link) {
+  const unwrapped = unwrapRedirectUrl(link);
+  if (!unwrapped) return { secrets: [], redacted: link };
+
+  const detected = detectSecrets(unwrapped, { source: 'url' });
+  let url;
+  try {
+    url = new URL(detected.redacted);
+  } catch (error) {
+    return detected;
+  }
+  const secrets = [...detected.secrets];
+  const occurrence = (rule, name, severity, match) => ({ rule, name, severity, match, source: 'url' });
+
+  if (url.password && !url.password.includes(MASK)) {
+    url.password = redactSecret(decodeURIComponent(url.password));
+    secrets.push(occurrence('url-credentials', 'Credenciais na URL', 'critical', `${url.username}:${url.password}@${url.host}`));
+  }
+
+  const params = [...url.searchParams.entries()];
+  let changed = false;
+  params.forEach(entry => {
+    const [name, value] = entry;
+    if (!SENSITIVE_PARAM_PATTERN.test(name) || value.length < 4 || value.includes(MASK) || PLACEHOLDER_PATTERN.test(value)) return;
+    entry[1] = redactSecret(value);
+    changed = true;
+    secrets.push(occurrence('url-parameter', 'Parâmetro sensível na URL', 'high', `${name}=${entry[1]}`));
+  });
+  if (changed) url.search = new URLSearchParams(params).toString();
+
+  return { secrets, redacted: url.href };
+}
+
+/**
+ * Analisa os resultados de um dork: o link, o título e o snippet de cada URL são mascarados
+ * no próprio resultado (e portanto no checkpoint, nos relatórios e nas exportações),
+ * o redirecionamento do buscador é descartado quando contém segredos
+ * e cada URL com ocorrências recebe o campo secrets
+ * @param {Object} result - Resultado do dork (com urls)
+ * @returns {number} - Quantidade de ocorrências encontradas
+ */
+export function inspectResultSecrets(result) {
+  let total = 0;
+  (result.urls || []).forEach(item => {
+    const link = detectUrlSecrets(item.link);
+    const redirect = item.redirectUrl ? detectUrlSecrets(item.redirectUrl) : { secrets: [] };
+    const title = detectSecrets(item.title, { source: 'title' });
+    const snippet = detectSecrets(item.snippet, { source: 'snippet' });
+    const linkSecrets = [...link.secrets];
+    redirect.secrets.forEach(secret => {
+      if (!linkSecrets.some(known => known.rule === secret.rule && known.match === secret.match)) linkSecrets.push(secret);
+    });
+    const secrets = [...linkSecrets, ...title.secrets, ...snippet.secrets];
+
+    // O link só é substituído quando tem ocorrências (mantém os redirecionamentos dos buscadores)
+    if (link.secrets.length > 0) item.link = link.redacted;
+    // O redirecionamento do buscador embute o link original codificado: é descartado
+    if (redirect.secrets.length > 0) item.redirectUrl = null;
+    item.title = title.redacted;
+    item.snippet = snippet.redacted;
+    if (secrets.length > 0) {
+      item.secrets = secrets;
+      total += secrets.length;
+    }
+  });
+  return total;
+}
+
+/**
+ * Acrescenta ocorrências a um achado (sem repetir regra e valor mascarado)
+ * e eleva a severidade do achado até a mais alta das ocorrências
+ * @param {Object} finding - Achado (veja findings.js)
+ * @param {Array<Object>} secrets - Ocorrências de detectSecrets
+ */
+export function addFindingSecrets(finding, secrets = []) {
+  if (!finding.secrets) finding.secrets = [];
+
+  secrets.forEach(secret => {
+    if (finding.secrets.some(known => known.rule === secret.rule && known.match === secret.match)) return;
+    finding.secrets.push(secret);
+    if (SEVERITY_LEVELS.indexOf(secret.severity) > SEVERITY_LEVELS.indexOf(finding.severity)) {
+      finding.severity = secret.severity;
+    }
+  });
+}
+
+/**
+ * Exibe no console as ocorrências encontradas (sempre mascaradas)
+ * @param {Array<Object>} secrets - Ocorrências
+ * @param {string} [indent='  '] - Recuo de cada linha
+ */
+export function printSecrets(secrets, indent = '  ') {
+  secrets.forEach(secret => {
+    console.log(chalk.red(`${indent}🔑 [${secret.severity}] ${secret.name} (${secret.source}): ${secret.match}`));
+  });
+}
@@ -0,0 +1,220 @@
+/**
+ * SERP Parser Module
+ *
+ * Este módulo extrai resultados estruturados (título, link, snippet e total
+ * estimado) de páginas de resultados dos motores de busca, usando os seletores
+ * definidos nos adaptadores de engines/. Trabalha apenas com o HTML, de modo que pode ser
+ * usado tanto com o conteúdo de uma página Puppeteer quanto com arquivos salvos.
+ */
+
+import fs from 'fs-extra';
+import * as cheerio from 'cheerio';
+
+/**
+ * Verifica se um seletor da configuração está definido
+ * (alguns motores usam a string 'null' para indicar ausência)
+ * @param {string} selector - Seletor CSS
+ * @returns {boolean} - Se o seletor pode ser usado
+ */
+function hasSelector(selector) {
+  return Boolean(selector) && selector !== 'null';
+}
+
+/**
+ * Normaliza espaços em branco de um texto extraído do HTML
+ * @param {string} text - Texto original
+ * @returns {string} - Texto sem quebras de linha e espaços repetidos
+ */
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Decodifica o parâmetro "u" dos links de rastreamento do Bing (prefixo "a1" + base64url)
+ * @param {string} value - Valor do parâmetro
+ * @returns {string|null} - URL decodificada ou null
+ */
+function decodeBingParam(value) {
+  if (!value || !value.startsWith('a1')) return null;
+
+  try {
+    const base64 = value.slice(2).replace(/-/g, '+').replace(/_/g, '/');
+    return Buffer.from(base64, 'base64').toString('utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Remove os wrappers de redirecionamento dos motores de busca
+ * (Google /url?q=, Bing /ck/a?u=, DuckDuckGo /l/?uddg=, Yahoo /RU=)
+ * @param {string} href - Link como aparece na página de resultados
+ * @param {string} baseUrl - URL da página de resultados (para links relativos)
+ * @returns {string|null} - URL final do resultado ou null se inválida
+ */
+export function unwrapRedirectUrl(href, baseUrl) {
+  if (!href) return null;
+
+  let url;
+  try {
+    url = new URL(href, baseUrl || undefined);
+  } catch (error) {
+    return null;
+  }
+
+  const host = url.hostname;
+  let target = null;
+
+  if (/(^|\.)google\./.test(host) && url.pathname === '/url') {
+    target = url.searchParams.get('q') || url.searchParams.get('url');
+  } else if (/(^|\.)bing\.com$/.test(host) && url.pathname.startsWith('/ck/')) {
+    target = decodeBingParam(url.searchParams.get('u'));
+  } else if (/(^|\.)duckduckgo\.com$/.test(host) && url.pathname === '/l/') {
+    target = url.searchParams.get('uddg');
+  } else if (/(^|\.)search\.yahoo\.com$/.test(host)) {
+    const match = url.pathname.match(/\/RU=([^/]+)\//);
+    if (match) {
+      try {
+        target = decodeURIComponent(match[1]);
+      } catch (error) {
+        target = null;
+      }
+    }
+  }
+
+  const finalUrl = target || url.href;
+  return /^https?:\/\//i.test(finalUrl) ? finalUrl : null;
+}
+
+/**
+ * Extrai o total estimado de resultados do texto de estatísticas
+ * Ex: "About 1,230 results", "Aproximadamente 1.230 resultados (0,32 segundos)"
+ * @param {string} text - Texto do elemento de estatísticas
+ * @returns {number|null} - Total estimado ou null se não encontrado
+ */
+export function parseEstimatedTotal(text) {
+  if (!text) return null;
+
+  const match = text.match(/(\d[\d.,\s ]*)\s*(?:search\s+)?(?:results|resultados|résultats|ergebnisse)/i);
+  if (!match) return null;
+
+  const digits = match[1].replace(/\D/g, '');
+  return digits ? parseInt(digits, 10) : null;
+}
+
+/**
+ * Extrai os resultados de uma página de resultados de busca
+ * @param {string} html - HTML da página de resultados
+ * @param {Object} config - Configuração do motor de busca com os seletores (veja engines/)
+ * @param {string} pageUrl - URL da página (para resolver links relativos)
+ * @returns {Object} - { engine, estimatedTotal, results: [{ position, title, link, redirectUrl, snippet }] }
+ */
+export function parseSearchResults(html, config, pageUrl) {
+  const baseUrl = pageUrl || config.url;
+  const $ = cheerio.load(html || '');
+
+  const results = [];
+  const seenLinks = new Set();
+
+  $(config.resultSelector).each((_, element) => {
+    const item = $(element);
+
+    const title = cleanText(item.find(config.titleSelector).first().text());
+    const anchor = item.find(config.linkSelector).filter((_, a) => Boolean($(a).attr('href'))).first();
+    const rawHref = anchor.attr('href');
+    const link = unwrapRedirectUrl(rawHref, baseUrl);
+
+    // Ignorar blocos sem link válido (anúncios, "as pessoas também perguntam", etc)
+    if (!link || seenLinks.has(link)) return;
+    seenLinks.add(link);
+
+    const snippet = hasSelector(config.snippetSelector)
+      ? cleanText(item.find(config.snippetSelector).first().text())
+      : '';
+
+    const absoluteHref = new URL(rawHref, baseUrl).href;
+
+    results.push({
+      position: results.length + 1,
+      title: title || link,
+      link,
+      redirectUrl: absoluteHref !== link ? absoluteHref : null,
+      snippet
+    });
+  });
+
+  const estimatedTotal = hasSelector(config.statsSelector)
+    ? parseEstimatedTotal(cleanText($(config.statsSelector).first().text()))
+    : null;
+
+  return {
+    engine: config.name,
+    estimatedTotal,
+    results
+  };
+}
+
+/**
+ * Localiza o link para a próxima página de resultados
+ * @param {string} html - HTML da página de resultados
+ * @param {string} selector - Seletor CSS do link "próxima página"
+ * @param {string} pageUrl - URL da página (para resolver links relativos)
+ * @returns {string|null} - URL absoluta da próxima página ou null
+ */
+export function findNextPageLink(html, selector, pageUrl) {
+  if (!hasSelector(selector) || !html) return null;
+
+  const $ = cheerio.load(html);
+  const href = $(selector).first().attr('href');
+  if (!href) return null;
+
+  try {
+    return new URL(href, pageUrl || undefined).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Limites de paginação de um dork: as opções da varredura têm prioridade sobre os do motor
+ * @param {Object} engine - Adaptador do motor de busca (maxPages, maxResults)
+ * @param {Object} options - Opções da varredura (maxPages, maxResults; null = valor do motor)
+ * @returns {Object} - { maxPages, maxResults }
+ */
+export function resolvePageLimits(engine, options = {}) {
+  return {
+    maxPages: options.maxPages ?? engine.maxPages ?? 1,
+    maxResults: options.maxResults ?? engine.maxResults ?? Infinity
+  };
+}
+
+/**
+ * Acrescenta aos resultados já coletados as URLs novas de uma página, renumerando as posições
+ * @param {Array<Object>} urls - Resultados já coletados (atualizado no lugar)
+ * @param {Array<Object>} pageResults - Resultados da página
+ * @param {number} maxResults - Máximo de resultados do dork
+ * @returns {number} - URLs novas na página (0 indica que a paginação deve parar)
+ */
+export function appendPageResults(urls, pageResults, maxResults = Infinity) {
+  const seenLinks = new Set(urls.map(item => item.link));
+  const newResults = pageResults.filter(item => !seenLinks.has(item.link));
+
+  for (const item of newResults) {
+    if (urls.length >= maxResults) break;
+    if (seenLinks.has(item.link)) continue;
+    seenLinks.add(item.link);
+    urls.push({ ...item, position: urls.length + 1 });
+  }
+  return newResults.length;
+}
+
+/**
+ * Extrai os resultados de um arquivo HTML salvo
+ * @param {string} filePath - Caminho para o arquivo HTML
+ * @param {Object} engine - Adaptador do motor de busca (veja engines/)
+ * @returns {Promise<Object>} - Mesmo formato de parseSearchResults
+ */
+export async function parseSearchResultsFile(filePath, engine) {
+  const html = await fs.readFile(filePath, 'utf8');
+  return engine.parseResults(html);
+}
@@ -0,0 +1,220 @@
+/**
+ * Subdomains Module
+ *
+ * Este módulo descobre subdomínios nos resultados da varredura: os hosts de cada
+ * resultado sob o domínio registrável do alvo (ex: exemplo.com.br para loja.exemplo.com.br)
+ * entram no inventário e os ainda desconhecidos recebem dorks de acompanhamento
+ * (site:{subdomain}, inurl:admin...), além de um dork de exclusão
+ * (site:*.exemplo.com.br -site:www.exemplo.com.br -site:...) para revelar outros.
+ *
+ * A profundidade limita a recursão: subdomínios encontrados pelos dorks iniciais
+ * têm profundidade 1, os encontrados pelos dorks de acompanhamento destes têm
+ * profundidade 2, e assim por diante. Apenas subdomínios até a profundidade máxima
+ * recebem dorks de acompanhamento; os demais ficam apenas no inventário.
+ */
+
+import chalk from 'chalk';
+
+import { unwrapRedirectUrl } from './serp-parser.js';
+
+// Dorks de acompanhamento de cada subdomínio novo ({subdomain} e {domain} são substituídos)
+export const DEFAULT_FOLLOW_UP_DORKS = [
+  'site:{subdomain}',
+  'site:{subdomain} inurl:admin',
+  'site:{subdomain} filetype:log',
+  'site:{subdomain} intitle:"index of"'
+];
+
+// Sufixos públicos de dois níveis mais comuns (sem uma lista completa de sufixos públicos)
+const MULTI_LABEL_SUFFIXES = [
+  'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'art.br', 'ind.br', 'inf.br', 'adv.br', 'eng.br', 'med.br',
+  'co.uk', 'org.uk', 'gov.uk', 'ac.uk', 'com.au', 'net.au', 'org.au', 'com.ar', 'com.mx', 'com.co',
+  'co.jp', 'co.nz', 'co.za', 'co.in', 'com.cn', 'com.pt', 'com.es', 'com.tr', 'com.sg', 'com.hk'
+];
+
+// Máximo de exclusões em um dork (os buscadores limitam o tamanho da consulta)
+const MAX_EXCLUSIONS = 15;
+
+/**
+ * Domínio registrável de um host (ex: loja.exemplo.com.br → exemplo.com.br)
+ * @param {string} host - Host ou domínio
+ * @returns {string} - Domínio registrável
+ */
+export function getRegistrableDomain(host) {
+  const labels = host.toLowerCase().replace(/^\*\./, '').replace(/\.$/, '').split('.');
+  const suffixLabels = MULTI_LABEL_SUFFIXES.includes(labels.slice(-2).join('.')) ? 2 : 1;
+  return labels.slice(-(suffixLabels + 1)).join('.');
+}
+
+/**
+ * Host (sem porta) de um link de resultado
+ * @param {string} link - Link como coletado
+ * @returns {string|null} - Host em minúsculas ou null se o link for inválido
+ */
+function getHostname(link) {
+  const unwrapped = unwrapRedirectUrl(link);
+  if (!unwrapped) return null;
+  return new URL(unwrapped).hostname.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Cria o rastreador de subdomínios de uma varredura
+ * @param {Object} settings - Configuração
+ * @param {string} settings.domain - Domínio alvo
+ * @param {Array<string>} [settings.knownDomains] - Domínios já pesquisados (ex: domínios alternativos)
+ * @param {number} [settings.maxDepth=1] - Profundidade máxima dos subdomínios pesquisados (0 = apenas inventário)
+ * @param {number} [settings.maxSubdomains=25] - Máximo de subdomínios que recebem dorks de acompanhamento
+ * @param {Array<string>} [settings.followUpDorks] - Modelos dos dorks de acompanhamento
+ * @param {boolean} [settings.exclusionDork=true] - Gerar um dork de exclusão por profundidade
+ * @param {Function|null} [settings.isInScope] - (host) => boolean; hosts fora do escopo não são pesquisados
+ * @param {Object|null} state - Estado salvo no checkpoint (o mesmo objeto é atualizado)
+ * @returns {Object} - Rastreador (observe, getDorks, getScopeDomains, getInventory, state)
+ */
+export function createSubdomainTracker({
+  domain,
+  knownDomains = [],
+  maxDepth = 1,
+  maxSubdomains = 25,
+  followUpDorks = DEFAULT_FOLLOW_UP_DORKS,
+  exclusionDork = true,
+  isInScope = null
+}, state = null) {
+  const rootDomain = getRegistrableDomain(domain);
+  const current = state || { inventory: {}, dorks: [] };
+  const known = new Set([domain, rootDomain, `www.${rootDomain}`, ...knownDomains].map(host => host.toLowerCase()));
+
+  /**
+   * Verifica se um host pertence ao domínio registrável do alvo
+   * @param {string} host - Host
+   * @returns {boolean} - Se é o domínio ou um subdomínio dele
+   */
+  function isUnderRoot(host) {
+    return host === rootDomain || host.endsWith(`.${rootDomain}`);
+  }
+
+  /**
+   * Gera os dorks de acompanhamento de um subdomínio
+   * @param {string} subdomain - Subdomínio
+   * @param {number} depth - Profundidade do subdomínio
+   * @returns {Array<Object>} - [{ id, query, description, subdomain, depth }]
+   */
+  function buildFollowUpDorks(subdomain, depth) {
+    return followUpDorks.map((template, idx) => ({
+      id: `subdomain-${idx + 1}:${subdomain}`,
+      query: template.replace(/\{subdomain\}/g, subdomain).replace(/\{domain\}/g, rootDomain),
+      description: `Subdomínio descoberto ${subdomain} (profundidade ${depth})`,
+      subdomain,
+      depth
+    }));
+  }
+
+  /**
+   * Gera o dork de exclusão de uma profundidade com os hosts conhecidos até agora
+   * @param {number} depth - Profundidade
+   * @returns {Object} - Dork
+   */
+  function buildExclusionDork(depth) {
+    const excluded = [...known, ...Object.keys(current.inventory)]
+      .filter(host => host !== rootDomain && isUnderRoot(host))
+      .filter((host, idx, hosts) => hosts.indexOf(host) === idx)
+      .slice(0, MAX_EXCLUSIONS);
+    return {
+      id: `subdomain-exclusion:${rootDomain}:${depth}`,
+      query: [`site:*.${rootDomain}`, ...excluded.map(host => `-site:${host}`)].join(' '),
+      description: `Outros subdomínios de ${rootDomain} (excluindo os ${excluded.length} já conhecidos)`,
+      subdomain: null,
+      depth
+    };
+  }
+
+  return {
+    state: current,
+
+    /**
+     * Registra os hosts dos resultados de um dork e gera os dorks dos subdomínios novos
+     * @param {Object} result - Resultado do dork (com urls)
+     * @param {Object} dorkEntry - Dork que gerou o resultado (depth ausente = dork inicial)
+     * @returns {Object} - { discovered: [hosts novos], dorks: [dorks novos a enfileirar] }
+     */
+    observe(result, dorkEntry) {
+      const depth = (dorkEntry.depth || 0) + 1;
+      const discovered = [];
+      const queued = [];
+
+      (result.urls || []).forEach(item => {
+        let host;
+        try {
+          host = getHostname(item.link);
+        } catch (error) {
+          return;
+        }
+        if (!host || !isUnderRoot(host) || known.has(host) || current.inventory[host]) return;
+
+        const outOfScope = isInScope ? !isInScope(host) : false;
+        const followedUp = !outOfScope && depth <= maxDepth &&
+          Object.values(current.inventory).filter(entry => entry.followedUp).length < maxSubdomains;
+        current.inventory[host] = {
+          host,
+          depth,
+          foundBy: result.dork,
+          foundAt: new Date().toISOString(),
+          followedUp,
+          outOfScope
+        };
+        discovered.push(host);
+
+        if (followedUp) {
+          queued.push(...buildFollowUpDorks(host, depth));
+        }
+      });
+
+      // Um dork de exclusão por profundidade, criado com o primeiro subdomínio pesquisado dela
+      if (queued.length > 0 && exclusionDork && !current.dorks.some(dork => dork.subdomain === null && dork.depth === depth)) {
+        queued.push(buildExclusionDork(depth));
+      }
+
+      current.dorks.push(...queued);
+      return { discovered, dorks: queued };
+    },
+
+    /**
+     * Dorks gerados até agora (para retomar a varredura a partir do checkpoint)
+     * @returns {Array<Object>} - Dorks de acompanhamento e de exclusão
+     */
+    getDorks() {
+      return current.dorks;
+    },
+
+    /**
+     * Subdomínios descobertos que passaram a fazer parte do escopo
+     * @returns {Array<string>} - Hosts
+     */
+    getScopeDomains() {
+      return Object.values(current.inventory).filter(entry => !entry.outOfScope).map(entry => entry.host);
+    },
+
+    /**
+     * Inventário de subdomínios para os relatórios
+     * @param {Array<Object>} findings - Achados (para contar as URLs de cada subdomínio)
+     * @returns {Array<Object>} - [{ host, depth, foundBy, foundAt, followedUp, urls }], por profundidade e nome
+     */
+    getInventory(findings = []) {
+      return Object.values(current.inventory)
+        .map(entry => ({
+          ...entry,
+          urls: findings.filter(finding => finding.host.split(':')[0] === entry.host).length
+        }))
+        .sort((a, b) => a.depth - b.depth || a.host.localeCompare(b.host));
+    }
+  };
+}
+
+/**
+ * Exibe no console os subdomínios descobertos por um dork
+ * @param {Array<string>} discovered - Hosts novos
+ * @param {number} queued - Dorks adicionados à varredura
+ */
+export function printDiscoveredSubdomains(discovered, queued) {
+  if (discovered.length === 0) return;
+  console.log(chalk.cyan(`🌐 Novos subdomínios: ${discovered.join(', ')}${queued > 0 ? ` (${queued} dorks adicionados)` : ''}`));
+}
@@ -0,0 +1,127 @@
+/**
+ * Targets Module
+ *
+ * Este módulo carrega a lista de alvos para varreduras de múltiplos domínios.
+ *
+ * Formatos aceitos:
+ *
+ * - Texto (.txt ou qualquer outra extensão), um alvo por linha:
+ *     exemplo.com
+ *     loja.exemplo.com types=cms,ecommerce paths=/admin,/api scope=escopo-loja.yaml
+ *     # linhas iniciadas com # são comentários
+ *
+ * - JSON/YAML, uma lista de alvos (ou de domínios):
+ *     - domain: exemplo.com
+ *     - domain: loja.exemplo.com
+ *       types: [cms, ecommerce]
+ *       paths: [/admin, /api]
+ *       alternativeDomains: [dev.loja.exemplo.com]
+ *       scope: escopo-loja.yaml   # arquivo de escopo (veja scope.js), relativo ao arquivo de alvos
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'js-yaml';
+
+// Hostname simples (sem esquema, caminho ou porta)
+const DOMAIN_PATTERN = /^(?!-)[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+/**
+ * Converte um valor em lista de strings
+ * @param {Array|string|undefined} value - Lista ou string separada por vírgulas
+ * @returns {Array<string>|null} - Lista ou null se não informado
+ */
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Valida e normaliza um alvo
+ * @param {Object|string} entry - Alvo (objeto ou domínio)
+ * @param {string} source - Origem (para mensagens de erro)
+ * @returns {Object} - { domain, types, paths, alternativeDomains, scope }
+ * @throws {Error} - Se o domínio for inválido
+ */
+export function normalizeTarget(entry, source = 'alvo') {
+  const target = typeof entry === 'string' ? { domain: entry } : (entry || {});
+  const domain = String(target.domain || '').trim().toLowerCase();
+
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new Error(`Domínio inválido "${target.domain || ''}" (${source})`);
+  }
+
+  return {
+    domain,
+    types: toList(target.types || target.categories),
+    paths: toList(target.paths),
+    alternativeDomains: toList(target.alternativeDomains || target.alt) || [],
+    scope: target.scope ? String(target.scope).trim() : null
+  };
+}
+
+/**
+ * Interpreta uma linha do formato texto
+ * @param {string} line - Linha do arquivo
+ * @param {string} source - Origem (para mensagens de erro)
+ * @returns {Object} - Alvo normalizado
+ */
+function parseTargetLine(line, source) {
+  const [domain, ...fields] = line.split(/\s+/);
+  const target = { domain };
+
+  fields.forEach(field => {
+    const [key, value] = field.split('=');
+    if (!value) {
+      throw new Error(`Campo inválido "${field}" (use chave=valor) (${source})`);
+    }
+    target[key] = value;
+  });
+
+  return normalizeTarget(target, source);
+}
+
+/**
+ * Carrega a lista de alvos de um arquivo
+ * @param {string} filePath - Caminho do arquivo de alvos
+ * @returns {Promise<Array<Object>>} - Alvos sem domínios duplicados
+ */
+export async function loadTargets(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  let targets;
+
+  if (['.json', '.yaml', '.yml'].includes(ext)) {
+    let data;
+    try {
+      data = ext === '.json' ? JSON.parse(content) : yaml.load(content);
+    } catch (error) {
+      throw new Error(`Erro ao ler arquivo de alvos ${filePath}: ${error.message}`);
+    }
+
+    const entries = Array.isArray(data) ? data : (data && data.targets);
+    if (!Array.isArray(entries)) {
+      throw new Error(`Arquivo de alvos deve conter uma lista de alvos: ${filePath}`);
+    }
+    targets = entries.map((entry, idx) => normalizeTarget(entry, `${filePath} #${idx + 1}`));
+  } else {
+    targets = content.split(/\r?\n/)
+      .map((line, idx) => ({ line: line.replace(/#.*$/, '').trim(), number: idx + 1 }))
+      .filter(({ line }) => line)
+      .map(({ line, number }) => parseTargetLine(line, `${filePath}:${number}`));
+  }
+
+  // Arquivos de escopo são relativos ao arquivo de alvos
+  targets.forEach(target => {
+    if (target.scope) target.scope = path.resolve(path.dirname(filePath), target.scope);
+  });
+
+  // Remover domínios duplicados, mantendo a primeira ocorrência
+  const seen = new Set();
+  return targets.filter(target => {
+    if (seen.has(target.domain)) return false;
+    seen.add(target.domain);
+    return true;
+  });
+}
@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import { createApiEngine, loadApiEngines } from '../engines/api-engines.js';
+import { createMockSearchServer } from '../api-mock-server.js';
+
+const KEY = 'chave-secreta-1234';
+const ROUTES = { 'google-cse': '/customsearch/v1', bing: '/v7.0/search', serpapi: '/search' };
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Inicia o servidor simulado e carrega um motor de cada tipo apontando para ele
+ */
+async function withMockEngines(serverSettings, engineSettings, run) {
+  const server = createMockSearchServer(serverSettings);
+  const base = await listen(server);
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-apis-'));
+  const usageFile = path.join(dir, 'api-usage.json');
+
+  const config = {};
+  Object.entries(ROUTES).forEach(([type, route]) => {
+    config[`${type}-teste`] = { type, key: KEY, cx: 'cx-teste', baseUrl: base + route, ...engineSettings };
+  });
+  const configFile = path.join(dir, 'apis.json');
+  await fs.writeJson(configFile, config);
+
+  const load = () => loadApiEngines(configFile, { usageFile });
+  try {
+    return await run(await load(), { load, usageFile });
+  } finally {
+    server.close();
+    await fs.remove(dir);
+  }
+}
+
+test('search() pagina os resultados de cada API', async () => {
+  await withMockEngines({ results: 25 }, {}, async engines => {
+    for (const engine of engines) {
+      const pages = [];
+      for (const page of [0, 1, 2]) pages.push(await engine.search('site:exemplo.com inurl:admin', { page }));
+
+      assert.deepEqual(pages.map(result => result.results.length), [10, 10, 5], engine.id);
+      pages.forEach(result => {
+        assert.equal(result.blockReason, null);
+        assert.equal(result.estimatedTotal, 25);
+        assert.equal(result.results[0].position, 1);
+      });
+      assert.match(pages[0].results[0].title, /^Resultado simulado 1 - exemplo\.com$/);
+      assert.match(pages[1].results[0].title, /^Resultado simulado 11 /);
+      assert.match(pages[2].results[4].link, /^https:\/\/exemplo\.com\/mock\/[0-9a-f]{8}\/25$/);
+      assert.equal(pages[2].results[4].redirectUrl, null);
+    }
+  });
+});
+
+test('a cota configurada é contada no arquivo de uso e esgota o motor entre execuções', async () => {
+  await withMockEngines({ results: 5 }, { quota: 2 }, async (engines, { load, usageFile }) => {
+    for (const engine of engines) {
+      assert.equal(engine.quota, 2);
+      assert.equal(engine.isExhausted(), false);
+      await engine.search('site:exemplo.com');
+      await engine.search('site:exemplo.com', { page: 1 });
+      assert.equal(engine.isExhausted(), true, engine.id);
+      assert.deepEqual(await engine.search('site:exemplo.com'), { blockReason: 'quota', estimatedTotal: null, results: [] });
+    }
+
+    const usage = await fs.readJson(usageFile);
+    const [day] = Object.keys(usage);
+    assert.equal(day, new Date().toISOString().slice(0, 10));
+    assert.deepEqual(usage[day], { 'google-cse-teste': 2, 'bing-teste': 2, 'serpapi-teste': 2 });
+
+    // Uma nova execução lê o uso salvo
+    const reloaded = await load();
+    assert.ok(reloaded.every(engine => engine.isExhausted()));
+  });
+});
+
+test('a resposta de cota esgotada de cada API esgota o motor', async () => {
+  // O servidor conta as requisições de todas as APIs juntas
+  await withMockEngines({ results: 5, quota: 3 }, {}, async engines => {
+    for (const engine of engines) {
+      assert.equal((await engine.search('site:exemplo.com')).blockReason, null);
+      assert.equal(engine.isExhausted(), false);
+    }
+    // As requisições seguintes recebem a resposta de cota esgotada de cada API (429 ou 403)
+    for (const engine of engines) {
+      const result = await engine.search('site:exemplo.com');
+      assert.equal(result.blockReason, 'quota', engine.id);
+      assert.deepEqual(result.results, []);
+      assert.equal(engine.isExhausted(), true);
+    }
+  });
+});
+
+test('HTTP 429 sem mensagem de cota é limite de requisições e não esgota o motor', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(429, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: { message: 'Too many requests' } }));
+  });
+  const base = await listen(server);
+  try {
+    for (const [type, route] of Object.entries(ROUTES)) {
+      const engine = createApiEngine(type, { type, key: KEY, cx: 'cx', baseUrl: base + route }, { used: () => 0, consume: async () => {} });
+      const result = await engine.search('site:exemplo.com');
+      assert.equal(result.blockReason, 'rate-limit', type);
+      assert.equal(engine.isExhausted(), false);
+    }
+  } finally {
+    server.close();
+  }
+});
+
+test('chave inválida gera erro com o status HTTP', async () => {
+  await withMockEngines({}, { key: 'invalid' }, async engines => {
+    for (const engine of engines) {
+      await assert.rejects(engine.search('site:exemplo.com'), /respondeu HTTP 401: API key not valid/);
+    }
+  });
+});
+
+test('a chave da API nunca aparece na URL de pesquisa registrada', async () => {
+  await withMockEngines({}, {}, async engines => {
+    engines.forEach(engine => {
+      const searchUrl = engine.buildSearchUrl('site:exemplo.com inurl:admin');
+      assert.ok(!searchUrl.includes(KEY), searchUrl);
+      assert.ok(!searchUrl.includes('127.0.0.1'), searchUrl);
+      assert.match(searchUrl, /^https:\/\/www\.(google|bing)\.com\/search\?q=/);
+    });
+  });
+});
+
+test('configurações sem chave, sem cx ou de tipo desconhecido são rejeitadas', () => {
+  const quota = { used: () => 0, consume: async () => {} };
+  assert.throws(() => createApiEngine('x', { type: 'bing' }, quota), /sem chave/);
+  assert.throws(() => createApiEngine('x', { type: 'google-cse', key: KEY }, quota), /sem cx/);
+  assert.throws(() => createApiEngine('x', { type: 'yandex', key: KEY }, quota), /Tipo de API desconhecido/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+
+import { BLOCKING_VERDICTS, classifyPage, runBlockFixtures } from '../block-detector.js';
+import { getEngine } from '../engines/index.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/block-pages/', import.meta.url));
+
+test('todas as páginas do corpus são classificadas com o veredito esperado', async () => {
+  const outcomes = await runBlockFixtures(FIXTURES, getEngine);
+
+  assert.ok(outcomes.length >= 18);
+  const failures = outcomes
+    .filter(outcome => !outcome.pass)
+    .map(outcome => `${outcome.file} (${outcome.engine || '-'}): esperado ${outcome.expected}, obtido ${outcome.verdict} - ${outcome.reason}`);
+  assert.deepEqual(failures, []);
+});
+
+test('o corpus cobre resultados, ausência de resultados e bloqueios de cada motor embutido', async () => {
+  const outcomes = await runBlockFixtures(FIXTURES, getEngine);
+
+  ['google', 'bing', 'duckduckgo', 'yahoo'].forEach(engineId => {
+    const verdicts = outcomes.filter(outcome => outcome.engine === engineId).map(outcome => outcome.expected);
+    assert.ok(verdicts.includes('ok'), `${engineId} sem página de resultados`);
+    assert.ok(verdicts.some(verdict => BLOCKING_VERDICTS.includes(verdict)), `${engineId} sem página de bloqueio`);
+  });
+});
+
+test('status HTTP 429 é classificado como rate-limit mesmo sem marcadores no HTML', () => {
+  const result = classifyPage({ html: '<html><body></body></html>', url: 'https://www.bing.com/search?q=x', status: 429 }, getEngine('bing'));
+  assert.equal(result.verdict, 'rate-limit');
+  assert.equal(result.blocked, true);
+});
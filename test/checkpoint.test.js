@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import {
+  CHECKPOINT_VERSION,
+  addPendingDorks,
+  createCheckpoint,
+  generateDorkHash,
+  generatePlanFingerprint,
+  loadCheckpoint,
+  saveCheckpoint
+} from '../utils.js';
+import { resolveCheckpoint } from '../dork-scanner.js';
+
+const TARGET = { domain: 'exemplo.com', alternativeDomains: [] };
+const PLAN = ['site:exemplo.com filetype:sql', 'site:exemplo.com inurl:admin'].map(query => ({ query }));
+const OPTIONS = { assumeYes: true };
+
+async function withCheckpointFile(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-checkpoint-'));
+  try {
+    return await run(path.join(dir, 'dork_checkpoint.json'));
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('a impressão digital do plano depende apenas do conjunto de queries', () => {
+  const fingerprint = generatePlanFingerprint(PLAN);
+  assert.match(fingerprint, /^[0-9a-f]{16}$/);
+  assert.equal(generatePlanFingerprint([...PLAN].reverse()), fingerprint);
+  assert.equal(generatePlanFingerprint(PLAN.map(dork => dork.query)), fingerprint);
+  assert.notEqual(generatePlanFingerprint([...PLAN, { query: 'site:exemplo.com ext:log' }]), fingerprint);
+});
+
+test('o checkpoint guarda cada dork pelo hash da query', () => {
+  const checkpoint = createCheckpoint(TARGET, PLAN);
+
+  assert.equal(checkpoint.version, CHECKPOINT_VERSION);
+  assert.deepEqual(checkpoint.target, TARGET);
+  assert.deepEqual(Object.keys(checkpoint.dorks), PLAN.map(dork => generateDorkHash(dork.query)));
+  assert.ok(Object.values(checkpoint.dorks).every(entry => entry.status === 'pending' && entry.result === null));
+
+  // Dorks já registrados não são sobrescritos
+  const [first] = Object.values(checkpoint.dorks);
+  Object.assign(first, { status: 'done', result: { urls: [] } });
+  addPendingDorks(checkpoint, [...PLAN, { query: 'site:exemplo.com ext:log' }]);
+  assert.equal(first.status, 'done');
+  assert.equal(Object.keys(checkpoint.dorks).length, 3);
+});
+
+test('saveCheckpoint e loadCheckpoint preservam o progresso', async () => {
+  await withCheckpointFile(async checkpointFile => {
+    const checkpoint = createCheckpoint(TARGET, PLAN);
+    checkpoint.dorks[generateDorkHash(PLAN[0].query)] = { query: PLAN[0].query, status: 'done', result: { dork: PLAN[0].query, urls: [] } };
+    await saveCheckpoint(checkpointFile, checkpoint);
+
+    const loaded = await loadCheckpoint(checkpointFile);
+    assert.deepEqual(loaded.dorks, checkpoint.dorks);
+    assert.equal(loaded.planFingerprint, checkpoint.planFingerprint);
+    assert.ok(loaded.updatedAt);
+    assert.equal(await fs.pathExists(`${checkpointFile}.tmp`), false);
+  });
+});
+
+test('loadCheckpoint converte o formato antigo e ignora arquivos ausentes ou inválidos', async () => {
+  await withCheckpointFile(async checkpointFile => {
+    assert.equal(await loadCheckpoint(checkpointFile), null);
+
+    await fs.writeJson(checkpointFile, { lastIndex: 1, processedDorks: [PLAN[0].query], timestamp: '2024-01-01T00:00:00.000Z' });
+    const migrated = await loadCheckpoint(checkpointFile);
+    assert.equal(migrated.version, CHECKPOINT_VERSION);
+    assert.equal(migrated.target, null);
+    assert.equal(migrated.planFingerprint, null);
+    assert.deepEqual(migrated.dorks, { [generateDorkHash(PLAN[0].query)]: { query: PLAN[0].query, status: 'done', result: null } });
+
+    await fs.writeFile(checkpointFile, '{ incompleto');
+    assert.equal(await loadCheckpoint(checkpointFile), null);
+  });
+});
+
+test('o mesmo plano retoma o checkpoint com os resultados salvos', async () => {
+  const saved = createCheckpoint(TARGET, PLAN);
+  const entry = saved.dorks[generateDorkHash(PLAN[1].query)];
+  Object.assign(entry, { status: 'done', result: { urls: [{ link: 'https://exemplo.com/admin' }] } });
+
+  const resumed = await resolveCheckpoint(saved, TARGET, [...PLAN].reverse(), OPTIONS);
+  assert.equal(resumed, saved);
+  assert.equal(resumed.dorks[generateDorkHash(PLAN[1].query)].result.urls.length, 1);
+});
+
+test('um plano alterado aproveita os dorks concluídos e atualiza a impressão digital', async () => {
+  const saved = createCheckpoint(TARGET, PLAN);
+  saved.dorks[generateDorkHash(PLAN[0].query)].status = 'done';
+  const plan = [PLAN[0], { query: 'site:exemplo.com ext:log' }];
+
+  const resumed = await resolveCheckpoint(saved, TARGET, plan, OPTIONS);
+  assert.equal(resumed, saved);
+  assert.equal(resumed.planFingerprint, generatePlanFingerprint(plan));
+  assert.equal(resumed.dorks[generateDorkHash(PLAN[0].query)].status, 'done');
+  assert.equal(resumed.dorks[generateDorkHash('site:exemplo.com ext:log')].status, 'pending');
+});
+
+test('outro alvo ou um plano sem dorks concluídos recomeça a varredura', async () => {
+  const saved = createCheckpoint(TARGET, PLAN);
+  saved.dorks[generateDorkHash(PLAN[0].query)].status = 'done';
+
+  const otherTarget = await resolveCheckpoint(saved, { domain: 'outro.com', alternativeDomains: [] }, PLAN, OPTIONS);
+  assert.notEqual(otherTarget, saved);
+  assert.equal(otherTarget.target.domain, 'outro.com');
+  assert.ok(Object.values(otherTarget.dorks).every(entry => entry.status === 'pending'));
+
+  const pending = createCheckpoint(TARGET, PLAN);
+  const plan = [{ query: 'site:exemplo.com ext:log' }];
+  const restarted = await resolveCheckpoint(pending, TARGET, plan, OPTIONS);
+  assert.notEqual(restarted, pending);
+  assert.deepEqual(Object.keys(restarted.dorks), [generateDorkHash(plan[0].query)]);
+
+  assert.equal((await resolveCheckpoint(null, TARGET, PLAN, OPTIONS)).planFingerprint, generatePlanFingerprint(PLAN));
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { translateDork } from '../dork-syntax.js';
+import google from '../engines/google.js';
+import bing from '../engines/bing.js';
+import duckduckgo from '../engines/duckduckgo.js';
+
+test('Google mantém o dork sem avisos', () => {
+  const dork = 'site:*.exemplo.com inurl:admin OR intext:senha';
+  const result = translateDork(dork, google);
+
+  assert.equal(result.query, dork);
+  assert.equal(result.supported, true);
+  assert.equal(result.lossy, false);
+  assert.deepEqual(result.warnings, []);
+});
+
+test('curinga em site: vira aviso de perda em motores sem suporte', () => {
+  const result = translateDork('site:*.exemplo.com intext:senha', bing);
+
+  assert.equal(result.query, 'site:exemplo.com inbody:senha');
+  assert.equal(result.supported, true);
+  assert.equal(result.lossy, true);
+  assert.ok(result.warnings.some(warning => warning.startsWith('site:*.')));
+  assert.ok(result.warnings.includes('intext: convertido em inbody:'));
+});
+
+test('operador sem equivalente vira palavra-chave com aviso de perda', () => {
+  const result = translateDork('site:exemplo.com intext:"senha"', duckduckgo);
+
+  assert.equal(result.query, 'site:exemplo.com "senha"');
+  assert.equal(result.lossy, true);
+  assert.deepEqual(result.warnings, ['intext: convertido em palavra-chave']);
+});
+
+test('operador não suportado marca o dork como não suportado', () => {
+  const result = translateDork('site:exemplo.com inurl:admin', bing);
+
+  assert.equal(result.supported, false);
+  assert.deepEqual(result.unsupported, ['inurl']);
+});
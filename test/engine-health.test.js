@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import { createEngineHealthTracker, loadEngineHealth } from '../engine-health.js';
+import { createEngineScheduler } from '../rate-limiter.js';
+import google from '../engines/google.js';
+import bing from '../engines/bing.js';
+import duckduckgo from '../engines/duckduckgo.js';
+
+const ENGINES = [google, bing];
+const BLOCKED_SESSION = { searches: 10, successes: 0, blocks: 10, errors: 0, totalLatency: 0, totalResults: 0 };
+
+async function withHealthFile(run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-health-'));
+  try {
+    return await run(path.join(dir, 'engine-health.json'));
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('motores sem histórico começam com pontuação 0.5', () => {
+  const health = createEngineHealthTracker(ENGINES);
+  assert.equal(health.score(google), 0.5);
+  assert.equal(health.score(bing), 0.5);
+});
+
+test('a pontuação cai com bloqueios e sobe com pesquisas rápidas e produtivas', () => {
+  const health = createEngineHealthTracker(ENGINES);
+  health.record(google, { status: 'blocked' });
+  health.record(google, { status: 'error' });
+  [1, 2, 3].forEach(() => health.record(bing, { status: 'ok', latency: 2000, results: 10 }));
+
+  assert.ok(health.score(google) < 0.5);
+  assert.ok(health.score(bing) > 0.5);
+
+  const summary = health.getSummary();
+  assert.equal(summary.google.status, 'degraded');
+  assert.equal(summary.bing.status, 'healthy');
+  assert.deepEqual([summary.bing.successRate, summary.bing.avgLatencyMs, summary.bing.avgResults], [1, 2000, 10]);
+});
+
+test('as métricas salvas perdem metade do peso a cada nova sessão', async () => {
+  await withHealthFile(async healthFile => {
+    // Sessão 1: o Google foi bloqueado em todas as pesquisas
+    const first = createEngineHealthTracker(ENGINES, { google: BLOCKED_SESSION });
+    assert.equal(first.score(google), 1 / 7);
+    first.record(bing, { status: 'ok', latency: 1000, results: 10 });
+    await first.save(healthFile);
+
+    // Sessão 2: os bloqueios antigos pesam cada vez menos
+    const second = createEngineHealthTracker(ENGINES, await loadEngineHealth(healthFile));
+    assert.equal(second.score(google), 1 / 4.5);
+    second.record(bing, { status: 'ok', latency: 1000, results: 10 });
+    await second.save(healthFile);
+
+    const third = createEngineHealthTracker(ENGINES, await loadEngineHealth(healthFile));
+    assert.equal(third.score(google), 1 / 3.25);
+  });
+});
+
+test('save e loadEngineHealth preservam as métricas combinadas', async () => {
+  await withHealthFile(async healthFile => {
+    const previous = { yahoo: { ...BLOCKED_SESSION }, google: { ...BLOCKED_SESSION } };
+    const health = createEngineHealthTracker(ENGINES, previous);
+    health.record(google, { status: 'ok', latency: 3000, results: 7 });
+    health.record(bing, { status: 'blocked' });
+    await health.save(healthFile);
+
+    const saved = await fs.readJson(healthFile);
+    assert.ok(!Number.isNaN(Date.parse(saved.updatedAt)));
+    assert.deepEqual(await loadEngineHealth(healthFile), {
+      // Motores fora desta sessão mantêm o histórico anterior
+      yahoo: BLOCKED_SESSION,
+      google: { searches: 6, successes: 1, blocks: 5, errors: 0, totalLatency: 3000, totalResults: 7 },
+      bing: { searches: 1, successes: 0, blocks: 1, errors: 0, totalLatency: 0, totalResults: 0 }
+    });
+  });
+});
+
+test('sessões sem pesquisas não sobrescrevem o arquivo e arquivos inválidos são ignorados', async () => {
+  await withHealthFile(async healthFile => {
+    await createEngineHealthTracker(ENGINES).save(healthFile);
+    assert.equal(await fs.pathExists(healthFile), false);
+    assert.deepEqual(await loadEngineHealth(healthFile), {});
+
+    await fs.writeFile(healthFile, '{ inválido');
+    assert.deepEqual(await loadEngineHealth(healthFile), {});
+    assert.deepEqual(await loadEngineHealth(null), {});
+  });
+});
+
+test('o sorteio é ponderado pela pontuação de cada motor', () => {
+  // Pesos: google 1/7, bing 0.5
+  const pick = value => createEngineHealthTracker(ENGINES, { google: BLOCKED_SESSION }, () => value)
+    .selectEngine('site:exemplo.com filetype:pdf', ENGINES).searchEngine.id;
+
+  assert.equal(pick(0), 'google');
+  assert.equal(pick(0.2), 'google');
+  assert.equal(pick(0.25), 'bing');
+  assert.equal(pick(0.99), 'bing');
+});
+
+test('motores sem suporte ao dork ficam fora do sorteio e traduções aproximadas pesam menos', () => {
+  const health = createEngineHealthTracker([google, bing, duckduckgo], {}, () => 0);
+  const { searchEngine, translation } = health.selectEngine('site:exemplo.com inurl:admin', [bing, google]);
+  assert.equal(searchEngine.id, 'google');
+  assert.equal(translation.query, 'site:exemplo.com inurl:admin');
+
+  // intext: vira palavra-chave no DuckDuckGo: peso 0.3 x 0.5 contra 0.5 do Google
+  // (sem a redução, o sorteio 0.3 x 1.0 cairia no DuckDuckGo)
+  const lossy = createEngineHealthTracker([google, duckduckgo], {}, () => 0.3);
+  assert.equal(lossy.selectEngine('site:exemplo.com intext:senha', [duckduckgo, google]).searchEngine.id, 'google');
+});
+
+test('motores em cooldown não entram no sorteio', async () => {
+  const clock = { time: 0, now: () => clock.time, sleep: async ms => { clock.time += ms; }, random: () => 0 };
+  const scheduler = createEngineScheduler(ENGINES, { delayBetweenSearches: 0, randomDelayMax: 0, blockCooldown: 60000, maxBlockCooldown: 60000 }, clock);
+  const health = createEngineHealthTracker(ENGINES, {}, () => 0);
+
+  scheduler.reportBlock(google, 'captcha');
+  for (const value of [0, 0.5, 0.99]) {
+    const picker = createEngineHealthTracker(ENGINES, {}, () => value);
+    assert.equal(picker.selectEngine('site:exemplo.com', await scheduler.availableEngines()).searchEngine.id, 'bing');
+  }
+
+  clock.time = 60000;
+  assert.equal(health.selectEngine('site:exemplo.com', await scheduler.availableEngines()).searchEngine.id, 'google');
+});
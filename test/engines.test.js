@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import { createSelectorEngine, getEngine, loadCustomEngines, validateEngine } from '../engines/index.js';
+
+const STARTPAGE = `export default {
+  name: 'Startpage',
+  url: 'https://www.startpage.com/sp/search',
+  queryParam: 'query',
+  pageParam: 'page',
+  resultsPerPage: 1,
+  firstResultOffset: 1,
+  resultSelector: '.w-gl__result',
+  titleSelector: 'h3',
+  linkSelector: 'a.w-gl__result-url'
+};
+`;
+
+const FULL_ADAPTER = `export default {
+  id: 'interno',
+  name: 'Busca Interna',
+  buildSearchUrl: query => 'https://busca.exemplo.com/?q=' + encodeURIComponent(query),
+  getNextPageUrl: () => null,
+  parseResults: () => ({ engine: 'Busca Interna', estimatedTotal: null, results: [] }),
+  detectBlock: async () => ({ verdict: 'ok', blocked: false }),
+  acceptConsent: async () => {}
+};
+`;
+
+async function withEnginesDir(files, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-engines-'));
+  try {
+    for (const [name, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(dir, name), content);
+    }
+    return await run(dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('createSelectorEngine monta as URLs de pesquisa e de paginação', () => {
+  const engine = createSelectorEngine({
+    name: 'Teste',
+    url: 'https://busca.exemplo.com/search',
+    pageParam: 'first',
+    resultsPerPage: 10,
+    firstResultOffset: 1,
+    extraParams: { lang: 'pt' },
+    resultSelector: 'li'
+  });
+
+  assert.equal(engine.id, 'teste');
+  assert.equal(engine.buildSearchUrl('site:exemplo.com'), 'https://busca.exemplo.com/search?q=site%3Aexemplo.com&lang=pt');
+  assert.equal(engine.getNextPageUrl({ query: 'x', page: 1 }), 'https://busca.exemplo.com/search?q=x&lang=pt&first=21');
+  assert.doesNotThrow(() => validateEngine(engine));
+});
+
+test('createSelectorEngine rejeita configurações incompletas', () => {
+  assert.throws(() => createSelectorEngine({ url: 'https://busca.exemplo.com/' }), /sem: name, resultSelector/);
+  assert.throws(() => createSelectorEngine(null), /sem: name, url, resultSelector/);
+  assert.throws(
+    () => createSelectorEngine({ name: 'X', url: 'https://x.com/', resultSelector: 'li' }, { parseResults: null }),
+    /não implementa: parseResults/
+  );
+});
+
+test('loadCustomEngines registra configurações e adaptadores completos em ordem alfabética', async () => {
+  const loaded = await withEnginesDir({
+    'b-interno.mjs': FULL_ADAPTER,
+    'a-startpage.js': STARTPAGE,
+    'LEIA-ME.txt': 'ignorado'
+  }, loadCustomEngines);
+
+  assert.deepEqual(loaded, ['startpage', 'interno']);
+  assert.equal(getEngine('Startpage').buildSearchUrl('teste', { page: 1 }), 'https://www.startpage.com/sp/search?query=teste&page=2');
+  assert.equal(getEngine('interno').buildSearchUrl('a b'), 'https://busca.exemplo.com/?q=a%20b');
+});
+
+test('loadCustomEngines aponta o arquivo do adaptador inválido', async () => {
+  await withEnginesDir({ 'quebrado.js': "export default { name: 'Quebrado', url: 'https://x.com/' };" }, async dir => {
+    await assert.rejects(loadCustomEngines(dir), error => {
+      assert.match(error.message, /sem: resultSelector/);
+      assert.ok(error.message.includes(path.join(dir, 'quebrado.js')));
+      return true;
+    });
+  });
+
+  await withEnginesDir({ 'sem-default.js': 'export const engine = {};' }, async dir => {
+    await assert.rejects(loadCustomEngines(dir), /não possui export default/);
+  });
+});
+
+test('loadCustomEngines ignora diretórios inexistentes', async () => {
+  assert.deepEqual(await loadCustomEngines(path.join(os.tmpdir(), 'dorkhunter-nao-existe')), []);
+  assert.deepEqual(await loadCustomEngines(null), []);
+});
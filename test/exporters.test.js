@@ -0,0 +1,175 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+
+import { EXPORT_SCHEMA_VERSION, exportFindings, resolveExportFormats, toCsvCell } from '../exporters.js';
+import { buildFindings } from '../findings.js';
+
+const SCHEMA = fs.readJsonSync(fileURLToPath(new URL('../schemas/finding-export.v1.json', import.meta.url)));
+const SCAN = { domain: 'exemplo.com', scanId: '2024-05-01T10-00-00-000Z' };
+
+const RESULTS = [
+  {
+    dork: 'site:exemplo.com filetype:sql',
+    dorkId: 'database-dumps/sql',
+    pack: 'database-dumps',
+    category: 'database',
+    description: 'Dumps SQL expostos',
+    severity: 'critical',
+    searchEngine: 'google',
+    timestamp: '2024-05-01T10:00:00.000Z',
+    urls: [
+      { position: 1, link: 'https://exemplo.com/backup.sql', title: '=HYPERLINK("http://mal.example","clique")', snippet: 'INSERT INTO "users", senha\nlinha 2' },
+      { position: 2, link: 'https://exemplo.com/dump.sql', title: 'Dump', snippet: '' }
+    ]
+  },
+  {
+    dork: 'site:exemplo.com inurl:backup',
+    severity: 'medium',
+    searchEngine: 'bing',
+    timestamp: '2024-05-01T10:05:00.000Z',
+    urls: [{ position: 1, link: 'https://exemplo.com/backup.sql', title: 'Backup', snippet: '' }]
+  }
+];
+
+async function withExport(formats, run) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-export-'));
+  try {
+    const files = await exportFindings(formats, { ...SCAN, findings: buildFindings(RESULTS), results: RESULTS }, dir);
+    return await run(files);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+/**
+ * Confere um registro contra o subconjunto de JSON Schema usado em finding-export.v1.json
+ */
+function assertMatchesSchema(record) {
+  assert.deepEqual(Object.keys(record).sort(), [...SCHEMA.required].sort());
+  Object.entries(SCHEMA.properties).forEach(([key, rule]) => {
+    const value = record[key];
+    const types = [].concat(rule.type || []);
+    const typeOf = item => (item === null ? 'null' : Array.isArray(item) ? 'array' : Number.isInteger(item) ? 'integer' : typeof item);
+
+    if ('const' in rule) assert.equal(value, rule.const, key);
+    if (rule.enum) assert.ok(rule.enum.includes(value), `${key}: ${value}`);
+    if (types.length > 0) assert.ok(types.includes(typeOf(value)), `${key}: ${typeOf(value)}`);
+    if (rule.items) value.forEach(item => assert.equal(typeOf(item), rule.items.type, key));
+    if (rule.minimum !== undefined) assert.ok(value >= rule.minimum, key);
+    if (rule.format === 'uri') assert.doesNotThrow(() => new URL(value), key);
+    if (rule.format === 'date-time' && value !== null) assert.ok(!Number.isNaN(Date.parse(value)), key);
+  });
+}
+
+test('células CSV neutralizam fórmulas e escapam aspas, vírgulas e quebras de linha', () => {
+  const cases = [
+    ['texto simples', 'texto simples'],
+    ['=1+1', "'=1+1"],
+    ['+55 11 9999', "'+55 11 9999"],
+    ['-2', "'-2"],
+    ['@SUM(A1)', "'@SUM(A1)"],
+    ['\tcmd', "'\tcmd"],
+    ['diz "olá"', '"diz ""olá"""'],
+    ['a,b', '"a,b"'],
+    ['linha 1\nlinha 2', '"linha 1\nlinha 2"'],
+    ['=HYPERLINK("x","y")', '"\'=HYPERLINK(""x"",""y"")"'],
+    [['google', 'bing'], 'google; bing'],
+    [null, ''],
+    [3, '3']
+  ];
+  cases.forEach(([value, expected]) => assert.equal(toCsvCell(value), expected, JSON.stringify(value)));
+});
+
+test('resolveExportFormats normaliza e rejeita formatos desconhecidos', () => {
+  assert.deepEqual(resolveExportFormats(['CSV', 'jsonl', 'csv']), ['csv', 'jsonl']);
+  assert.throws(() => resolveExportFormats(['xml']), /Formato de exportação desconhecido: xml/);
+});
+
+test('o CSV tem o cabeçalho do esquema e uma linha por achado', async () => {
+  await withExport(['csv'], async ([file]) => {
+    const content = await fs.readFile(file, 'utf8');
+    const lines = content.split('\r\n');
+
+    assert.equal(lines[0], SCHEMA.required.join(','));
+    assert.equal(lines.at(-1), '');
+    assert.match(content, /"'=HYPERLINK\(""http:\/\/mal\.example"",""clique""\)"/);
+    assert.match(content, /"INSERT INTO ""users"", senha\nlinha 2"/);
+    assert.match(content, /,site:exemplo\.com filetype:sql; site:exemplo\.com inurl:backup,/);
+  });
+});
+
+test('o JSONL tem um registro por linha, válido pelo esquema v1', async () => {
+  await withExport(['jsonl'], async ([file]) => {
+    const lines = (await fs.readFile(file, 'utf8')).split('\n');
+    assert.equal(lines.pop(), '');
+
+    const records = lines.map(line => JSON.parse(line));
+    assert.equal(records.length, 2);
+    records.forEach(assertMatchesSchema);
+
+    const [backup] = records;
+    assert.equal(backup.schemaVersion, EXPORT_SCHEMA_VERSION);
+    assert.equal(backup.url, 'https://exemplo.com/backup.sql');
+    assert.equal(backup.severity, 'critical');
+    assert.equal(backup.occurrences, 2);
+    assert.deepEqual(backup.engines, ['google', 'bing']);
+    assert.equal(backup.dorkIds[0], 'database-dumps/sql');
+    assert.match(backup.dorkIds[1], /^dork-[0-9a-f]+$/);
+  });
+});
+
+test('o JSONL grava muitos registros sem perder linhas', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-export-'));
+  try {
+    const urls = Array.from({ length: 3000 }, (_, idx) => ({ position: idx + 1, link: `https://exemplo.com/arquivo/${idx}`, title: 'x'.repeat(100), snippet: 'y'.repeat(200) }));
+    const results = [{ dork: 'site:exemplo.com', severity: 'low', searchEngine: 'google', urls }];
+    const [file] = await exportFindings(['jsonl'], { ...SCAN, findings: buildFindings(results), results }, dir);
+
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 3000);
+    assert.equal(new Set(lines.map(line => JSON.parse(line).url)).size, 3000);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('no SARIF cada ruleIndex aponta para a regra do ruleId', async () => {
+  await withExport(['sarif'], async ([file]) => {
+    const sarif = await fs.readJson(file);
+    assert.equal(sarif.version, '2.1.0');
+
+    const [run] = sarif.runs;
+    const { rules } = run.tool.driver;
+    assert.equal(rules.length, 2);
+    assert.equal(rules[0].id, 'database-dumps/sql');
+    assert.match(rules[1].id, /^dork-[0-9a-f]+$/);
+    assert.equal(rules[0].defaultConfiguration.level, 'error');
+    assert.equal(rules[0].properties['security-severity'], '9.5');
+
+    // backup.sql aparece nos dois dorks, dump.sql em um
+    assert.equal(run.results.length, 3);
+    run.results.forEach(result => {
+      assert.ok(result.ruleIndex >= 0);
+      assert.equal(rules[result.ruleIndex].id, result.ruleId);
+      assert.doesNotThrow(() => new URL(result.locations[0].physicalLocation.artifactLocation.uri));
+    });
+    assert.equal(run.automationDetails.id, `dorkhunter/${SCAN.domain}/${SCAN.scanId}`);
+  });
+});
+
+test('dorks dos achados ausentes dos resultados viram regras no SARIF', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-export-'));
+  try {
+    const [file] = await exportFindings(['sarif'], { ...SCAN, findings: buildFindings(RESULTS), results: [] }, dir);
+    const [run] = (await fs.readJson(file)).runs;
+
+    assert.equal(run.tool.driver.rules.length, 2);
+    run.results.forEach(result => assert.equal(run.tool.driver.rules[result.ruleIndex].id, result.ruleId));
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScanRecord, diffScans } from '../history.js';
+
+const finding = (id, dork) => ({
+  id,
+  url: `https://exemplo.com/${id}`,
+  title: id,
+  severity: 'high',
+  dorks: [{ dork }],
+  engines: ['google']
+});
+
+const scan = (scanId, findings, dorks, hiddenFindings = []) => createScanRecord({
+  domain: 'exemplo.com',
+  types: ['generic'],
+  engines: ['google'],
+  stats: { scanId, startTime: scanId, endTime: scanId },
+  findings,
+  dorks: Object.entries(dorks).map(([dork, status]) => ({ dork, status })),
+  hiddenFindings
+});
+
+test('achado de um dork concluído nas duas varreduras conta como removido', () => {
+  const previous = scan('a', [finding('env', 'filetype:env'), finding('sql', 'filetype:sql')], { 'filetype:env': 'done', 'filetype:sql': 'done' });
+  const current = scan('b', [finding('sql', 'filetype:sql')], { 'filetype:env': 'done', 'filetype:sql': 'done' });
+
+  const diff = diffScans(previous, current);
+  assert.deepEqual(diff.removed.map(item => item.id), ['env']);
+  assert.deepEqual(diff.notRechecked, []);
+  assert.equal(diff.unchanged, 1);
+});
+
+test('varredura parcial: dorks bloqueados, com erro, pulados ou pendentes não removem achados', () => {
+  const dorks = ['blocked', 'error', 'skipped', 'pending'];
+  const previous = scan('a', dorks.map(status => finding(status, `dork-${status}`)),
+    Object.fromEntries(dorks.map(status => [`dork-${status}`, 'done'])));
+  const current = scan('b', [], Object.fromEntries(dorks.map(status => [`dork-${status}`, status])));
+
+  const diff = diffScans(previous, current);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.notRechecked.map(item => [item.finding.id, item.reason]), dorks.map(status => [status, 'not-completed']));
+});
+
+test('dork não concluído na varredura anterior também não remove achados', () => {
+  const previous = scan('a', [finding('log', 'filetype:log')], { 'filetype:log': 'blocked' });
+  const current = scan('b', [], { 'filetype:log': 'done' });
+  assert.equal(diffScans(previous, current).notRechecked.length, 1);
+});
+
+test('achados suprimidos na triagem ou fora do escopo não são removidos', () => {
+  const previous = scan('a', [finding('fp', 'filetype:env'), finding('oos', 'filetype:env')], { 'filetype:env': 'done' });
+  const current = scan('b', [], { 'filetype:env': 'done' }, [
+    { id: 'fp', url: 'https://exemplo.com/fp', reason: 'suppressed' },
+    { id: 'oos', url: 'https://exemplo.com/oos', reason: 'out-of-scope' }
+  ]);
+
+  const diff = diffScans(previous, current);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.notRechecked.map(item => item.reason), ['suppressed', 'out-of-scope']);
+});
+
+test('registros antigos, sem o status dos dorks, mantêm a comparação anterior', () => {
+  const previous = { scanId: 'a', findings: [{ ...finding('env', 'filetype:env'), dorks: ['filetype:env'], engines: ['google'] }] };
+  const current = { scanId: 'b', findings: [] };
+  assert.equal(diffScans(previous, current).removed.length, 1);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { resolvePageLimits, appendPageResults } from '../serp-parser.js';
+import { getEngine } from '../engines/index.js';
+
+const result = (link, position = 1) => ({ position, title: link, link, redirectUrl: null, snippet: '' });
+
+test('limites de página: opções da varredura têm prioridade sobre o motor', () => {
+  const google = getEngine('google');
+
+  assert.deepEqual(resolvePageLimits(google, { maxPages: null, maxResults: null }), { maxPages: 3, maxResults: 100 });
+  assert.deepEqual(resolvePageLimits(google, { maxPages: 1, maxResults: 10 }), { maxPages: 1, maxResults: 10 });
+  assert.deepEqual(resolvePageLimits({}, {}), { maxPages: 1, maxResults: Infinity });
+});
+
+test('acrescenta apenas URLs novas e renumera as posições', () => {
+  const urls = [result('https://exemplo.com/a'), result('https://exemplo.com/b', 2)];
+  const added = appendPageResults(urls, [
+    result('https://exemplo.com/b'),
+    result('https://exemplo.com/c', 2),
+    result('https://exemplo.com/c', 3)
+  ]);
+
+  assert.equal(added, 2);
+  assert.deepEqual(urls.map(item => [item.position, item.link]), [
+    [1, 'https://exemplo.com/a'],
+    [2, 'https://exemplo.com/b'],
+    [3, 'https://exemplo.com/c']
+  ]);
+});
+
+test('página sem URLs novas retorna 0 para encerrar a paginação', () => {
+  const urls = [result('https://exemplo.com/a')];
+
+  assert.equal(appendPageResults(urls, [result('https://exemplo.com/a')]), 0);
+  assert.equal(appendPageResults(urls, []), 0);
+  assert.equal(urls.length, 1);
+});
+
+test('respeita o máximo de resultados do dork', () => {
+  const urls = [result('https://exemplo.com/a')];
+  appendPageResults(urls, [result('https://exemplo.com/b'), result('https://exemplo.com/c')], 2);
+
+  assert.deepEqual(urls.map(item => item.link), ['https://exemplo.com/a', 'https://exemplo.com/b']);
+});
+
+test('próxima página pelo link da página de resultados', () => {
+  const html = '<a id="pnnext" href="/search?q=site%3Aexemplo.com&amp;start=10">Mais</a>';
+  const url = getEngine('google').getNextPageUrl({
+    query: 'site:exemplo.com',
+    page: 0,
+    html,
+    url: 'https://www.google.com/search?q=site%3Aexemplo.com'
+  });
+
+  assert.equal(url, 'https://www.google.com/search?q=site%3Aexemplo.com&start=10');
+});
+
+test('sem link de próxima página a paginação termina', () => {
+  const url = getEngine('bing').getNextPageUrl({
+    query: 'site:exemplo.com',
+    page: 0,
+    html: '<ol id="b_results"></ol>',
+    url: 'https://www.bing.com/search?q=site%3Aexemplo.com'
+  });
+
+  assert.equal(url, null);
+});
+
+test('próxima página pelo parâmetro de deslocamento do motor', () => {
+  const url = new URL(getEngine('duckduckgo').getNextPageUrl({ query: 'site:exemplo.com', page: 1 }));
+
+  assert.equal(url.searchParams.get('q'), 'site:exemplo.com');
+  assert.equal(url.searchParams.get('s'), '60');
+});
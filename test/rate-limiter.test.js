@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createEngineScheduler } from '../rate-limiter.js';
+
+const OPTIONS = { delayBetweenSearches: 500, randomDelayMax: 0, blockCooldown: 1000, maxBlockCooldown: 5000 };
+
+/**
+ * Relógio simulado: sleep avança o tempo na hora e registra as esperas
+ */
+function createClock(random = 0) {
+  const clock = {
+    time: 0,
+    waits: [],
+    now: () => clock.time,
+    sleep: async ms => {
+      clock.waits.push(ms);
+      clock.time += ms;
+    },
+    random: () => random
+  };
+  return clock;
+}
+
+const engine = (id, rateLimit) => ({ id, name: id, rateLimit });
+
+test('o intervalo é o maior entre o delay da varredura e o do adaptador', () => {
+  const scheduler = createEngineScheduler([engine('lento', { interval: 8000 }), engine('rapido', { interval: 100 })], OPTIONS, createClock());
+  assert.deepEqual(scheduler.getSummary(), {
+    lento: { requests: 0, blocks: 0, intervalMs: 8000 },
+    rapido: { requests: 0, blocks: 0, intervalMs: 500 }
+  });
+});
+
+test('o token bucket libera a rajada e depois espera o intervalo', async () => {
+  const clock = createClock();
+  const google = engine('google', { interval: 1000, burst: 2 });
+  const scheduler = createEngineScheduler([google], OPTIONS, clock);
+
+  await scheduler.acquire(google);
+  await scheduler.acquire(google);
+  assert.deepEqual(clock.waits, []);
+
+  await scheduler.acquire(google);
+  assert.deepEqual(clock.waits, [1000]);
+
+  // Parado por muito tempo, o motor acumula no máximo a rajada
+  clock.time += 60000;
+  clock.waits.length = 0;
+  await scheduler.acquire(google);
+  await scheduler.acquire(google);
+  await scheduler.acquire(google);
+  assert.deepEqual(clock.waits, [1000]);
+  assert.equal(scheduler.getSummary().google.requests, 6);
+});
+
+test('a reposição parcial respeita o tempo já decorrido', async () => {
+  const clock = createClock();
+  const bing = engine('bing', { interval: 1000, burst: 1 });
+  const scheduler = createEngineScheduler([bing], OPTIONS, clock);
+
+  await scheduler.acquire(bing);
+  clock.time += 400;
+  await scheduler.acquire(bing);
+  assert.deepEqual(clock.waits, [600]);
+});
+
+test('o jitter é somado a cada espera', async () => {
+  const clock = createClock(0.5);
+  const bing = engine('bing', { interval: 1000, burst: 1 });
+  const scheduler = createEngineScheduler([bing], { ...OPTIONS, randomDelayMax: 2000 }, clock);
+
+  await scheduler.acquire(bing);
+  await scheduler.acquire(bing);
+  assert.deepEqual(clock.waits, [1000, 2000]);
+});
+
+test('bloqueios seguidos dobram o cooldown até o máximo e um sucesso zera o backoff', () => {
+  const google = engine('google', { interval: 1000 });
+  const scheduler = createEngineScheduler([google], OPTIONS, createClock());
+
+  const cooldowns = [1, 2, 3, 4].map(() => scheduler.reportBlock(google, 'captcha'));
+  assert.deepEqual(cooldowns, [1000, 2000, 4000, 5000]);
+  assert.equal(scheduler.getSummary().google.blocks, 4);
+
+  scheduler.reportSuccess(google);
+  assert.equal(scheduler.reportBlock(google, 'rate-limit'), 1000);
+});
+
+test('o cooldown recebe até 20% de jitter', () => {
+  const google = engine('google', { interval: 1000 });
+  const scheduler = createEngineScheduler([google], OPTIONS, createClock(0.5));
+  assert.equal(scheduler.reportBlock(google, 'captcha'), 1100);
+});
+
+test('o motor bloqueado sai de rotação até o fim do cooldown', async () => {
+  const clock = createClock();
+  const google = engine('google', { interval: 1000 });
+  const bing = engine('bing', { interval: 1000 });
+  const scheduler = createEngineScheduler([google, bing], OPTIONS, clock);
+
+  scheduler.reportBlock(google, 'captcha');
+  assert.deepEqual(await scheduler.availableEngines(), [bing]);
+
+  clock.time = 999;
+  assert.deepEqual(await scheduler.availableEngines(), [bing]);
+
+  clock.time = 1000;
+  assert.deepEqual(await scheduler.availableEngines(), [google, bing]);
+
+  // De volta à rotação, a primeira pesquisa ainda espera um intervalo após o cooldown
+  await scheduler.acquire(google);
+  assert.deepEqual(clock.waits, [1000]);
+});
+
+test('com todos os motores em cooldown, aguarda o primeiro que volta à rotação', async () => {
+  const clock = createClock();
+  const google = engine('google', { interval: 1000 });
+  const bing = engine('bing', { interval: 1000 });
+  const scheduler = createEngineScheduler([google, bing], OPTIONS, clock);
+
+  scheduler.reportBlock(google, 'captcha');
+  scheduler.reportBlock(google, 'captcha');
+  scheduler.reportBlock(bing, 'captcha');
+
+  assert.deepEqual(await scheduler.availableEngines(), [bing]);
+  assert.deepEqual(clock.waits, [1000]);
+  assert.equal(clock.time, 1000);
+});
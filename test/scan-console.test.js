@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseConsoleCommand, createScanConsole } from '../scan-console.js';
+import { getEngine } from '../engines/index.js';
+
+/**
+ * Console com os motores Google e Bing, registrando os vereditos recebidos
+ */
+function createTestConsole() {
+  const triages = [];
+  const scanConsole = createScanConsole({
+    engines: [getEngine('google'), getEngine('bing')],
+    getStatus: () => [],
+    onOpen: async () => {},
+    onChange: async () => {},
+    onTriage: async (last, triage) => { triages.push({ index: last.index, ...triage }); }
+  });
+  return { scanConsole, triages };
+}
+
+const lastDork = index => ({ dorkEntry: { query: `dork ${index}` }, result: { dork: `dork ${index}` }, index });
+
+test('separa comando (em minúsculas) e argumentos', () => {
+  assert.deepEqual(parseConsoleCommand('  Switch  Bing  '), { command: 'switch', args: ['Bing'], argument: 'Bing' });
+  assert.deepEqual(parseConsoleCommand('verdict fp  link   de teste'), {
+    command: 'verdict',
+    args: ['fp', 'link', 'de', 'teste'],
+    argument: 'fp link de teste'
+  });
+  assert.deepEqual(parseConsoleCommand(''), { command: '', args: [], argument: '' });
+});
+
+test('skip pula apenas o próximo dork', async () => {
+  const { scanConsole } = createTestConsole();
+
+  assert.equal(await scanConsole.execute('SKIP'), 'skip');
+  assert.deepEqual(await scanConsole.beforeDork(), { action: 'skip' });
+  assert.deepEqual(await scanConsole.beforeDork(), { action: null });
+});
+
+test('retry repete o último dork ou o dork n já processado', async () => {
+  const { scanConsole } = createTestConsole();
+
+  assert.equal(await scanConsole.execute('retry'), null);
+  scanConsole.setLastDork(lastDork(4));
+
+  assert.equal(await scanConsole.execute('retry'), 'retry');
+  assert.deepEqual(await scanConsole.beforeDork(), { action: 'retry', index: 4 });
+
+  assert.equal(await scanConsole.execute('retry 2'), 'retry');
+  assert.deepEqual(await scanConsole.beforeDork(), { action: 'retry', index: 1 });
+
+  for (const invalid of ['retry 0', 'retry 6', 'retry 1.5', 'retry dois']) {
+    assert.equal(await scanConsole.execute(invalid), null, invalid);
+  }
+  assert.deepEqual(await scanConsole.beforeDork(), { action: null });
+});
+
+test('switch fixa o motor pelo id ou nome e "auto" volta ao sorteio', async () => {
+  const { scanConsole } = createTestConsole();
+
+  assert.equal(await scanConsole.execute('switch Bing'), 'switch');
+  assert.equal(scanConsole.getForcedEngine().id, 'bing');
+
+  assert.equal(await scanConsole.execute('switch yahoo'), null);
+  assert.equal(scanConsole.getForcedEngine().id, 'bing');
+
+  assert.equal(await scanConsole.execute('switch auto'), 'switch');
+  assert.equal(scanConsole.getForcedEngine(), null);
+});
+
+test('switch no CAPTCHA desiste da página e repete o dork atual', async () => {
+  const { scanConsole } = createTestConsole();
+  scanConsole.setLastDork(lastDork(2));
+
+  assert.equal(await scanConsole.handleHandoff('switch google'), 'abandon');
+  assert.deepEqual(await scanConsole.beforeDork(), { action: 'retry', index: 2 });
+  assert.equal(await scanConsole.handleHandoff('retry'), 'retry');
+  assert.equal(await scanConsole.handleHandoff('skip'), null);
+});
+
+test('verdict registra o veredito e a nota do último dork', async () => {
+  const { scanConsole, triages } = createTestConsole();
+
+  assert.equal(await scanConsole.execute('verdict fp'), null);
+  scanConsole.setLastDork(lastDork(3));
+
+  assert.equal(await scanConsole.execute('verdict FP página de exemplo'), 'verdict');
+  assert.equal(await scanConsole.execute('verdict talvez'), null);
+
+  assert.deepEqual(triages, [{ index: 3, verdict: 'false-positive', note: 'página de exemplo' }]);
+});
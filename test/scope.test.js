@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { applyScopeToResult, createScopeMatcher, normalizeScope } from '../scope.js';
+
+const TARGET = { domain: 'exemplo.com.br', alternativeDomains: ['exemplo.net'] };
+
+const scope = data => createScopeMatcher(normalizeScope(data, 'teste'), TARGET);
+
+const PROGRAM = scope({
+  include: ['exemplo.com.br', '*.exemplo.com.br', '203.0.113.0/24', '2001:db8::/32'],
+  exclude: ['blog.exemplo.com.br', '*.cdn.exemplo.com.br', 'loja.exemplo.com.br/checkout/*', '203.0.113.7'],
+  excludePaths: ['/static/', '/*.pdf']
+});
+
+test('check() aplica includes com curinga, exclusões com prioridade, CIDR e caminhos', () => {
+  const cases = [
+    ['https://exemplo.com.br/', true, null],
+    ['https://www.exemplo.com.br/login', true, null],
+    ['https://a.b.exemplo.com.br/', true, null],
+    ['https://EXEMPLO.com.br./admin', true, null],
+    ['https://outroexemplo.com.br/', false, 'não incluído no escopo'],
+    ['https://exemplo.com.br.evil.com/', false, 'não incluído no escopo'],
+    ['https://exemplo.net/', false, 'não incluído no escopo'],
+    ['https://blog.exemplo.com.br/post', false, 'excluído por blog.exemplo.com.br'],
+    ['https://img.cdn.exemplo.com.br/a.png', false, 'excluído por *.cdn.exemplo.com.br'],
+    ['https://cdn.exemplo.com.br/a.png', true, null],
+    ['https://loja.exemplo.com.br/checkout/pagamento', false, 'excluído por loja.exemplo.com.br/checkout/*'],
+    ['https://loja.exemplo.com.br/produtos', true, null],
+    ['https://www.exemplo.com.br/static/app.js', false, 'excluído por */static/'],
+    ['https://www.exemplo.com.br/docs/manual.pdf', false, 'excluído por */*.pdf'],
+    ['https://www.exemplo.com.br/docs/manual%20novo.pdf', false, 'excluído por */*.pdf'],
+    ['http://203.0.113.10:8080/admin', true, null],
+    ['http://203.0.113.7/', false, 'excluído por 203.0.113.7'],
+    ['http://198.51.100.1/', false, 'não incluído no escopo'],
+    ['http://[2001:db8::1]/', true, null],
+    ['http://[2001:db9::1]/', false, 'não incluído no escopo'],
+    ['não é url', false, 'URL inválida']
+  ];
+
+  cases.forEach(([url, inScope, reason]) => {
+    assert.deepEqual(PROGRAM.check(url), { inScope, reason }, url);
+    assert.equal(PROGRAM.inScope(url), inScope, url);
+  });
+});
+
+test('sem include, o escopo é o alvo, seus subdomínios e os domínios alternativos', () => {
+  const target = scope({ exclude: ['dev.exemplo.com.br'] });
+  const cases = [
+    ['https://exemplo.com.br/', true],
+    ['https://app.exemplo.com.br/', true],
+    ['https://exemplo.net/', true],
+    ['https://dev.exemplo.com.br/', false],
+    ['https://exemplo.com/', false]
+  ];
+  cases.forEach(([url, inScope]) => assert.equal(target.inScope(url), inScope, url));
+  assert.equal(target.mode, 'flag');
+});
+
+test('isHostInScope ignora exclusões de caminho', () => {
+  assert.equal(PROGRAM.isHostInScope('loja.exemplo.com.br'), true);
+  assert.equal(PROGRAM.isHostInScope('blog.exemplo.com.br'), false);
+  assert.equal(PROGRAM.isHostInScope('x.cdn.exemplo.com.br'), false);
+});
+
+test('regras e modos inválidos são rejeitados', () => {
+  assert.throws(() => normalizeScope({ include: ['exem plo.com'] }, 'f.yaml'), /Host inválido "exem plo.com" no escopo \(f.yaml\)/);
+  assert.throws(() => normalizeScope({ include: ['10.0.0.0/33'] }, 'f.yaml'), /Faixa de IPs inválida/);
+  assert.throws(() => normalizeScope({ include: [''] }, 'f.yaml'), /Regra de escopo vazia/);
+  assert.throws(() => normalizeScope({ outOfScope: 'ignore' }, 'f.yaml'), /Modo outOfScope inválido/);
+});
+
+test('applyToDorks remove dorks fora do escopo e acrescenta -site: e -inurl:', () => {
+  const dorks = [
+    'site:exemplo.com.br filetype:sql',
+    'site:*.exemplo.com.br inurl:admin',
+    'site:blog.exemplo.com.br intitle:index',
+    'site:img.cdn.exemplo.com.br ext:log',
+    'site:loja.exemplo.com.br intext:senha',
+    'site:outro.com inurl:admin',
+    'intext:"exemplo.com.br" senha',
+    'site:exemplo.com.br inurl:admin -site:blog.exemplo.com.br'
+  ].map(query => ({ query }));
+
+  assert.deepEqual(PROGRAM.applyToDorks(dorks).map(dork => dork.query), [
+    'site:exemplo.com.br filetype:sql -site:blog.exemplo.com.br',
+    'site:*.exemplo.com.br inurl:admin -site:blog.exemplo.com.br -inurl:/static/',
+    'site:loja.exemplo.com.br intext:senha',
+    'intext:"exemplo.com.br" senha',
+    'site:exemplo.com.br inurl:admin -site:blog.exemplo.com.br -inurl:/static/'
+  ]);
+});
+
+test('applyToDorks mantém dorks de domínios acima de um subdomínio incluído', () => {
+  const narrow = scope({ include: ['api.exemplo.com.br'] });
+  const queries = ['site:exemplo.com.br ext:env', 'site:api.exemplo.com.br ext:env', 'site:www.exemplo.com.br ext:env']
+    .map(query => ({ query }));
+  assert.deepEqual(narrow.applyToDorks(queries).map(dork => dork.query), ['site:exemplo.com.br ext:env', 'site:api.exemplo.com.br ext:env']);
+});
+
+test('applyToDorks limita as exclusões acrescentadas a cada dork', () => {
+  const many = scope({ exclude: Array.from({ length: 15 }, (_, idx) => `h${idx}.exemplo.com.br`) });
+  const [dork] = many.applyToDorks([{ query: 'site:exemplo.com.br', id: 'x' }]);
+  assert.equal(dork.query.match(/-site:/g).length, 10);
+  assert.equal(dork.id, 'x');
+});
+
+test('applyScopeToResult marca ou descarta as URLs fora do escopo', () => {
+  const urls = () => [{ link: 'https://www.exemplo.com.br/a' }, { link: 'https://blog.exemplo.com.br/b' }];
+
+  const flagged = { urls: urls() };
+  assert.equal(applyScopeToResult(flagged, PROGRAM, 'flag'), 1);
+  assert.equal(flagged.urls.length, 2);
+  assert.equal(flagged.urls[1].outOfScope, 'excluído por blog.exemplo.com.br');
+
+  const dropped = { urls: urls() };
+  assert.equal(applyScopeToResult(dropped, PROGRAM, 'drop'), 1);
+  assert.deepEqual(dropped.urls.map(item => item.link), ['https://www.exemplo.com.br/a']);
+  assert.equal(dropped.droppedOutOfScope, 1);
+});
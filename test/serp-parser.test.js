@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+
+import { parseSearchResultsFile, unwrapRedirectUrl } from '../serp-parser.js';
+import { getEngine } from '../engines/index.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/block-pages/', import.meta.url));
+
+// [motor, arquivo, total estimado, resultados esperados]
+const CASES = [
+  ['google', 'google-results-security.html', 1230, [
+    {
+      position: 1,
+      title: 'Como o reCAPTCHA protege formulários contra robot e bots',
+      link: 'https://exemplo.com/blog/captcha-bypass',
+      redirectUrl: null,
+      snippet: 'Please wait enquanto explicamos o challenge: acessos blocked, access denied e verificação humana (verifica se você é um robot).'
+    },
+    {
+      position: 2,
+      title: 'Rate limit exceeded: boas práticas',
+      link: 'https://exemplo.com/seguranca/rate-limit',
+      redirectUrl: null,
+      snippet: 'Quando o servidor responde too many requests, o cliente deve aguardar. Suspicious activity e unusual traffic são monitorados.'
+    },
+    {
+      position: 3,
+      title: 'Painel administrativo - Login',
+      link: 'https://exemplo.com/admin/login',
+      redirectUrl: null,
+      snippet: 'Digite o captcha para continuar.'
+    },
+    {
+      position: 4,
+      title: 'Manual de integração (PDF)',
+      link: 'https://exemplo.com/docs/manual.pdf',
+      redirectUrl: 'https://www.google.com/url?q=https://exemplo.com/docs/manual.pdf&sa=U&ved=2ahUKEwi',
+      snippet: 'Guia de integração com a API de pagamentos.'
+    }
+  ]],
+  ['bing', 'bing-results.html', 57, [
+    {
+      position: 1,
+      title: 'Admin - Access denied',
+      link: 'https://exemplo.com/admin/',
+      redirectUrl: null,
+      snippet: 'Access denied. Too many requests from this IP. Please wait and try again.'
+    },
+    {
+      position: 2,
+      title: 'Documentação do captcha',
+      link: 'https://exemplo.com/docs/captcha',
+      redirectUrl: null,
+      snippet: 'Are you a robot? Nosso challenge bloqueia bots (blocked).'
+    },
+    {
+      position: 3,
+      title: 'Relatórios do painel',
+      link: 'https://exemplo.com/painel/relatorios',
+      redirectUrl: 'https://www.bing.com/ck/a?!&&p=abc123&u=a1aHR0cHM6Ly9leGVtcGxvLmNvbS9wYWluZWwvcmVsYXRvcmlvcw&ntb=1',
+      snippet: 'Relatórios mensais de vendas.'
+    }
+  ]],
+  ['duckduckgo', 'duckduckgo-results.html', null, [
+    {
+      position: 1,
+      title: 'Relatório anual (PDF)',
+      link: 'https://exemplo.com/relatorio.pdf',
+      redirectUrl: 'https://duckduckgo.com/l/?uddg=https%3A%2F%2Fexemplo.com%2Frelatorio.pdf&rut=x',
+      snippet: 'Relatório sobre tentativas de acesso blocked e captcha.'
+    },
+    {
+      position: 2,
+      title: 'Manual do usuário',
+      link: 'https://exemplo.com/manual.pdf',
+      redirectUrl: null,
+      snippet: 'Please wait while we verify your browser - seção de suporte.'
+    }
+  ]],
+  ['yahoo', 'yahoo-results.html', null, [
+    {
+      position: 1,
+      title: 'Login - Exemplo',
+      link: 'https://exemplo.com/login',
+      redirectUrl: 'https://r.search.yahoo.com/_ylt=x/RV=2/RE=1/RO=10/RU=https%3a%2f%2fexemplo.com%2flogin/RK=2/RS=x-',
+      snippet: 'Acesso restrito. Security check obrigatório.'
+    },
+    {
+      position: 2,
+      title: 'Suporte',
+      link: 'https://exemplo.com/suporte',
+      redirectUrl: null,
+      snippet: 'Are you a robot? Saiba como funciona nosso captcha.'
+    }
+  ]]
+];
+
+CASES.forEach(([engineId, file, estimatedTotal, results]) => {
+  test(`extrai os resultados salvos de ${engineId} (${file})`, async () => {
+    const engine = getEngine(engineId);
+    const parsed = await parseSearchResultsFile(FIXTURES + file, engine);
+
+    assert.equal(parsed.engine, engine.name);
+    assert.equal(parsed.estimatedTotal, estimatedTotal);
+    assert.deepEqual(parsed.results, results);
+  });
+});
+
+test('páginas sem resultados não geram itens', async () => {
+  for (const engineId of ['google', 'bing', 'duckduckgo']) {
+    const parsed = await parseSearchResultsFile(`${FIXTURES}${engineId}-no-results.html`, getEngine(engineId));
+    assert.deepEqual(parsed.results, [], engineId);
+  }
+});
+
+test('unwrapRedirectUrl descarta links que não são http(s)', () => {
+  assert.equal(unwrapRedirectUrl('javascript:void(0)', 'https://www.google.com/search'), null);
+  assert.equal(unwrapRedirectUrl('/url?q=ftp://exemplo.com/', 'https://www.google.com/search'), null);
+  assert.equal(unwrapRedirectUrl(null), null);
+});
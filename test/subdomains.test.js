@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSubdomainTracker, getRegistrableDomain } from '../subdomains.js';
+
+const result = (dork, hosts) => ({ dork, urls: hosts.map(host => ({ link: `https://${host}/pagina` })) });
+
+test('getRegistrableDomain considera sufixos de dois níveis', () => {
+  const cases = [
+    ['loja.exemplo.com.br', 'exemplo.com.br'],
+    ['a.b.exemplo.com.br', 'exemplo.com.br'],
+    ['exemplo.com.br', 'exemplo.com.br'],
+    ['www.exemplo.co.uk', 'exemplo.co.uk'],
+    ['api.v2.exemplo.com', 'exemplo.com'],
+    ['*.exemplo.com', 'exemplo.com'],
+    ['APP.Exemplo.COM.', 'exemplo.com']
+  ];
+  cases.forEach(([host, expected]) => assert.equal(getRegistrableDomain(host), expected, host));
+});
+
+test('subdomínios novos recebem dorks de acompanhamento e um dork de exclusão', () => {
+  const tracker = createSubdomainTracker({ domain: 'exemplo.com.br', followUpDorks: ['site:{subdomain}', 'site:{subdomain} inurl:admin'] });
+  const { discovered, dorks } = tracker.observe(
+    result('site:exemplo.com.br', ['www.exemplo.com.br', 'loja.exemplo.com.br', 'api.exemplo.com.br', 'exemplo.com', 'outro.com.br']),
+    { query: 'site:exemplo.com.br' }
+  );
+
+  assert.deepEqual(discovered, ['loja.exemplo.com.br', 'api.exemplo.com.br']);
+  assert.deepEqual(dorks.map(dork => dork.query), [
+    'site:loja.exemplo.com.br',
+    'site:loja.exemplo.com.br inurl:admin',
+    'site:api.exemplo.com.br',
+    'site:api.exemplo.com.br inurl:admin',
+    'site:*.exemplo.com.br -site:www.exemplo.com.br -site:loja.exemplo.com.br -site:api.exemplo.com.br'
+  ]);
+  assert.ok(dorks.every(dork => dork.depth === 1));
+
+  // O mesmo host não é descoberto duas vezes
+  assert.deepEqual(tracker.observe(result('site:exemplo.com.br ext:log', ['loja.exemplo.com.br']), {}).discovered, []);
+});
+
+test('apenas um dork de exclusão por profundidade', () => {
+  const tracker = createSubdomainTracker({ domain: 'exemplo.co.uk', maxDepth: 2, followUpDorks: ['site:{subdomain}'] });
+
+  tracker.observe(result('d1', ['a.exemplo.co.uk']), {});
+  tracker.observe(result('d2', ['b.exemplo.co.uk']), {});
+  const [followUp] = tracker.getDorks();
+  tracker.observe(result(followUp.query, ['c.exemplo.co.uk']), followUp);
+
+  const exclusions = tracker.getDorks().filter(dork => dork.subdomain === null);
+  assert.deepEqual(exclusions.map(dork => dork.depth), [1, 2]);
+  assert.deepEqual(exclusions.map(dork => dork.id), ['subdomain-exclusion:exemplo.co.uk:1', 'subdomain-exclusion:exemplo.co.uk:2']);
+  assert.equal(exclusions[1].query, 'site:*.exemplo.co.uk -site:www.exemplo.co.uk -site:a.exemplo.co.uk -site:b.exemplo.co.uk -site:c.exemplo.co.uk');
+});
+
+test('o limite de profundidade deixa os subdomínios mais profundos apenas no inventário', () => {
+  const tracker = createSubdomainTracker({ domain: 'exemplo.com', maxDepth: 1, followUpDorks: ['site:{subdomain}'] });
+  tracker.observe(result('inicial', ['a.exemplo.com']), {});
+  const [followUp] = tracker.getDorks();
+
+  const { discovered, dorks } = tracker.observe(result(followUp.query, ['b.a.exemplo.com']), followUp);
+  assert.deepEqual(discovered, ['b.a.exemplo.com']);
+  assert.deepEqual(dorks, []);
+  assert.deepEqual(tracker.getInventory().map(entry => [entry.host, entry.depth, entry.followedUp]), [
+    ['a.exemplo.com', 1, true],
+    ['b.a.exemplo.com', 2, false]
+  ]);
+
+  // Profundidade 0: apenas inventário
+  const inventoryOnly = createSubdomainTracker({ domain: 'exemplo.com', maxDepth: 0 });
+  assert.deepEqual(inventoryOnly.observe(result('inicial', ['a.exemplo.com']), {}).dorks, []);
+});
+
+test('maxSubdomains limita os subdomínios pesquisados', () => {
+  const tracker = createSubdomainTracker({ domain: 'exemplo.com', maxSubdomains: 2, followUpDorks: ['site:{subdomain}'], exclusionDork: false });
+  const { discovered, dorks } = tracker.observe(result('inicial', ['a.exemplo.com', 'b.exemplo.com', 'c.exemplo.com']), {});
+
+  assert.equal(discovered.length, 3);
+  assert.deepEqual(dorks.map(dork => dork.subdomain), ['a.exemplo.com', 'b.exemplo.com']);
+  assert.equal(tracker.getInventory().find(entry => entry.host === 'c.exemplo.com').followedUp, false);
+});
+
+test('hosts fora do escopo ficam no inventário sem dorks nem escopo', () => {
+  const tracker = createSubdomainTracker({
+    domain: 'exemplo.com',
+    followUpDorks: ['site:{subdomain}'],
+    isInScope: host => host !== 'blog.exemplo.com'
+  });
+  const { dorks } = tracker.observe(result('inicial', ['blog.exemplo.com', 'app.exemplo.com']), {});
+
+  assert.deepEqual(dorks.filter(dork => dork.subdomain).map(dork => dork.subdomain), ['app.exemplo.com']);
+  assert.deepEqual(tracker.getScopeDomains(), ['app.exemplo.com']);
+});
+
+test('o estado do checkpoint retoma o inventário e os dorks sem repetir descobertas', () => {
+  const first = createSubdomainTracker({ domain: 'exemplo.com', maxSubdomains: 2, followUpDorks: ['site:{subdomain}'] });
+  first.observe(result('inicial', ['a.exemplo.com']), {});
+  const saved = JSON.parse(JSON.stringify(first.state));
+
+  const resumed = createSubdomainTracker({ domain: 'exemplo.com', maxSubdomains: 2, followUpDorks: ['site:{subdomain}'] }, saved);
+  assert.equal(resumed.state, saved);
+  assert.deepEqual(resumed.getDorks().map(dork => dork.query), ['site:a.exemplo.com', 'site:*.exemplo.com -site:www.exemplo.com -site:a.exemplo.com']);
+
+  const { discovered, dorks } = resumed.observe(result('outro', ['a.exemplo.com', 'b.exemplo.com', 'c.exemplo.com']), {});
+  assert.deepEqual(discovered, ['b.exemplo.com', 'c.exemplo.com']);
+  // O limite conta os subdomínios já pesquisados antes da retomada, e o dork de exclusão não se repete
+  assert.deepEqual(dorks.map(dork => dork.query), ['site:b.exemplo.com']);
+  assert.equal(saved.dorks.length, 3);
+});
+
+test('o inventário conta as URLs dos achados de cada subdomínio', () => {
+  const tracker = createSubdomainTracker({ domain: 'exemplo.com' });
+  tracker.observe(result('inicial', ['app.exemplo.com']), {});
+  const findings = [{ host: 'app.exemplo.com' }, { host: 'app.exemplo.com:8443' }, { host: 'exemplo.com' }];
+  assert.equal(tracker.getInventory(findings)[0].urls, 2);
+});
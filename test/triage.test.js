@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+
+import {
+  applyTriage,
+  clearFindingVerdict,
+  groupFindingsByVerdict,
+  loadTriageStore,
+  resolveTriageVerdict,
+  saveTriageStore,
+  setDorkVerdict,
+  setFindingVerdict
+} from '../triage.js';
+
+const DOMAIN = 'exemplo.com';
+
+const emptyStore = () => ({ version: 1, domains: {} });
+const finding = url => ({ id: url, url, severity: 'medium' });
+
+test('resolveTriageVerdict aceita nomes e abreviações', () => {
+  assert.equal(resolveTriageVerdict('fp'), 'false-positive');
+  assert.equal(resolveTriageVerdict(' TP '), 'true-positive');
+  assert.equal(resolveTriageVerdict('r'), 'needs-review');
+  assert.equal(resolveTriageVerdict('accepted-risk'), 'accepted-risk');
+  assert.throws(() => resolveTriageVerdict('talvez'), /Veredito de triagem desconhecido: talvez/);
+});
+
+test('veredito herdado de um dork não substitui o veredito do próprio achado', () => {
+  const store = emptyStore();
+  const url = 'https://exemplo.com/admin';
+
+  assert.ok(setFindingVerdict(store, DOMAIN, url, { verdict: 'tp', note: 'painel exposto' }));
+  assert.equal(setFindingVerdict(store, DOMAIN, url, { verdict: 'fp', source: 'dork' }), null);
+
+  const [kept] = applyTriage([finding(url)], store, DOMAIN).findings;
+  assert.equal(kept.triage.verdict, 'true-positive');
+  assert.equal(kept.triage.source, 'finding');
+  assert.equal(kept.triage.note, 'painel exposto');
+});
+
+test('vereditos herdados podem ser substituídos pelo dork e pelo achado', () => {
+  const store = emptyStore();
+  const url = 'https://exemplo.com/backup.zip';
+
+  setFindingVerdict(store, DOMAIN, url, { verdict: 'review', source: 'dork' });
+  assert.equal(setFindingVerdict(store, DOMAIN, url, { verdict: 'accepted', source: 'dork' }).verdict, 'accepted-risk');
+  assert.equal(setFindingVerdict(store, DOMAIN, url, { verdict: 'fp' }).source, 'finding');
+  assert.equal(setFindingVerdict(store, DOMAIN, url, { verdict: 'tp', source: 'dork' }), null);
+});
+
+test('falsos positivos são suprimidos em todas as variantes da mesma URL', () => {
+  const store = emptyStore();
+  setFindingVerdict(store, DOMAIN, 'https://exemplo.com/docs/?b=2&a=1&utm_source=x#topo', { verdict: 'fp' });
+
+  const variants = [
+    'http://exemplo.com/docs?a=1&b=2',
+    'https://EXEMPLO.com:443/docs/?b=2&a=1',
+    'https://www.google.com/url?q=https://exemplo.com/docs?a=1%26b=2&sa=U',
+    'https://exemplo.com/docs?a=1&b=2&fbclid=abc'
+  ];
+  const other = 'https://exemplo.com/docs?a=1&b=3';
+  const { findings, suppressed } = applyTriage([...variants, other].map(finding), store, DOMAIN);
+
+  assert.deepEqual(suppressed.map(item => item.url), variants);
+  assert.ok(suppressed.every(item => item.triage.verdict === 'false-positive'));
+  assert.deepEqual(findings.map(item => [item.url, item.triage]), [[other, null]]);
+  assert.equal(Object.keys(store.domains[DOMAIN].findings).length, 1);
+});
+
+test('vereditos valem apenas para o domínio em que foram registrados', () => {
+  const store = emptyStore();
+  setFindingVerdict(store, DOMAIN, 'https://cdn.compartilhado.com/a.js', { verdict: 'fp' });
+
+  assert.equal(applyTriage([finding('https://cdn.compartilhado.com/a.js')], store, 'outro.com').suppressed.length, 0);
+  assert.equal(applyTriage([finding('https://cdn.compartilhado.com/a.js')], store, DOMAIN).suppressed.length, 1);
+});
+
+test('clearFindingVerdict remove o veredito de qualquer variante da URL', () => {
+  const store = emptyStore();
+  setFindingVerdict(store, DOMAIN, 'https://exemplo.com/a/', { verdict: 'fp' });
+
+  assert.equal(clearFindingVerdict(store, DOMAIN, 'http://exemplo.com/a'), true);
+  assert.equal(clearFindingVerdict(store, DOMAIN, 'http://exemplo.com/a'), false);
+  assert.throws(() => setFindingVerdict(store, DOMAIN, 'javascript:alert(1)', { verdict: 'fp' }), /URL inválida para triagem/);
+});
+
+test('groupFindingsByVerdict agrupa na ordem dos rótulos e omite grupos vazios', () => {
+  const store = emptyStore();
+  setFindingVerdict(store, DOMAIN, 'https://exemplo.com/1', { verdict: 'tp' });
+  setFindingVerdict(store, DOMAIN, 'https://exemplo.com/2', { verdict: 'review' });
+  const { findings } = applyTriage(['https://exemplo.com/2', 'https://exemplo.com/1', 'https://exemplo.com/3'].map(finding), store, DOMAIN);
+
+  assert.deepEqual(groupFindingsByVerdict(findings).map(group => [group.verdict, group.findings.length]), [
+    ['true-positive', 1],
+    ['needs-review', 1],
+    ['untriaged', 1]
+  ]);
+});
+
+test('os vereditos de achados e dorks sobrevivem a salvar e carregar', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'dorkhunter-triage-'));
+  try {
+    const triageFile = path.join(dir, 'triage.json');
+    const store = emptyStore();
+    setFindingVerdict(store, DOMAIN, 'https://exemplo.com/a', { verdict: 'fp', note: 'página pública' });
+    setDorkVerdict(store, DOMAIN, 'site:exemplo.com ext:log', { verdict: 'tp' });
+    await saveTriageStore(triageFile, store);
+
+    const loaded = await loadTriageStore(triageFile);
+    assert.deepEqual(loaded.domains, store.domains);
+    assert.deepEqual(await loadTriageStore(path.join(dir, 'nao-existe.json')), emptyStore());
+  } finally {
+    await fs.remove(dir);
+  }
+});
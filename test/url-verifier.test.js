@@ -0,0 +1,105 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { verifyUrl, verifyUrls, summarizeVerifications } from '../url-verifier.js';
+
+// Servidor local: 127.0.0.1 está no escopo, localhost (o "terceiro") não
+let server;
+let base;
+const hits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(`${req.headers.host.split(':')[0]} ${req.method} ${req.url}`);
+    const port = server.address().port;
+    switch (req.url) {
+      case '/exposto':
+        res.writeHead(200, { 'content-type': 'text/plain' });
+        res.end('DB_PASSWORD=Xk9#mQ2vLp7w\n');
+        break;
+      case '/interno':
+        res.writeHead(302, { location: '/exposto' });
+        res.end();
+        break;
+      case '/externo':
+        res.writeHead(302, { location: `http://localhost:${port}/terceiro` });
+        res.end();
+        break;
+      case '/quebrado':
+        res.writeHead(302, { location: 'http://[exemplo' });
+        res.end();
+        break;
+      case '/removido':
+        res.writeHead(404);
+        res.end();
+        break;
+      default:
+        res.writeHead(200);
+        res.end('conteúdo de terceiro');
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const inScope = url => new URL(url).hostname === '127.0.0.1';
+
+test('URL exposta registra status, hash e segredos mascarados do corpo', async () => {
+  const verification = await verifyUrl(`${base}/exposto`, { inScope });
+  assert.equal(verification.state, 'exposed');
+  assert.equal(verification.status, 200);
+  assert.match(verification.bodyHash, /^[0-9a-f]{64}$/);
+  assert.equal(verification.secrets.length, 1);
+  assert.doesNotMatch(verification.secrets[0].match, /Xk9#mQ2vLp7w/);
+});
+
+test('redirecionamentos dentro do escopo são seguidos', async () => {
+  const verification = await verifyUrl(`${base}/interno`, { inScope });
+  assert.equal(verification.state, 'exposed');
+  assert.equal(verification.finalUrl, `${base}/exposto`);
+  assert.deepEqual(verification.redirects, [{ url: `${base}/interno`, status: 302 }]);
+});
+
+test('redirecionamento para fora do escopo é registrado sem acessar o destino', async () => {
+  hits.length = 0;
+  const verification = await verifyUrl(`${base}/externo`, { inScope });
+  assert.equal(verification.state, 'out-of-scope');
+  assert.equal(verification.status, 302);
+  assert.match(verification.outOfScopeRedirect, /^http:\/\/localhost:\d+\/terceiro$/);
+  assert.equal(verification.bodyHash, null);
+  assert.ok(hits.every(hit => hit.startsWith('127.0.0.1 ')), `destino acessado: ${hits.join(', ')}`);
+});
+
+test('URL fora do escopo não é acessada', async () => {
+  hits.length = 0;
+  const verification = await verifyUrl(`${base.replace('127.0.0.1', 'localhost')}/terceiro`, { inScope });
+  assert.equal(verification.state, 'out-of-scope');
+  assert.equal(hits.length, 0);
+});
+
+test('conteúdo alterado desde a verificação anterior e URLs removidas', async () => {
+  const [changed, gone] = await verifyUrls([`${base}/exposto`, `${base}/removido`], {
+    inScope,
+    getPrevious: url => (url.endsWith('/exposto') ? { bodyHash: 'hash-anterior' } : null)
+  });
+  assert.equal(changed.state, 'changed');
+  assert.equal(gone.state, 'gone');
+  assert.equal(gone.method, 'HEAD');
+  assert.deepEqual(summarizeVerifications([changed, gone]), { exposed: 0, changed: 1, gone: 1, error: 0, 'out-of-scope': 0 });
+});
+
+test('redirecionamento com destino malformado termina no estado error', async () => {
+  const verification = await verifyUrl(`${base}/quebrado`, { inScope });
+  assert.equal(verification.state, 'error');
+  assert.match(verification.error, /Redirecionamento inválido/);
+  assert.equal(verification.status, null);
+});
+
+test('URL que a função de escopo não consegue avaliar termina no estado error', async () => {
+  const [verification] = await verifyUrls(['nao-e-uma-url'], { inScope });
+  assert.equal(verification.state, 'error');
+  assert.match(verification.error, /Invalid URL/);
+});
@@ -0,0 +1,259 @@
+/**
+ * Triage Module
+ *
+ * Este módulo guarda a conclusão do analista sobre dorks e achados, para que ela
+ * não se perca ao fechar o navegador e continue valendo nas próximas varreduras:
+ * - true-positive: exposição confirmada
+ * - false-positive: resultado irrelevante (suprimido automaticamente nas próximas varreduras)
+ * - needs-review: precisa de uma segunda análise
+ * - accepted-risk: exposição conhecida e aceita pelo cliente
+ *
+ * Os vereditos ficam em um arquivo JSON (padrão: triage.json no diretório de resultados),
+ * separados por domínio. Achados são indexados pela chave da URL normalizada
+ * (veja findings.js), então variações da mesma URL recebem o mesmo veredito;
+ * dorks são indexados pela própria query.
+ */
+
+import fs from 'fs-extra';
+import chalk from 'chalk';
+
+import { normalizeUrl } from './findings.js';
+import { askQuestion } from './human-interaction.js';
+
+export const TRIAGE_VERDICTS = ['true-positive', 'false-positive', 'needs-review', 'accepted-risk'];
+
+// Rótulos dos vereditos nos relatórios, na ordem em que os grupos são exibidos
+export const TRIAGE_LABELS = {
+  'true-positive': 'Verdadeiros positivos',
+  'needs-review': 'Precisam de revisão',
+  untriaged: 'Não triados',
+  'accepted-risk': 'Riscos aceitos',
+  'false-positive': 'Falsos positivos'
+};
+
+// Abreviações aceitas na CLI, no console e no prompt da validação manual
+const VERDICT_ALIASES = {
+  tp: 'true-positive',
+  v: 'true-positive',
+  fp: 'false-positive',
+  f: 'false-positive',
+  review: 'needs-review',
+  r: 'needs-review',
+  accepted: 'accepted-risk',
+  a: 'accepted-risk'
+};
+
+// Versão do formato do arquivo de triagem
+const TRIAGE_VERSION = 1;
+
+/**
+ * Converte o veredito informado (nome ou abreviação) no nome canônico
+ * @param {string} value - Ex: false-positive, fp, f
+ * @returns {string} - Um de TRIAGE_VERDICTS
+ * @throws {Error} - Se o veredito for desconhecido
+ */
+export function resolveTriageVerdict(value) {
+  const key = String(value || '').trim().toLowerCase();
+  const verdict = TRIAGE_VERDICTS.includes(key) ? key : VERDICT_ALIASES[key];
+  if (!verdict) {
+    throw new Error(`Veredito de triagem desconhecido: ${value} (use ${TRIAGE_VERDICTS.join(', ')} ou tp, fp, review, accepted)`);
+  }
+  return verdict;
+}
+
+/**
+ * Carrega os vereditos salvos
+ * @param {string} triageFile - Arquivo JSON de triagem
+ * @returns {Promise<Object>} - { version, domains: { [domínio]: { findings, dorks } } }
+ */
+export async function loadTriageStore(triageFile) {
+  try {
+    if (triageFile && await fs.pathExists(triageFile)) {
+      const data = await fs.readJson(triageFile);
+      return { version: TRIAGE_VERSION, domains: data.domains || {} };
+    }
+  } catch (error) {
+    console.error(chalk.yellow(`⚠️ Não foi possível ler a triagem (${error.message}), começando sem vereditos`));
+  }
+  return { version: TRIAGE_VERSION, domains: {} };
+}
+
+/**
+ * Salva os vereditos
+ * @param {string} triageFile - Arquivo JSON de triagem
+ * @param {Object} store - Vereditos (veja loadTriageStore)
+ */
+export async function saveTriageStore(triageFile, store) {
+  await fs.outputJson(triageFile, { ...store, updatedAt: new Date().toISOString() }, { spaces: 2 });
+}
+
+/**
+ * Vereditos de um domínio (criados vazios no primeiro uso)
+ * @param {Object} store - Vereditos
+ * @param {string} domain - Domínio alvo
+ * @returns {Object} - { findings, dorks }
+ */
+function getDomainEntries(store, domain) {
+  if (!store.domains[domain]) {
+    store.domains[domain] = { findings: {}, dorks: {} };
+  }
+  return store.domains[domain];
+}
+
+/**
+ * Registra o veredito de um achado
+ * Vereditos herdados de um dork (source: 'dork') não substituem os atribuídos diretamente ao achado
+ * @param {Object} store - Vereditos
+ * @param {string} domain - Domínio alvo
+ * @param {string} url - URL do achado (normalizada antes de salvar)
+ * @param {Object} triage - { verdict, note, source }: source 'finding' (padrão) ou 'dork'
+ * @returns {Object|null} - Veredito salvo ou null se não foi alterado
+ * @throws {Error} - Se a URL for inválida
+ */
+export function setFindingVerdict(store, domain, url, { verdict, note = '', source = 'finding' }) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) {
+    throw new Error(`URL inválida para triagem: ${url}`);
+  }
+
+  const entries = getDomainEntries(store, domain).findings;
+  const current = entries[normalized.key];
+  if (source === 'dork' && current && current.source !== 'dork') return null;
+
+  entries[normalized.key] = {
+    url: normalized.url,
+    verdict: resolveTriageVerdict(verdict),
+    note,
+    source,
+    updatedAt: new Date().toISOString()
+  };
+  return entries[normalized.key];
+}
+
+/**
+ * Registra o veredito de um dork
+ * @param {Object} store - Vereditos
+ * @param {string} domain - Domínio alvo
+ * @param {string} dork - Query do dork
+ * @param {Object} triage - { verdict, note }
+ * @returns {Object} - Veredito salvo
+ */
+export function setDorkVerdict(store, domain, dork, { verdict, note = '' }) {
+  const entries = getDomainEntries(store, domain).dorks;
+  entries[dork] = {
+    dork,
+    verdict: resolveTriageVerdict(verdict),
+    note,
+    updatedAt: new Date().toISOString()
+  };
+  return entries[dork];
+}
+
+/**
+ * Remove o veredito de um achado
+ * @param {Object} store - Vereditos
+ * @param {string} domain - Domínio alvo
+ * @param {string} url - URL do achado
+ * @returns {boolean} - true se havia um veredito
+ */
+export function clearFindingVerdict(store, domain, url) {
+  const normalized = normalizeUrl(url);
+  const entries = getDomainEntries(store, domain).findings;
+  if (!normalized || !entries[normalized.key]) return false;
+  delete entries[normalized.key];
+  return true;
+}
+
+/**
+ * Aplica os vereditos salvos aos achados de uma varredura
+ * Cada achado recebe o campo triage (ou null); falsos positivos são separados
+ * @param {Array<Object>} findings - Achados (veja findings.js)
+ * @param {Object} store - Vereditos
+ * @param {string} domain - Domínio alvo
+ * @returns {Object} - { findings, suppressed }: achados mantidos e falsos positivos conhecidos
+ */
+export function applyTriage(findings, store, domain) {
+  const entries = (store.domains[domain] || {}).findings || {};
+  const kept = [];
+  const suppressed = [];
+
+  findings.forEach(finding => {
+    const normalized = normalizeUrl(finding.url);
+    const entry = normalized ? entries[normalized.key] : null;
+    finding.triage = entry ? { verdict: entry.verdict, note: entry.note, source: entry.source, updatedAt: entry.updatedAt } : null;
+
+    if (entry && entry.verdict === 'false-positive') {
+      suppressed.push(finding);
+    } else {
+      kept.push(finding);
+    }
+  });
+
+  return { findings: kept, suppressed };
+}
+
+/**
+ * Agrupa achados pelo veredito, na ordem de TRIAGE_LABELS (grupos vazios são omitidos)
+ * @param {Array<Object>} findings - Achados com o campo triage (veja applyTriage)
+ * @returns {Array<Object>} - [{ verdict, label, findings }]
+ */
+export function groupFindingsByVerdict(findings) {
+  return Object.entries(TRIAGE_LABELS)
+    .map(([verdict, label]) => ({
+      verdict,
+      label,
+      findings: findings.filter(finding => (finding.triage ? finding.triage.verdict : 'untriaged') === verdict)
+    }))
+    .filter(group => group.findings.length > 0);
+}
+
+/**
+ * Pergunta ao analista o veredito e uma anotação
+ * @param {string} subject - O que está sendo classificado (exibido na pergunta)
+ * @returns {Promise<Object|null>} - { verdict, note } ou null se não foi classificado
+ */
+export async function promptTriageVerdict(subject) {
+  for (;;) {
+    const answer = await askQuestion(chalk.blue(`🏷️ Veredito para ${subject}: (v) verdadeiro positivo, (f) falso positivo, (r) revisar, (a) risco aceito ou ENTER para não classificar: `));
+    if (!answer.trim()) return null;
+
+    try {
+      const verdict = resolveTriageVerdict(answer);
+      const note = (await askQuestion(chalk.blue('📝 Anotação (opcional): '))).trim();
+      return { verdict, note };
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️ ${error.message}`));
+    }
+  }
+}
+
+/**
+ * Exibe no console os vereditos de um domínio
+ * @param {Object} store - Vereditos
+ * @param {string} domain - Domínio alvo
+ */
+export function printTriage(store, domain) {
+  const entries = store.domains[domain] || { findings: {}, dorks: {} };
+  const findings = Object.values(entries.findings);
+  const dorks = Object.values(entries.dorks);
+
+  console.log(chalk.cyan(`\n=== Triagem de ${domain} ===`));
+  if (findings.length === 0 && dorks.length === 0) {
+    console.log(chalk.gray('Nenhum veredito registrado.'));
+    return;
+  }
+
+  groupFindingsByVerdict(findings.map(entry => ({ ...entry, triage: entry }))).forEach(group => {
+    console.log(chalk.white(`\n${group.label} (${group.findings.length})`));
+    group.findings.forEach(entry => {
+      console.log(`  ${entry.url}${entry.source === 'dork' ? chalk.gray(' [via dork]') : ''}${entry.note ? chalk.gray(` - ${entry.note}`) : ''}`);
+    });
+  });
+
+  if (dorks.length > 0) {
+    console.log(chalk.white(`\nDorks (${dorks.length})`));
+    dorks.forEach(entry => {
+      console.log(`  [${entry.verdict}] ${entry.dork}${entry.note ? chalk.gray(` - ${entry.note}`) : ''}`);
+    });
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * URL Verifier Module
+ *
+ * Os resultados dos buscadores costumam estar desatualizados: o arquivo .env ou
+ * .sql pode ter sido removido há meses. Este módulo acessa cada URL encontrada
+ * (HEAD e depois GET com limite de tamanho, pelo proxy configurado) e registra
+ * status, redirecionamentos, tipo e tamanho do conteúdo, hash do corpo e o estado:
+ * - exposed: a URL ainda responde com conteúdo (2xx)
+ * - changed: ainda exposta, mas o conteúdo mudou desde a verificação anterior
+ * - gone: a URL não está mais acessível (4xx, inclusive 401/403)
+ * - error: não foi possível concluir a verificação (5xx, tempo esgotado, DNS...)
+ * - out-of-scope: fora do escopo da varredura (não é acessada) ou redireciona para fora dele
+ *   (o destino não é acessado)
+ *
+ * O corpo das URLs expostas também passa pelo detector de segredos (secret-detector.js);
+ * apenas as ocorrências mascaradas são guardadas.
+ */
+
+import crypto from 'crypto';
+import chalk from 'chalk';
+
+import { httpRequest } from './proxy.js';
+import { detectSecrets, printSecrets } from './secret-detector.js';
+
+export const VERIFICATION_STATES = ['exposed', 'changed', 'gone', 'error', 'out-of-scope'];
+
+// Status em que o GET não é necessário: a URL certamente não está mais exposta
+const GONE_STATUSES = [404, 410];
+
+// Máximo de redirecionamentos seguidos em cada requisição
+const MAX_REDIRECTS = 5;
+
+/**
+ * Cria a verificação de escopo a partir dos domínios da varredura
+ * (o próprio domínio e seus subdomínios)
+ * @param {Array<string>} domains - Domínio principal e alternativos
+ * @returns {Function} - (url) => boolean
+ */
+export function createDomainScope(domains) {
+  const allowed = domains.map(domain => domain.toLowerCase().replace(/^\*\./, ''));
+  return url => {
+    const host = new URL(url).hostname.toLowerCase();
+    return allowed.some(domain => host === domain || host.endsWith(`.${domain}`));
+  };
+}
+
+/**
+ * Define o estado de uma URL a partir da resposta
+ * @param {number} status - Status HTTP final
+ * @param {string|null} bodyHash - Hash do corpo atual
+ * @param {Object|null} previous - Verificação anterior da mesma URL ({ bodyHash })
+ * @returns {string} - Um de VERIFICATION_STATES
+ */
+function resolveState(status, bodyHash, previous) {
+  if (status >= 200 && status < 300) {
+    return previous && previous.bodyHash && bodyHash && previous.bodyHash !== bodyHash ? 'changed' : 'exposed';
+  }
+  if (status >= 400 && status < 500) return 'gone';
+  return 'error';
+}
+
+/**
+ * Faz uma requisição seguindo os redirecionamentos apenas dentro do escopo
+ * Cada Location é conferido antes de ser acessado; um destino fora do escopo encerra a
+ * requisição com outOfScope: true e url apontando para ele (sem acessá-lo)
+ * @param {string} url - URL de destino
+ * @param {Object} settings - Configuração de httpRequest (veja proxy.js), mais inScope
+ * @returns {Promise<Object>} - Resposta de httpRequest, com redirects, url final e outOfScope
+ */
+async function requestInScope(url, { inScope = null, ...settings }) {
+  const redirects = [];
+  let current = url;
+
+  for (;;) {
+    const response = await httpRequest(current, { ...settings, maxRedirects: 0 });
+    const location = response.headers.location;
+
+    if (response.status >= 300 && response.status < 400 && location && redirects.length < MAX_REDIRECTS) {
+      let next;
+      try {
+        next = new URL(location, current).href;
+      } catch (error) {
+        throw new Error(`Redirecionamento inválido em ${current}: ${location}`);
+      }
+      redirects.push({ url: current, status: response.status });
+      if (inScope && !inScope(next)) {
+        return { ...response, url: next, redirects, outOfScope: true };
+      }
+      current = next;
+      continue;
+    }
+
+    return { ...response, url: current, redirects, outOfScope: false };
+  }
+}
+
+/**
+ * Verifica se uma URL ainda está exposta
+ * @param {string} url - URL a verificar
+ * @param {Object} settings - Configuração
+ * @param {Object|null} [settings.proxy] - Proxy de saída (veja proxy.js)
+ * @param {number} [settings.timeout=10000] - Tempo máximo de cada requisição (ms)
+ * @param {number} [settings.maxBytes=1048576] - Bytes lidos do corpo no GET
+ * @param {Function|null} [settings.inScope] - (url) => boolean; URLs e redirecionamentos fora do escopo não são acessados
+ * @param {Object|null} [settings.previous] - Verificação anterior da URL (para detectar mudanças)
+ * @returns {Promise<Object>} - { url, state, status, finalUrl, redirects, contentType, contentLength,
+ *   bodyHash, truncated, secrets, method, outOfScopeRedirect, error, checkedAt }
+ */
+export async function verifyUrl(url, { proxy = null, timeout = 10000, maxBytes = 1024 * 1024, inScope = null, previous = null } = {}) {
+  const verification = {
+    url,
+    state: 'error',
+    status: null,
+    finalUrl: null,
+    redirects: [],
+    contentType: null,
+    contentLength: null,
+    bodyHash: null,
+    truncated: false,
+    secrets: [],
+    method: null,
+    outOfScopeRedirect: null,
+    error: null,
+    checkedAt: new Date().toISOString()
+  };
+
+  const record = (response, method) => {
+    verification.method = method;
+    if (response.outOfScope) {
+      verification.state = 'out-of-scope';
+      verification.outOfScopeRedirect = response.url;
+    }
+    verification.status = response.status;
+    verification.finalUrl = response.url;
+    verification.redirects = response.redirects.map(redirect => ({ url: redirect.url, status: redirect.status }));
+    verification.contentType = response.headers['content-type'] || verification.contentType;
+    if (response.headers['content-length'] !== undefined && Number.isFinite(Number(response.headers['content-length']))) {
+      verification.contentLength = Number(response.headers['content-length']);
+    }
+  };
+
+  try {
+    if (inScope && !inScope(url)) {
+      verification.state = 'out-of-scope';
+      return verification;
+    }
+
+    // HEAD primeiro: URLs removidas não precisam do download
+    let head = null;
+    try {
+      head = await requestInScope(url, { method: 'HEAD', proxy, timeout, inScope });
+      record(head, 'HEAD');
+    } catch (error) {
+      // Alguns servidores não respondem a HEAD; o GET decide
+    }
+    if (verification.outOfScopeRedirect) return verification;
+
+    if (!head || !GONE_STATUSES.includes(head.status)) {
+      const response = await requestInScope(url, { proxy, timeout, maxBytes, inScope });
+      record(response, 'GET');
+      if (verification.outOfScopeRedirect) return verification;
+      verification.truncated = response.truncated;
+      if (verification.contentLength === null) verification.contentLength = response.truncated ? null : response.raw.length;
+      if (response.status >= 200 && response.status < 300) {
+        verification.bodyHash = crypto.createHash('sha256').update(response.raw).digest('hex');
+        verification.secrets = detectSecrets(response.raw.toString('utf8'), { source: 'body' }).secrets;
+      }
+    }
+
+    verification.state = resolveState(verification.status, verification.bodyHash, previous);
+  } catch (error) {
+    verification.error = error.message;
+  }
+
+  return verification;
+}
+
+/**
+ * Verifica várias URLs com um limite de requisições simultâneas
+ * @param {Array<string>} urls - URLs a verificar
+ * @param {Object} settings - Configuração de verifyUrl (exceto previous), mais as opções abaixo
+ * @param {number} [settings.concurrency=5] - URLs verificadas ao mesmo tempo
+ * @param {Function} [settings.getPrevious] - (url) => verificação anterior ou null
+ * @param {Function} [settings.onResult] - Chamada com cada verificação concluída
+ * @returns {Promise<Array<Object>>} - Verificações, na mesma ordem das URLs
+ */
+export async function verifyUrls(urls, { concurrency = 5, getPrevious = () => null, onResult = null, ...settings } = {}) {
+  const verifications = new Array(urls.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      verifications[index] = await verifyUrl(urls[index], { ...settings, previous: getPrevious(urls[index]) });
+      if (onResult) onResult(verifications[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, urls.length)) }, worker));
+  return verifications;
+}
+
+/**
+ * Conta as verificações por estado
+ * @param {Array<Object>} verifications - Verificações
+ * @returns {Object} - { [estado]: quantidade }
+ */
+export function summarizeVerifications(verifications) {
+  return Object.fromEntries(VERIFICATION_STATES.map(state => [
+    state,
+    verifications.filter(verification => verification.state === state).length
+  ]));
+}
+
+/**
+ * Exibe uma verificação no console
+ * @param {Object} verification - Resultado de verifyUrl
+ */
+export function printVerification(verification) {
+  const colors = { exposed: chalk.red, changed: chalk.magenta, gone: chalk.green, error: chalk.yellow, 'out-of-scope': chalk.gray };
+  const details = [
+    verification.status,
+    verification.contentType,
+    verification.contentLength !== null ? `${verification.contentLength} bytes` : null,
+    verification.redirects.length > 0 ? `${verification.redirects.length} redirecionamento(s)` : null,
+    verification.truncated ? 'truncado' : null,
+    verification.outOfScopeRedirect ? `redireciona para ${verification.outOfScopeRedirect}` : null,
+    verification.secrets.length > 0 ? `${verification.secrets.length} segredo(s)` : null,
+    verification.error
+  ].filter(value => value !== null && value !== undefined).join(', ');
+
+  console.log(`${colors[verification.state](verification.state.padEnd(12))} ${verification.url}${details ? chalk.gray(` (${details})`) : ''}`);
+  printSecrets(verification.secrets, ' '.repeat(13));
+}
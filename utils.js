@@ -10,6 +10,8 @@ import path from 'path';
 import crypto from 'crypto';
 import chalk from 'chalk'; // Para colorir saídas no console (você precisará instalar: npm install chalk)
 
+import { groupFindingsByVerdict } from './triage.js';
+
 /**
  * Gera um delay aleatório para comportamento mais humano
  * @param {number} baseDelay - Delay base em ms
@@ -34,45 +36,127 @@ export function generateDorkHash(dork) {
   return crypto.createHash('md5').update(dork).digest('hex').substring(0, 8);
 }
 
+// Versão do formato do arquivo de checkpoint
+export const CHECKPOINT_VERSION = 2;
+
+/**
+ * Calcula a impressão digital de um plano de dorks
+ * A ordem dos dorks não altera o resultado, apenas o conjunto de queries
+ * @param {Array<Object|string>} dorks - Dorks do plano (objetos com query ou strings)
+ * @returns {string} - Hash do plano
+ */
+export function generatePlanFingerprint(dorks) {
+  const hashes = dorks.map(dork => generateDorkHash(typeof dork === 'string' ? dork : dork.query)).sort();
+  return crypto.createHash('sha256').update(hashes.join('\n')).digest('hex').substring(0, 16);
+}
+
+/**
+ * Cria um checkpoint vazio para um plano de dorks
+ * @param {Object} target - { domain, alternativeDomains }
+ * @param {Array<Object>} dorks - Dorks do plano
+ * @returns {Object} - Checkpoint com todos os dorks pendentes
+ */
+export function createCheckpoint(target, dorks) {
+  const checkpoint = {
+    version: CHECKPOINT_VERSION,
+    target,
+    planFingerprint: generatePlanFingerprint(dorks),
+    createdAt: new Date().toISOString(),
+    dorks: {}
+  };
+  addPendingDorks(checkpoint, dorks);
+  return checkpoint;
+}
+
+/**
+ * Adiciona ao checkpoint os dorks do plano que ainda não estão registrados
+ * @param {Object} checkpoint - Checkpoint
+ * @param {Array<Object>} dorks - Dorks do plano
+ */
+export function addPendingDorks(checkpoint, dorks) {
+  dorks.forEach(dork => {
+    const hash = generateDorkHash(dork.query);
+    if (!checkpoint.dorks[hash]) {
+      checkpoint.dorks[hash] = { query: dork.query, status: 'pending', result: null };
+    }
+  });
+}
+
+/**
+ * Converte um checkpoint no formato antigo (lastIndex + processedDorks)
+ * Os resultados não eram salvos, então apenas o status dos dorks é recuperado
+ * @param {Object} legacy - Checkpoint antigo
+ * @returns {Object} - Checkpoint no formato atual, sem alvo nem plano conhecidos
+ */
+function migrateLegacyCheckpoint(legacy) {
+  const checkpoint = {
+    version: CHECKPOINT_VERSION,
+    target: null,
+    planFingerprint: null,
+    createdAt: legacy.timestamp || new Date().toISOString(),
+    dorks: {}
+  };
+
+  (legacy.processedDorks || []).forEach(query => {
+    checkpoint.dorks[generateDorkHash(query)] = { query, status: 'done', result: null };
+  });
+
+  return checkpoint;
+}
+
 /**
  * Carrega um checkpoint se existir
  * @param {string} checkpointFile - Caminho para o arquivo de checkpoint
- * @returns {Object} - Dados do checkpoint ou objeto vazio
+ * @returns {Promise<Object|null>} - Checkpoint ou null se não houver um válido
  */
 export async function loadCheckpoint(checkpointFile) {
   try {
     if (await fs.pathExists(checkpointFile)) {
       console.log(chalk.blue('📋 Checkpoint encontrado. Carregando estado anterior...'));
       const data = await fs.readFile(checkpointFile, 'utf8');
-      const checkpoint = JSON.parse(data);
-      console.log(chalk.green(`✅ Checkpoint carregado: processado até dork #${checkpoint.lastIndex}`));
+      let checkpoint = JSON.parse(data);
+
+      if (checkpoint.version !== CHECKPOINT_VERSION) {
+        console.log(chalk.yellow('⚠️ Checkpoint em formato antigo convertido (resultados anteriores não estavam salvos).'));
+        checkpoint = migrateLegacyCheckpoint(checkpoint);
+      }
+
+      const done = Object.values(checkpoint.dorks).filter(entry => entry.status === 'done').length;
+      console.log(chalk.green(`✅ Checkpoint carregado: ${done} dorks concluídos`));
       return checkpoint;
     }
   } catch (error) {
     console.error(chalk.red('❌ Erro ao carregar checkpoint:'), error);
   }
-  return { lastIndex: -1, reportContent: null, processedDorks: [] };
+  return null;
 }
 
+// Gravação de checkpoint em andamento (comandos do console podem salvar durante a varredura)
+let pendingCheckpointSave = Promise.resolve();
+
 /**
  * Salva o progresso atual em um arquivo de checkpoint
+ * O arquivo é gravado em um temporário e renomeado, para não ficar corrompido se o processo for interrompido;
+ * gravações simultâneas são feitas uma após a outra
  * @param {string} checkpointFile - Caminho para o arquivo de checkpoint
- * @param {number} index - Índice do último dork processado
- * @param {string} reportContent - Conteúdo do relatório até agora
- * @param {Array} processedDorks - Lista de dorks já processados
+ * @param {Object} checkpoint - Checkpoint (veja createCheckpoint)
+ * @returns {Promise<void>} - Resolvida quando esta gravação terminar
  */
-export async function saveCheckpoint(checkpointFile, index, reportContent, processedDorks = []) {
-  try {
-    await fs.writeFile(checkpointFile, JSON.stringify({ 
-      lastIndex: index, 
-      reportContent,
-      processedDorks,
-      timestamp: new Date().toISOString()
-    }, null, 2));
-    console.log(chalk.green(`📝 Checkpoint salvo: processado até dork #${index}`));
-  } catch (error) {
-    console.error(chalk.red('❌ Erro ao salvar checkpoint:'), error);
-  }
+export function saveCheckpoint(checkpointFile, checkpoint) {
+  pendingCheckpointSave = pendingCheckpointSave.then(async () => {
+    try {
+      checkpoint.updatedAt = new Date().toISOString();
+      const tempFile = `${checkpointFile}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(checkpoint, null, 2));
+      await fs.move(tempFile, checkpointFile, { overwrite: true });
+
+      const done = Object.values(checkpoint.dorks).filter(entry => entry.status === 'done').length;
+      console.log(chalk.green(`📝 Checkpoint salvo: ${done}/${Object.keys(checkpoint.dorks).length} dorks concluídos`));
+    } catch (error) {
+      console.error(chalk.red('❌ Erro ao salvar checkpoint:'), error);
+    }
+  });
+  return pendingCheckpointSave;
 }
 
 /**
@@ -88,11 +172,15 @@ export function formatDorkForFilename(dork, maxLength = 50) {
 /**
  * Cria um relatório consolidado dos resultados da varredura
  * @param {string} targetDomain - Domínio alvo
- * @param {Array} results - Resultados da varredura
+ * @param {Array} results - Resultados da varredura (um por dork)
+ * @param {Array} findings - Achados por URL normalizada (veja findings.js), com a triagem aplicada
  * @param {string} outputDir - Diretório para salvar o relatório
+ * @param {Array} suppressed - Falsos positivos conhecidos, listados à parte (veja triage.js)
+ * @param {Array} subdomains - Inventário de subdomínios descobertos (veja subdomains.js)
+ * @param {Array} outOfScope - Achados fora do escopo, listados à parte (veja scope.js)
  * @returns {string} - Caminho para o arquivo de relatório
  */
-export async function generateReport(targetDomain, results, outputDir) {
+export async function generateReport(targetDomain, results, findings, outputDir, suppressed = [], subdomains = [], outOfScope = []) {
   // Garantir que o diretório existe
   await fs.ensureDir(outputDir);
   
@@ -107,53 +195,144 @@ export async function generateReport(targetDomain, results, outputDir) {
   reportContent += `**Total de Dorks Verificados:** ${results.length}\n\n`;
   
   // Sumário de resultados
-  const vulnerabilitiesFound = results.filter(r => r.resultsCount > 0);
+  const dorksWithResults = results.filter(r => r.resultsCount > 0);
+  const severityCounts = findings.reduce((counts, finding) => {
+    counts[finding.severity] = (counts[finding.severity] || 0) + 1;
+    return counts;
+  }, {});
+  
   reportContent += `## Sumário\n\n`;
-  reportContent += `- **Vulnerabilidades Potenciais Encontradas:** ${vulnerabilitiesFound.length}\n`;
-  reportContent += `- **Taxa de Sucesso:** ${((vulnerabilitiesFound.length / results.length) * 100).toFixed(2)}%\n\n`;
+  reportContent += `- **URLs Únicas Encontradas:** ${findings.length}\n`;
+  Object.entries(severityCounts).forEach(([severity, count]) => {
+    reportContent += `  - ${severity}: ${count}\n`;
+  });
+  const verified = findings.filter(finding => finding.verification);
+  if (verified.length > 0) {
+    const stillExposed = verified.filter(finding => ['exposed', 'changed'].includes(finding.verification.state)).length;
+    const gone = verified.filter(finding => finding.verification.state === 'gone').length;
+    reportContent += `- **URLs Verificadas:** ${verified.length} (${stillExposed} ainda expostas, ${gone} removidas)\n`;
+  }
+  const withSecrets = findings.filter(finding => finding.secrets.length > 0);
+  if (withSecrets.length > 0) {
+    reportContent += `- **Achados com Possíveis Segredos:** ${withSecrets.length} (valores mascarados)\n`;
+  }
+  reportContent += `- **Dorks com Resultados:** ${dorksWithResults.length}\n`;
+  reportContent += `- **Taxa de Sucesso:** ${results.length > 0 ? ((dorksWithResults.length / results.length) * 100).toFixed(2) : '0.00'}%\n\n`;
   
-  if (vulnerabilitiesFound.length > 0) {
-    reportContent += `## Vulnerabilidades Potenciais Encontradas\n\n`;
+  if (findings.length > 0) {
+    // Achados agrupados pelo veredito de triagem (veja triage.js)
+    const groups = groupFindingsByVerdict(findings);
+    const ordered = groups.flatMap(group => group.findings);
+    
+    reportContent += `## Achados\n\n`;
+    let position = 0;
+    groups.forEach(group => {
+      reportContent += `### ${group.label} (${group.findings.length})\n\n`;
+      reportContent += `| # | URL | Severidade | Dorks | Motores de Busca |\n`;
+      reportContent += `|---|-----|------------|-------|------------------|\n`;
+      
+      group.findings.forEach(finding => {
+        position++;
+        reportContent += `| ${position} | ${finding.url} | ${finding.severity} | ${finding.dorks.length} | ${finding.engines.join(', ')} |\n`;
+      });
+      
+      reportContent += `\n`;
+    });
+    
+    reportContent += `\n`;
+    
+    // Detalhes de cada achado
+    reportContent += `## Detalhes dos Achados\n\n`;
+    
+    ordered.forEach((finding, idx) => {
+      reportContent += `### ${idx+1}. [${finding.title}](${finding.url})\n\n`;
+      reportContent += `**Severidade:** ${finding.severity}\n`;
+      reportContent += `**Motores de Busca:** ${finding.engines.join(', ')}\n`;
+      if (finding.triage) {
+        reportContent += `**Triagem:** ${finding.triage.verdict}${finding.triage.note ? ` - ${finding.triage.note}` : ''}\n`;
+      }
+      if (finding.verification) {
+        const { state, status, contentType, contentLength } = finding.verification;
+        const details = [status && `HTTP ${status}`, contentType, contentLength !== null && `${contentLength} bytes`].filter(Boolean).join(', ');
+        reportContent += `**Verificação:** ${state}${details ? ` (${details})` : ''}\n`;
+      }
+      if (finding.secrets.length > 0) {
+        reportContent += `**Possíveis Segredos:**\n`;
+        finding.secrets.forEach(secret => {
+          reportContent += `- ${secret.name} [${secret.severity}] (${secret.source}): \`${secret.match}\`\n`;
+        });
+      }
+      reportContent += `\n`;
+      
+      if (finding.snippet) {
+        reportContent += `> ${finding.snippet}\n\n`;
+      }
+      
+      reportContent += `#### Encontrado pelos dorks:\n\n`;
+      finding.dorks.forEach(dork => {
+        reportContent += `- \`${dork.dork}\`${dork.dorkId ? ` (${dork.dorkId})` : ''}\n`;
+      });
+      
+      reportContent += `\n---\n\n`;
+    });
+  }
+  
+  // Dorks com resultados (com screenshots das páginas de resultados)
+  if (dorksWithResults.length > 0) {
+    reportContent += `## Dorks com Resultados\n\n`;
     reportContent += `| # | Dork | Motor de Busca | Resultados | Screenshot |\n`;
     reportContent += `|---|------|---------------|------------|------------|\n`;
     
-    vulnerabilitiesFound.forEach((result, idx) => {
+    dorksWithResults.forEach((result, idx) => {
       const screenshotLink = result.screenshotPath ? 
-        `[Screenshot](${path.basename(result.screenshotPath)})` : 'N/A';
+        `[Screenshot](${path.relative(outputDir, result.screenshotPath)})` : 'N/A';
       
       reportContent += `| ${idx+1} | \`${result.dork}\` | ${result.searchEngine} | ${result.resultsCount} | ${screenshotLink} |\n`;
     });
     
-    reportContent += `\n\n`;
+    reportContent += `\n`;
+  } else {
+    reportContent += `*Nenhum resultado encontrado para os dorks verificados.*\n`;
   }
   
-  // Detalhes completos
-  reportContent += `## Detalhes Completos\n\n`;
+  // Falsos positivos conhecidos (suprimidos dos achados e das exportações)
+  if (suppressed.length > 0) {
+    reportContent += `\n## Falsos Positivos Suprimidos (${suppressed.length})\n\n`;
+    suppressed.forEach(finding => {
+      reportContent += `- ${finding.url}${finding.triage.note ? ` - ${finding.triage.note}` : ''}\n`;
+    });
+  }
   
-  results.forEach((result, idx) => {
-    reportContent += `### ${idx+1}. \`${result.dork}\`\n\n`;
-    reportContent += `**Motor de Busca:** ${result.searchEngine}\n`;
-    reportContent += `**Resultados Encontrados:** ${result.resultsCount}\n`;
-    reportContent += `**Tempo de Processamento:** ${result.processingTime}ms\n\n`;
-    
-    if (result.screenshotPath) {
-      reportContent += `![Screenshot](${path.basename(result.screenshotPath)})\n\n`;
-    }
-    
-    if (result.urls && result.urls.length > 0) {
-      reportContent += `#### URLs Encontradas:\n\n`;
-      result.urls.forEach((url, urlIdx) => {
-        reportContent += `${urlIdx+1}. [${url.title}](${url.link})\n`;
-        if (url.snippet) {
-          reportContent += `   ${url.snippet}\n\n`;
-        }
+  // Achados fora do escopo do programa (fora dos achados, da triagem e das exportações)
+  if (outOfScope.length > 0) {
+    reportContent += `\n## Fora do Escopo (${outOfScope.length})\n\n`;
+    outOfScope.forEach(finding => {
+      reportContent += `- ${finding.url} - ${finding.outOfScope}\n`;
+    });
+  }
+  
+  // Subdomínios descobertos nos resultados
+  if (subdomains.length > 0) {
+    reportContent += `\n## Inventário de Subdomínios (${subdomains.length})\n\n`;
+    reportContent += `| Subdomínio | Profundidade | URLs | Pesquisado | Descoberto por |\n`;
+    reportContent += `|------------|--------------|------|------------|----------------|\n`;
+    subdomains.forEach(entry => {
+      const followed = entry.outOfScope ? 'Fora do escopo' : (entry.followedUp ? 'Sim' : 'Não');
+      reportContent += `| ${entry.host} | ${entry.depth} | ${entry.urls} | ${followed} | \`${entry.foundBy}\` |\n`;
+    });
+  }
+  
+  // Dorks marcados ou anotados no console da varredura
+  const reviewed = results.filter(r => r.marked || (r.notes && r.notes.length > 0));
+  if (reviewed.length > 0) {
+    reportContent += `\n## Dorks Marcados para Revisão\n\n`;
+    reviewed.forEach(result => {
+      reportContent += `- ${result.marked ? '⭐ ' : ''}\`${result.dork}\` (${result.searchEngine})\n`;
+      (result.notes || []).forEach(note => {
+        reportContent += `  - ${note.text}\n`;
       });
-    } else {
-      reportContent += `*Nenhum resultado encontrado para este dork.*\n\n`;
-    }
-    
-    reportContent += `---\n\n`;
-  });
+    });
+  }
   
   // Salvar o relatório
   await fs.writeFile(reportPath, reportContent);